@@ -5,6 +5,19 @@ const LineModel = require('./lib/models');
 const LineAPI = require('./lib/api').LineAPI;
 const LineConfig = require('./lib/config').config;
 const LineClient = require('./lib/clients').LineClient;
+const LineCheckpoints = require('./lib/checkpoints');
+const LineSessions = require('./lib/sessions');
+const LineLogin = require('./lib/login');
+const LineAccounts = require('./lib/accounts');
+const LineErrors = require('./lib/errors');
+const LineLogger = require('./lib/logger');
+const LineBot = require('./lib/bot');
+const LineUpload = require('./lib/upload');
+const LineHistory = require('./lib/history');
+const LineExporter = require('./lib/exporter');
+const LineReceipts = require('./lib/receipts');
+const LineStickers = require('./lib/stickers');
+const LineOutbox = require('./lib/outbox');
 
 module.exports = {
   LineAPI,
@@ -13,5 +26,40 @@ module.exports = {
   LineRoom: LineModel.LineRoom,
   LineGroup: LineModel.LineGroup,
   LineContact: LineModel.LineContact,
-  LineMessage: LineModel.LineMessage
+  LineProfile: LineModel.LineProfile,
+  LineMessage: LineModel.LineMessage,
+  MemoryCheckpointStore: LineCheckpoints.MemoryCheckpointStore,
+  FileCheckpointStore: LineCheckpoints.FileCheckpointStore,
+  MemorySessionStore: LineSessions.MemorySessionStore,
+  FileSessionStore: LineSessions.FileSessionStore,
+  LoginFlow: LineLogin.LoginFlow,
+  LoginState: LineLogin.LoginState,
+  AccountManager: LineAccounts.AccountManager,
+  LineError: LineErrors.LineError,
+  NotAuthenticatedError: LineErrors.NotAuthenticatedError,
+  LoginTimeoutError: LineErrors.LoginTimeoutError,
+  TalkError: LineErrors.TalkError,
+  AuthExpiredError: LineErrors.AuthExpiredError,
+  LoggedInElsewhereError: LineErrors.LoggedInElsewhereError,
+  RateLimitError: LineErrors.RateLimitError,
+  TransportError: LineErrors.TransportError,
+  ApplicationError: LineErrors.ApplicationError,
+  consoleLogger: LineLogger.consoleLogger,
+  silentLogger: LineLogger.silentLogger,
+  redact: LineLogger.redact,
+  Upload: LineUpload.Upload,
+  ContentSource: LineUpload.ContentSource,
+  MessageHistory: LineHistory.MessageHistory,
+  exportChat: LineExporter.exportChat,
+  ReceiptTracker: LineReceipts.ReceiptTracker,
+  StickerCatalog: LineStickers.StickerCatalog,
+  StickerPackage: LineStickers.StickerPackage,
+  Sticker: LineStickers.Sticker,
+  Outbox: LineOutbox.Outbox,
+  MemoryOutboxStore: LineOutbox.MemoryOutboxStore,
+  FileOutboxStore: LineOutbox.FileOutboxStore,
+  Bot: LineBot.Bot,
+  Router: LineBot.Router,
+  onlyFrom: LineBot.onlyFrom,
+  throttle: LineBot.throttle
 };
@@ -0,0 +1,202 @@
+import { EventEmitter } from 'events';
+import Promise from 'bluebird';
+
+import { LineClient } from './clients';
+import { LineError } from './errors';
+import { createConfig } from './config';
+
+const MANAGER_EVENTS = ['newListener', 'removeListener', 'accountError'];
+const STORE_OPTIONS = ['checkpointStore', 'sessionStore', 'outboxStore'];
+
+function storesOf(client) {
+  return {
+    checkpointStore: client.checkpointStore,
+    sessionStore: client.sessionStore,
+    outboxStore: client.outbox.store
+  };
+}
+
+/**
+ * Run several LineClient accounts side by side in one process.
+ * Listening an event on the manager listens it on every account,
+ * and the listener receives the account name before the event arguments.
+ * Accounts stop forwarding an event once the manager has no listener of it:
+ *
+ *   manager.on('message', (name, message) => {});
+ */
+export class AccountManager extends EventEmitter {
+  /**
+   * Constructor of AccountManager
+   * @param  {Object} clientOptions = {} [options shared by every LineClient
+   *                                      created by `add`. A store is not
+   *                                      shared, pass a function of
+   *                                      (name) => store to create one
+   *                                      per account]
+   */
+  constructor(clientOptions = {}) {
+    super();
+    this.clientOptions = clientOptions;
+    this.accounts = new Map();
+    this._forwarded = new Set();
+    this._forwarders = new Map();
+    this.on('newListener', (event) => this._forwardEvent(event));
+    this.on('removeListener', (event) => {
+      if (this.listenerCount(event) === 0) {
+        this._unforwardEvent(event);
+      }
+    });
+  }
+
+  /**
+   * Add an account
+   * @param  {String} name                [name to route events of the account]
+   * @param  {LineClient|Object} options  [LineClient instance, or options
+   *                                       to create one with clientOptions]
+   * @return {LineClient}                 [client of the account]
+   */
+  add(name, options = {}) {
+    if (this.accounts.has(name)) {
+      throw new LineError(`account ${name} has been added`);
+    }
+    const client = options instanceof LineClient ?
+      options :
+      new LineClient({
+        ...this.clientOptions,
+        ...options,
+        ...this._createStores(name, options),
+        config: createConfig(options.config, this.clientOptions.config)
+      });
+    this._assertOwnStores(name, client);
+    client.accountName = name;
+    this.accounts.set(name, client);
+    this._forwarders.set(name, new Map());
+    this._forwarded.forEach((event) => this._listen(name, client, event));
+    return client;
+  }
+
+  /**
+   * Get client of an account
+   * @param  {String} name [name of the account]
+   * @return {LineClient}  [client of the account, undefined if not added]
+   */
+  get(name) {
+    return this.accounts.get(name);
+  }
+
+  /**
+   * Stop and remove an account, its events are not forwarded anymore
+   * @param  {String} name [name of the account]
+   * @return {Promise}     [resolved with the removed client after it stopped]
+   */
+  remove(name) {
+    const client = this.accounts.get(name);
+    if (!client) {
+      return Promise.reject(new LineError(`account ${name} is not added`));
+    }
+    this._forwarded.forEach((event) => this._unlisten(name, client, event));
+    this._forwarders.delete(name);
+    this.accounts.delete(name);
+    return client.stop().then(() => client);
+  }
+
+  /**
+   * Login every account, one after another since pin codes may have to be
+   * entered on mobile phone
+   * @return {Promise} [resolved with names of accounts failed to login]
+   */
+  loginAll() {
+    const failed = [];
+    return Promise.each(this._entries(), ([name, client]) => (
+      client.login().catch((err) => {
+        failed.push(name);
+        this.emit('accountError', name, err);
+      })
+    )).then(() => failed);
+  }
+
+  /**
+   * Start polling operations of every account, an account stopped by error
+   * emits `accountError` without stopping the others
+   * @return {Promise} [resolved after every account has stopped]
+   */
+  startAll() {
+    return Promise.map(this._entries(), ([name, client]) => (
+      client.start().catch((err) => this.emit('accountError', name, err))
+    ));
+  }
+
+  stopAll() {
+    return Promise.map(this._entries(), ([, client]) => client.stop());
+  }
+
+  /**
+   * Stores of a new account, a function in clientOptions creates the store
+   * of the account, and a store instance in clientOptions is rejected since
+   * accounts would overwrite each other
+   * @param  {String} name    [name of the account]
+   * @param  {Object} options [options of the account]
+   * @return {Object}         [store options of LineClient]
+   */
+  _createStores(name, options) {
+    const stores = {};
+    STORE_OPTIONS.forEach((option) => {
+      const store = options[option] || this.clientOptions[option];
+      if (typeof store === 'function') {
+        stores[option] = store(name);
+      } else if (store && !options[option]) {
+        throw new LineError(
+          `${option} of clientOptions would be shared by accounts, ` +
+          'pass a function of (name) => store instead'
+        );
+      }
+    });
+    return stores;
+  }
+
+  _assertOwnStores(name, client) {
+    const stores = storesOf(client);
+    this.accounts.forEach((other, otherName) => {
+      const otherStores = storesOf(other);
+      STORE_OPTIONS.forEach((option) => {
+        if (otherStores[option] === stores[option]) {
+          throw new LineError(
+            `${option} of account ${name} is used by ${otherName}`
+          );
+        }
+      });
+    });
+  }
+
+  _entries() {
+    return Array.from(this.accounts.entries());
+  }
+
+  _forwardEvent(event) {
+    if (MANAGER_EVENTS.indexOf(event) >= 0 || this._forwarded.has(event)) {
+      return;
+    }
+    this._forwarded.add(event);
+    this.accounts.forEach((client, name) => this._listen(name, client, event));
+  }
+
+  _unforwardEvent(event) {
+    if (!this._forwarded.delete(event)) {
+      return;
+    }
+    this.accounts.forEach((client, name) => (
+      this._unlisten(name, client, event)
+    ));
+  }
+
+  _listen(name, client, event) {
+    const forward = (...args) => this.emit(event, name, ...args);
+    this._forwarders.get(name).set(event, forward);
+    client.on(event, forward);
+  }
+
+  _unlisten(name, client, event) {
+    const forwarders = this._forwarders.get(name);
+    client.removeListener(event, forwarders.get(event));
+    forwarders.delete(event);
+  }
+}
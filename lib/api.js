@@ -1,18 +1,74 @@
+import { EventEmitter } from 'events';
+import http from 'http';
+import https from 'https';
+import { randomBytes } from 'crypto';
+import { PassThrough } from 'stream';
+import { parse as parseUrl } from 'url';
 import thrift from 'thrift';
 import unirest from 'unirest';
 import Promise from 'bluebird';
-import {
-  LoginResultType,
-  IdentityProvider
-} from 'curve-thrift/line_types';
-import TalkService from 'curve-thrift/TalkService';
+import { IdentityProvider } from 'curve-thrift/line_types';
+import { TalkServiceClient } from './talkService';
 
-import { PinVerifier } from './pinVerifier';
-import { config } from './config';
+import { LoginFlow } from './login';
+import { CallConnection, Transport } from './transport';
+import { LineError, TransportError, toLineError } from './errors';
+import { compose, createMiddlewares } from './middleware';
+import { createLogger } from './logger';
+import { ContentSource, Upload } from './upload';
+import { createConfig } from './config';
 
-export class LineAPI {
-  constructor() {
-    this.config = config;
+const MAX_REQ_SEQ = 0x7fffffff;
+
+const LOGIN_EVENTS =
+  ['state', 'pincode', 'qrcode', 'deviceConfirm', 'success', 'failure'];
+
+export class LineAPI extends EventEmitter {
+  /**
+   * Constructor of LineAPI, each instance owns an isolated config
+   * so that headers like `X-Line-Access` are not shared between clients
+   * @param  {Object} configOverrides = {} [values overriding default config]
+   * @param  {Object} hooks.logger   [Default to silent, logger with debug,
+   *                                  info, warn and error of (message, fields)]
+   * @param  {Function} hooks.onPrompt [Default to alertOrConsoleLog when
+   *                                    nobody listens, called with (message,
+   *                                    details) when user has to act]
+   */
+  constructor(configOverrides = {}, hooks = {}) {
+    super();
+    this.logger = createLogger(hooks.logger);
+    this.onPrompt = hooks.onPrompt || null;
+    this.config = createConfig(configOverrides);
+    this.transport =
+      new Transport(this.config.transport, this.config.LINE_DOMAIN);
+    this._middlewares = createMiddlewares(this.config.rpc, this);
+    this._pipeline = null;
+    this._reqSeq = randomBytes(4).readUInt32BE(0) & MAX_REQ_SEQ;
+  }
+
+  /**
+   * Next request sequence number of a write call. The server assigns
+   * one result to a sequence number, so a call sent again with the same
+   * number is not applied twice. It starts from a random number of 31 bits,
+   * so a restarted process sharing the session does not reuse the numbers
+   * of the previous one, unless either has sent millions of writes
+   * @return {Number} [sequence number, an i32 of Thrift]
+   */
+  _nextSeq() {
+    this._reqSeq = this._reqSeq >= MAX_REQ_SEQ ? 1 : this._reqSeq + 1;
+    return this._reqSeq;
+  }
+
+  /**
+   * Add a middleware wrapping every TalkService call made by `_call`,
+   * it is called inside the default middlewares from config.rpc
+   * @param  {Function} middleware [(next) => (method, args) => Promise]
+   * @return {LineAPI}             [this]
+   */
+  use(middleware) {
+    this._middlewares.push(middleware);
+    this._pipeline = null;
+    return this;
   }
 
   setTHttpClient(options = {
@@ -20,13 +76,40 @@ export class LineAPI {
     headers: this.config.Headers,
     path: this.config.LINE_HTTP_URL
   }) {
-    this.connection =
-      thrift.createHttpConnection(this.config.LINE_DOMAIN, 443, options);
-    this.connection.on('error', (err) => {
-      console.error(err);
-      return err;
+    if (this.connection) {
+      this.connection.removeListener('callError', this._onCallError);
+    }
+    const connection = new CallConnection(
+      this.transport.host, this.transport.port,
+      this.transport.thriftOptions(options)
+    );
+    const client = thrift.createHttpClient(TalkServiceClient, connection);
+    this._onCallError = (err, seqid) => {
+      this.logger.warn('connection error', { error: err.message });
+      this._failCall(client, seqid, err);
+    };
+    connection.on('callError', this._onCallError);
+    connection.on('error', (err) => {
+      this.logger.warn('connection error', { error: err.message });
     });
-    this._client = thrift.createHttpClient(TalkService, this.connection);
+    this.connection = connection;
+    this._client = client;
+  }
+
+  /**
+   * Reject the call sent by a failed request, it is not known whether
+   * the server applied the call, so only idempotent ones are retried
+   * @param  {Object} client [thrift client which sent the call]
+   * @param  {Number} seqid  [seqid of the call]
+   * @param  {Error} err     [error of the request or its response]
+   */
+  _failCall(client, seqid, err) {
+    const pending = client._reqs;
+    const callback = pending[seqid];
+    if (callback) {
+      delete pending[seqid];
+      callback(new TransportError(err.message, err));
+    }
   }
 
   _tokenLogin(authToken, certificate) {
@@ -35,45 +118,74 @@ export class LineAPI {
     return Promise.resolve({ authToken, certificate });
   }
 
-  _login(id, password) {
-    const pinVerifier = new PinVerifier(id, password);
-    const defer = Promise.pending();
-    this._setProvider(id)
-    .then((json) => pinVerifier.getRSACrypto(json))
-    .then((rsaCrypto) => {
-      this.setTHttpClient();
-      this._client.loginWithIdentityCredentialForCertificate(
-        this.provider, rsaCrypto.keyname, rsaCrypto.credentials,
-        true, this.config.ip, this.config.hostname, rsaCrypto.message,
-        (err, result) => {
-          if (err) {
-            console.log('LoginFailed');
-            console.error(err);
-            throw (err);
-          }
-          console.log(result);
-          this._client.pinCode = result.pinCode;
-          this.alertOrConsoleLog(
-            `Enter Pincode ${result.pinCode} to your mobile phone in 2 minutes`
-          );
-          this._checkLoginResultType(result.type, result);
-          this._loginWithVerifier(result)
-          .then((verifierResult) => {
-            this._checkLoginResultType(verifierResult.type, verifierResult);
-            defer.resolve(verifierResult);
-          });
-        });
+  /**
+   * Login with id and password through LoginFlow, events of the flow
+   * (`state`, `pincode`, `qrcode`, `deviceConfirm`, `success` and `failure`)
+   * are emitted by `this` as well. The pin code or QR code URL is passed to
+   * `prompt` so that user can confirm the login on mobile phone
+   * @param  {String} id       [account id of client]
+   * @param  {String} password [password of client]
+   * @param  {String} certificate = null [Default to null, certificate returned
+   *                                      by the last login to skip pin code]
+   * @return {Promise}         [resolved with LoginResult when login successfully,
+   *                            or rejected when login is failed or cancelled]
+   */
+  _login(id, password, certificate = null) {
+    const loginFlow = new LoginFlow(this, id, password, certificate);
+    LOGIN_EVENTS.forEach((event) => {
+      loginFlow.on(event, (...args) => this.emit(event, ...args));
+    });
+    loginFlow.on('state', (state, previous) => {
+      this.logger.debug('login state changed', { state, previous });
+    });
+    loginFlow.on('pincode', (pinCode) => {
+      this.prompt(
+        `Enter Pincode ${pinCode} to your mobile phone in ` +
+        `${loginFlow.timeout / 1000} seconds`,
+        { type: 'pincode', pinCode, timeout: loginFlow.timeout }
+      );
+    });
+    loginFlow.on('qrcode', (url) => {
+      this.prompt(
+        `Open ${url} by LINE on your mobile phone`,
+        { type: 'qrcode', url, timeout: loginFlow.timeout }
+      );
+    });
+    loginFlow.on('success', (result) => {
+      this.logger.info('login succeeded', {
+        type: result.type,
+        authToken: result.authToken,
+        certificate: result.certificate
+      });
     });
-    return defer.promise;
+    loginFlow.on('failure', (err) => {
+      this.logger.warn('login failed', { error: err.message });
+    });
+    this.loginFlow = loginFlow;
+    return loginFlow.run();
   }
 
-  _loginWithVerifier() {
-    return this.getJson(this.config.LINE_CERTIFICATE_URL)
-    .then(
-      (json) =>
-        this._client.loginWithVerifierForCertificate(json.result.verifier)
-      , (err) => console.log(`LoginWithVerifierForCertificate Error: ${err}`)
-    );
+  /**
+   * Ask user to act, ex. enter the pin code on mobile phone. Without
+   * `onPrompt` the message is shown by alertOrConsoleLog, unless there is
+   * a listener of the `details.type` event handling it
+   * @param  {String} message [message to be shown to user]
+   * @param  {Object} details [type of the prompt and its values]
+   */
+  prompt(message, details) {
+    if (this.onPrompt) {
+      this.onPrompt(message, details);
+    } else if (this.listenerCount(details.type) === 0) {
+      this.alertOrConsoleLog(message);
+    }
+  }
+
+  /**
+   * Cancel the running login
+   * @return {Boolean} [false if there is no running login]
+   */
+  cancelLogin() {
+    return this.loginFlow ? this.loginFlow.cancel() : false;
   }
 
   _setProvider(id) {
@@ -86,163 +198,432 @@ export class LineAPI {
       this.getJson(this.config.LINE_SESSION_NAVER_URL);
   }
 
-  _checkLoginResultType(type, result) {
-    this.config.Headers['X-Line-Access'] = result.authToken || result.verifier;
-    if (result.type === LoginResultType.SUCCESS) {
-      this.certificate = result.certificate;
-      this.authToken = result.authToken;
-    } else if (result.type === LoginResultType.REQUIRE_QRCODE) {
-      console.log('require QR code');
-    } else if (result.type === LoginResultType.REQUIRE_DEVICE_CONFIRM) {
-      console.log('require device confirm');
-    } else {
-      throw new Error('unkown type');
-    }
+  _applyLoginResult(result) {
+    this.config.Headers['X-Line-Access'] = result.authToken;
+    this.certificate = result.certificate || this.certificate;
+    this.authToken = result.authToken;
     return result;
   }
 
+  /**
+   * Call a method of TalkService through middlewares and the thrift client
+   * @param  {String} method [name of the TalkService method]
+   * @param  {...*}   args   [arguments passed to the method]
+   * @return {Promise}       [bluebird promise of the method result,
+   *                          rejected with LineError converted by toLineError]
+   */
+  _call(method, ...args) {
+    if (!this._pipeline) {
+      this._pipeline = compose(
+        this._middlewares, (name, params) => this._send(name, params)
+      );
+    }
+    return Promise.resolve(this._pipeline(method, args));
+  }
+
+  _send(method, args) {
+    this.logger.debug('call TalkService', { method });
+    return Promise.try(() => this._client[method](...args))
+      .timeout(this.transport.timeout, `${method} timed out`)
+      .catch((err) => {
+        throw toLineError(err);
+      });
+  }
+
   _getProfile() {
-    return this._client.getProfile();
+    return this._call('getProfile');
   }
 
   _getAllContactIds() {
-    return this._client.getAllContactIds();
+    return this._call('getAllContactIds');
   }
 
   _getBlockedContactIds() {
-    return this._client.getBlockedContactIds();
+    return this._call('getBlockedContactIds');
   }
 
   _getContacts(ids) {
     if (!Array.isArray(ids)) {
       throw new Error('argument should be array of contact ids');
     }
-    return this._client.getContacts(ids);
+    return this._call('getContacts', ids);
+  }
+
+  _getContact(id) {
+    return this._call('getContact', id);
+  }
+
+  _updateProfileAttribute(attribute, value, seq = this._nextSeq()) {
+    return this._call('updateProfileAttribute', seq, attribute, value);
+  }
+
+  _getFavoriteMids() {
+    return this._call('getFavoriteMids');
+  }
+
+  _findContactByUserid(userid) {
+    return this._call('findContactByUserid', userid);
+  }
+
+  _findContactsByPhone(phones) {
+    return this._call('findContactsByPhone', phones);
   }
 
-  _createRoom(ids, seq = 0) {
-    return this._client.createRoom(seq, ids);
+  _findContactsByEmail(emails) {
+    return this._call('findContactsByEmail', emails);
+  }
+
+  _findAndAddContactsByMid(mid, seq = this._nextSeq()) {
+    return this._call('findAndAddContactsByMid', seq, mid);
+  }
+
+  _findAndAddContactsByUserid(userid, seq = this._nextSeq()) {
+    return this._call('findAndAddContactsByUserid', seq, userid);
+  }
+
+  _findAndAddContactsByPhone(phones, seq = this._nextSeq()) {
+    return this._call('findAndAddContactsByPhone', seq, phones);
+  }
+
+  _findAndAddContactsByEmail(emails, seq = this._nextSeq()) {
+    return this._call('findAndAddContactsByEmail', seq, emails);
+  }
+
+  _blockContact(id, seq = this._nextSeq()) {
+    return this._call('blockContact', seq, id);
+  }
+
+  _unblockContact(id, seq = this._nextSeq()) {
+    return this._call('unblockContact', seq, id);
+  }
+
+  _updateContactSetting(mid, flag, value, seq = this._nextSeq()) {
+    return this._call('updateContactSetting', seq, mid, flag, value);
+  }
+
+  _createRoom(ids, seq = this._nextSeq()) {
+    return this._call('createRoom', seq, ids);
   }
 
   _getRoom(id) {
-    return this._client.getRoom(id);
+    return this._call('getRoom', id);
   }
 
-  _inviteIntoRoom(roomId, contactIds = []) {
-    return this._client.inviteIntoRoom(0, roomId, contactIds);
+  _inviteIntoRoom(roomId, contactIds = [], seq = this._nextSeq()) {
+    return this._call('inviteIntoRoom', seq, roomId, contactIds);
   }
 
-  _leaveRoom(id) {
-    return this._client.leaveRoom(0, id);
+  _leaveRoom(id, seq = this._nextSeq()) {
+    return this._call('leaveRoom', seq, id);
   }
 
-  _createGroup(name, ids, seq = 0) {
-    return this._client.createGroup(seq, name, ids);
+  _createGroup(name, ids, seq = this._nextSeq()) {
+    return this._call('createGroup', seq, name, ids);
   }
 
   _getGroups(ids) {
     if (!Array.isArray(ids)) {
       throw new Error('argument should be array of group ids');
     }
-    return this._client.getGroups(ids);
+    return this._call('getGroups', ids);
+  }
+
+  _getGroup(id) {
+    return this._call('getGroup', id);
   }
 
   _getGroupIdsJoined() {
-    return this._client.getGroupIdsJoined();
+    return this._call('getGroupIdsJoined');
   }
 
   _getGroupIdsInvited() {
-    return this._client.getGroupIdsInvited();
+    return this._call('getGroupIdsInvited');
+  }
+
+  _acceptGroupInvitation(groupId, seq = this._nextSeq()) {
+    return this._call('acceptGroupInvitation', seq, groupId);
+  }
+
+  _cancelGroupInvitation(groupId, contactIds = [], seq = this._nextSeq()) {
+    return this._call('cancelGroupInvitation', seq, groupId, contactIds);
+  }
+
+  _inviteIntoGroup(groupId, contactIds = [], seq = this._nextSeq()) {
+    return this._call('inviteIntoGroup', seq, groupId, contactIds);
   }
 
-  _acceptGroupInvitation(groupId, seq = 0) {
-    return this._client.acceptGroupInvitation(seq, groupId);
+  _leaveGroup(id, seq = this._nextSeq()) {
+    return this._call('leaveGroup', seq, id);
   }
 
-  _cancelGroupInvitation(groupId, contactIds = [], seq = 0) {
-    return this._client.cancelGroupInvitation(seq, groupId, contactIds);
+  _kickoutFromGroup(groupId, contactIds = [], seq = this._nextSeq()) {
+    return this._call('kickoutFromGroup', seq, groupId, contactIds);
   }
 
-  _inviteIntoGroup(groupId, contactIds = [], seq = 0) {
-    return this._client.inviteIntoGroup(seq, groupId, contactIds);
+  _rejectGroupInvitation(groupId, seq = this._nextSeq()) {
+    return this._call('rejectGroupInvitation', seq, groupId);
   }
 
-  _leaveGroup(id) {
-    return this._client.leaveGroup(0, id);
+  _updateGroup(group, seq = this._nextSeq()) {
+    return this._call('updateGroup', seq, group);
+  }
+
+  _reissueGroupTicket(groupId) {
+    return this._call('reissueGroupTicket', groupId);
   }
 
   _getRecentMessages(id, count = 1) {
-    return this._client.getRecentMessages(id, count);
+    return this._call('getRecentMessages', id, count);
+  }
+
+  _getPreviousMessages(id, endSeq, count = 50) {
+    return this._call('getPreviousMessages', id, endSeq, count);
   }
 
-  _sendMessage(message, seq = 0) {
-    return this._client.sendMessage(seq, message);
+  _sendMessage(message, seq = this._nextSeq()) {
+    return this._call('sendMessage', seq, message);
   }
 
-  _sendChatChecked(consumer, lastMessageId, seq = 0) {
-    return this._client.sendChatChecked(seq, consumer, lastMessageId);
+  _sendChatChecked(consumer, lastMessageId, seq = this._nextSeq()) {
+    return this._call('sendChatChecked', seq, consumer, lastMessageId);
   }
 
   _getLastOpRevision() {
-    return this._client.getLastOpRevision();
+    return this._call('getLastOpRevision');
   }
 
   _fetchOperations(revision, count = 50) {
-    return this._client.fetchOperations(revision, count);
+    return this._call('fetchOperations', revision, count);
   }
 
   _getMessageBoxCompactWrapUp(id) {
-    return this._client.getMessageBoxCompactWrapUp(id);
+    return this._call('getMessageBoxCompactWrapUp', id);
   }
 
   _getMessageBoxCompactWrapUpList(start = 1, count = 50) {
-    return this._client.getMessageBoxCompactWrapUpList(start, count);
+    return this._call('getMessageBoxCompactWrapUpList', start, count);
   }
 
   /**
-   * If using api in browser, it will alert message, or message will be console.log
-   * @param  {String} message [Message to be alert or console.log]
+   * If using api in browser, it will alert message, or message will be
+   * logged by `this.logger` at info level
+   * @param  {String} message [Message to be alert or logged]
    */
   alertOrConsoleLog(message) {
     if (typeof alert !== 'undefined') {
       alert(message); // eslint-disable-line no-alert
     } else {
-      console.log(message);
+      this.logger.info(message);
     }
   }
 
   /**
-   * fetch data from LINE_DOMAIN, using `unirest`
-   * @param  {String} path [pathname to do fetch]
-   * @return {Promise}     [defer first, then resolve after getting data]
+   * fetch data from host of the transport, using `unirest`
+   * @param  {String} path         [pathname to do fetch]
+   * @param  {Object} headers = {} [headers overriding config.Headers
+   *                                for this request only]
+   * @return {Promise}             [defer first, then resolve after getting
+   *                                data, or reject with TransportError]
    */
-  getJson(path) {
+  getJson(path, headers = {}) {
+    return this._requestJson(path, headers).promise;
+  }
+
+  /**
+   * Start a GET request of JSON which can be aborted, ex. the long
+   * request of LINE_CERTIFICATE_URL waiting for the login confirmation
+   * @param  {String} path    [pathname to do fetch]
+   * @param  {Object} headers [headers overriding config.Headers]
+   * @return {Object}         [`promise` of the JSON, and `abort()` which
+   *                           rejects it with TransportError unless it has
+   *                           been settled]
+   */
+  _requestJson(path, headers) {
     const defer = Promise.pending();
-    unirest.get(`http://${this.config.LINE_DOMAIN}${path}`)
-      .headers(this.config.Headers)
-      .timeout(120000)
-      .end((res) => defer.resolve(res.body));
-    return defer.promise;
+    const url = this.transport.url(path);
+    const request = this._applyTransport(unirest.get(url), url)
+      .headers({ ...this.config.Headers, ...headers })
+      .end((res) => (
+        res.error ?
+          defer.reject(new TransportError(`GET ${path} failed`, res.error)) :
+          defer.resolve(res.body)
+      ));
+    return {
+      promise: defer.promise,
+      abort: () => {
+        if (defer.promise.isPending()) {
+          request.abort();
+          defer.reject(new TransportError(`GET ${path} aborted`));
+        }
+      }
+    };
   }
 
   /**
    * Send files to chat room, ex. images, videos or files
-   * @param  {String} url           [Url to post the image]
-   * @param  {Object} data=null     [JSON stringify paramater object]
-   * @param  {String} filepath=null [File path]
-   * @return {Promise}              [defer first, then resolve after getting data]
+   * @param  {String} url       [Url to post the content]
+   * @param  {Object} data = {} [form fields, ex. JSON stringified `params`]
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable
+   *                                        stream of the content]
+   * @return {Upload}           [thenable upload resolved with status code and
+   *                             body of the response, or rejected with
+   *                             LineError]
    */
-  postContent(url, data = null, filepath = null) {
-    const defer = Promise.pending();
-    unirest.post(url)
-      .headers({
-        ...this.config.Headers,
-        'Content-Type': 'multipart/form-data'
+  postContent(url, data = {}, source = null) {
+    const upload = new Upload();
+    return upload._run(() => (
+      ContentSource.from(this, source).then((content) => {
+        upload._assertActive();
+        return this._postContent(url, data, content, upload);
       })
-      .timeout(120000)
-      .field(data)
-      .attach('files', filepath)
-      .end((res) => defer.resolve(res));
-    return defer.promise;
+    ));
+  }
+
+  /**
+   * Stream a multipart/form-data request of the fields and the content,
+   * progress of the content is reported to `upload`
+   * @param  {String} url            [Url to post the content]
+   * @param  {Object} fields         [form fields]
+   * @param  {ContentSource} content [content to be uploaded as `files`]
+   * @param  {Upload} upload         [upload reporting progress and abort]
+   * @return {Promise}               [resolved with status code and body]
+   */
+  _postContent(url, fields, content, upload) {
+    const boundary = `----LineUpload${randomBytes(12).toString('hex')}`;
+    const parts = Object.keys(fields).map((name) => (
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+      `${fields[name]}\r\n`
+    ));
+    parts.push(
+      `--${boundary}\r\n` +
+      'Content-Disposition: form-data; name="files"; ' +
+      `filename="${content.name}"\r\n` +
+      `Content-Type: ${content.type}\r\n\r\n`
+    );
+    const head = Buffer.from(parts.join(''));
+    const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+    const headers = {
+      ...this.config.Headers,
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Content-Length': head.length + content.size + tail.length
+    };
+    return new Promise((resolve, reject) => {
+      const onResponse = (response) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('error', (err) => (
+          reject(new TransportError(err.message, err))
+        ));
+        response.on('end', () => {
+          const body = Buffer.concat(chunks).toString();
+          if (response.statusCode >= 400) {
+            reject(new TransportError(
+              `POST ${url} failed with status ${response.statusCode}`
+            ));
+            return;
+          }
+          resolve({ statusCode: response.statusCode, body });
+        });
+      };
+      const request = this._request('POST', url, headers, reject, onResponse);
+      const stream = content.open();
+      let loaded = 0;
+      upload._onAbort(() => {
+        stream.unpipe(request);
+        request.abort();
+      });
+      upload._progress(loaded, content.size);
+      stream.on('data', (chunk) => {
+        loaded += chunk.length;
+        upload._progress(loaded, content.size);
+      });
+      stream.on('error', (err) => {
+        request.abort();
+        reject(new LineError('failed to read the content', err));
+      });
+      stream.on('end', () => request.end(tail));
+      request.write(head);
+      stream.pipe(request, { end: false });
+    });
+  }
+
+  /**
+   * Get content from an URL as a stream, ex. content of a message
+   * on LINE_GET_CONTENT_URL, with the auth headers of this client.
+   * `response` is emitted by the stream with the http response,
+   * and `error` with TransportError if the content can not be fetched,
+   * its `statusCode` is set when the server responded with an error
+   * @param  {String} url     [URL of the content]
+   * @param  {Object} headers [Default to the auth headers of this client]
+   * @return {Stream}         [readable stream of the content]
+   */
+  getContentStream(url, headers = this.config.Headers) {
+    const stream = new PassThrough();
+    let failed = false;
+    const fail = (err) => {
+      if (!failed) {
+        failed = true;
+        stream.emit('error', err);
+      }
+    };
+    const request = this._request('GET', url, headers, fail, (response) => {
+      if (response.statusCode >= 400) {
+        const err = new TransportError(
+          `GET ${url} failed with status ${response.statusCode}`
+        );
+        err.statusCode = response.statusCode;
+        response.resume();
+        fail(err);
+        return;
+      }
+      response.on('error', (err) => fail(new TransportError(err.message, err)));
+      stream.emit('response', response);
+      response.pipe(stream);
+    });
+    request.end();
+    return stream;
+  }
+
+  /**
+   * Create a node request with the agent, CA and timeout of the transport
+   * @param  {String} method      [http method]
+   * @param  {String} url         [URL of the request]
+   * @param  {Object} headers     [headers of the request]
+   * @param  {Function} onError   [called with TransportError]
+   * @param  {Function} onResponse [called with the response]
+   * @return {http.ClientRequest} [request to be written and ended]
+   */
+  _request(method, url, headers, onError, onResponse) {
+    const target = parseUrl(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const request = transport.request({
+      method,
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: target.path,
+      headers,
+      ...this.transport.requestOptions(url)
+    }, onResponse);
+    request.setTimeout(this.transport.timeout, () => {
+      request.abort();
+      onError(new TransportError(`${method} ${url} timed out`));
+    });
+    request.on('error', (err) => (
+      onError(new TransportError(err.message, err))
+    ));
+    return request;
+  }
+
+  /**
+   * Apply proxy, CA and timeout of the transport to an `unirest` request
+   * @param  {Object} request [unirest request]
+   * @param  {String} url     [URL of the request]
+   * @return {Object}         [the same unirest request for chaining]
+   */
+  _applyTransport(request, url) {
+    Object.assign(request.options, this.transport.requestOptions(url));
+    return request.timeout(this.transport.timeout);
   }
 }
@@ -0,0 +1,377 @@
+import { EventEmitter } from 'events';
+import Promise from 'bluebird';
+import { Contact, MIDType } from 'curve-thrift/line_types';
+
+import { compose, TokenBucket } from './middleware';
+import { LineContact } from './models';
+
+const SCOPES = {
+  [MIDType.USER]: 'contact',
+  [MIDType.GROUP]: 'group',
+  [MIDType.ROOM]: 'room'
+};
+
+const TOKEN_REGEX = /"([^"]*)"|'([^']*)'|(\S+)/g;
+
+/**
+ * Split arguments of a command by spaces, quoted arguments may
+ * contain spaces: `say "hello world" twice` => ['say', 'hello world', 'twice']
+ * @param  {String} text [text after the command prefix]
+ * @return {Array}       [arguments]
+ */
+export function parseArgs(text) {
+  const args = [];
+  let token = TOKEN_REGEX.exec(text);
+  while (token) {
+    args.push(token.slice(1).find((group) => group !== undefined));
+    token = TOKEN_REGEX.exec(text);
+  }
+  TOKEN_REGEX.lastIndex = 0;
+  return args;
+}
+
+/**
+ * Name the arguments of a command, the last name prefixed by `...`
+ * receives the rest of arguments joined by space
+ * @param  {Array} names [names of arguments, ex. ['user', '...reason']]
+ * @param  {Array} args  [arguments parsed by parseArgs]
+ * @return {Object}      [arguments by name]
+ */
+export function nameArgs(names, args) {
+  const params = {};
+  names.forEach((name, index) => {
+    if (name.indexOf('...') === 0) {
+      params[name.slice(3)] = args.slice(index).join(' ');
+    } else {
+      params[name] = args[index];
+    }
+  });
+  return params;
+}
+
+/**
+ * Context of a message handled by Router, replies are sent to the group
+ * or room of the message, or to the sender of a 1:1 message
+ */
+export class Context {
+  /**
+   * Constructor of Context
+   * @param  {Router} bot           [router handling the message]
+   * @param  {LineClient} client    [client receiving the message]
+   * @param  {LineMessage} message  [received message]
+   * @param  {Operation} operation  [operation of the message]
+   */
+  constructor(bot, client, message, operation) {
+    this.bot = bot;
+    this.client = client;
+    this.message = message;
+    this.operation = operation;
+    this.text = message.text || '';
+    this.sender = message.sender;
+    this.scope = SCOPES[message.toType] || 'contact';
+    this.chat = this.scope === 'contact' ? message.sender : message.receiver;
+    this.command = null;
+    this.args = [];
+    this.params = {};
+    this.match = null;
+    this.state = {};
+  }
+
+  reply(text) {
+    return this.chat.sendMessage(text);
+  }
+
+  /**
+   * Fetch the chat when its contact, group or room is not cached yet.
+   * The sender of a 1:1 message which cannot be fetched is replied by
+   * its id, with a LineContact holding the id only
+   * @return {Promise} [resolved with the chat]
+   */
+  _fetchChat() {
+    if (this.chat) {
+      return Promise.resolve(this.chat);
+    }
+    const isContact = this.scope === 'contact';
+    const id = isContact ? this.message.senderId : this.message.receiverId;
+    const midType = isContact ? MIDType.USER : this.message.toType;
+    return this.client.fetchContactOrRoomOrGroupById(id, midType)
+      .catch((err) => {
+        if (!isContact) {
+          throw err;
+        }
+        return null;
+      })
+      .then((chat) => {
+        this.chat = chat ||
+          new LineContact(this.client, new Contact({ mid: id }));
+        if (isContact && !this.sender) {
+          this.sender = this.chat;
+        }
+        return this.chat;
+      });
+  }
+
+  /**
+   * Mark the message and older messages of the chat as read
+   * @return {Promise} [return promise of LineMessage#markAsRead]
+   */
+  markRead() {
+    return this.message.markAsRead();
+  }
+
+  replySticker(...args) {
+    return this.chat.sendSticker(...args);
+  }
+
+  /**
+   * Reply an image from a path or an URL
+   * @param  {String} pathOrUrl [path of the image file, or http(s) URL]
+   * @return {Promise}          [return promise of sending the image]
+   */
+  replyImage(pathOrUrl) {
+    return /^https?:\/\//.test(pathOrUrl) ?
+      this.chat.sendImageWithURL(pathOrUrl) :
+      this.chat.sendImage(pathOrUrl);
+  }
+}
+
+/**
+ * Route received messages to command handlers through middlewares.
+ * Middlewares and handlers return promises, middlewares are in the same
+ * shape as the ones of LineAPI#use but called with the context:
+ *
+ *   router.use((next) => (ctx) => {
+ *     console.log(ctx.text);
+ *     return next(ctx);
+ *   });
+ *   router.command('echo', (ctx) => ctx.reply(ctx.params.text), {
+ *     args: ['...text'], description: 'repeat the text'
+ *   });
+ */
+export class Router extends EventEmitter {
+  /**
+   * Constructor of Router
+   * @param  {String} prefix = '/' [prefix of commands]
+   * @param  {Boolean} help = true [reply help to unknown commands]
+   */
+  constructor({ prefix = '/', help = true } = {}) {
+    super();
+    this.prefix = prefix;
+    this.helpEnabled = help;
+    this.commands = [];
+    this._middlewares = [];
+    this._pipeline = null;
+  }
+
+  /**
+   * Add a middleware called before every command
+   * @param  {Function} middleware [(next) => (ctx) => Promise]
+   * @return {Router}              [this]
+   */
+  use(middleware) {
+    this._middlewares.push(middleware);
+    this._pipeline = null;
+    return this;
+  }
+
+  /**
+   * Register a command
+   * @param  {String|RegExp} pattern [command name called with prefix, or
+   *                                  RegExp tested against the whole text]
+   * @param  {Function} handler      [(ctx) => Promise]
+   * @param  {Object} options = {}
+   * @param  {Array} options.args    [names of arguments, see nameArgs]
+   * @param  {String|Array} options.scope [Default to every scope, 'contact',
+   *                                       'group' or 'room' the command
+   *                                       is available in]
+   * @param  {String} options.description [description shown by help]
+   * @return {Router}                [this]
+   */
+  command(pattern, handler, options = {}) {
+    const scope = options.scope ? [].concat(options.scope) : null;
+    this.commands.push({
+      pattern,
+      handler,
+      scope,
+      args: options.args || [],
+      description: options.description || ''
+    });
+    return this;
+  }
+
+  /**
+   * Handle a received message
+   * @param  {LineClient} client   [client receiving the message]
+   * @param  {LineMessage} message [received message]
+   * @param  {Operation} operation [operation of the message]
+   * @return {Promise}             [resolved with true if a command handled it]
+   */
+  handle(client, message, operation) {
+    const ctx = new Context(this, client, message, operation);
+    if (!this._pipeline) {
+      this._pipeline =
+        compose(this._middlewares, (context) => this._dispatch(context));
+    }
+    return ctx._fetchChat()
+      .then(() => this._pipeline(ctx))
+      .then((handled) => !!handled);
+  }
+
+  /**
+   * Help text of commands available in a scope
+   * @param  {String} scope [Default to every scope]
+   * @return {String}       [one line of each command]
+   */
+  help(scope) {
+    return this.commands
+      .filter((command) => typeof command.pattern === 'string')
+      .filter((command) => this._inScope(command, scope))
+      .map((command) => {
+        const args = command.args.map((name) => `<${name}>`).join(' ');
+        const usage = `${this.prefix}${command.pattern} ${args}`.trim();
+        return command.description ?
+          `${usage} - ${command.description}` :
+          usage;
+      })
+      .join('\n');
+  }
+
+  _dispatch(ctx) {
+    for (let i = 0, len = this.commands.length; i < len; i++) {
+      const command = this.commands[i];
+      const matched =
+        this._inScope(command, ctx.scope) && this._match(command, ctx.text);
+      if (matched) {
+        Object.assign(ctx, matched, {
+          params: nameArgs(command.args, matched.args)
+        });
+        return Promise.try(() => command.handler(ctx)).then(() => true);
+      }
+    }
+    if (this.helpEnabled && this._isCommand(ctx.text)) {
+      return ctx.reply(this.help(ctx.scope) || 'No command is available')
+        .then(() => false);
+    }
+    return Promise.resolve(false);
+  }
+
+  /**
+   * Match text with the pattern of a command
+   * @param  {Object} command [registered command]
+   * @param  {String} text    [text of the message]
+   * @return {Object}         [command, args and match of the text,
+   *                           null if the text does not match]
+   */
+  _match(command, text) {
+    if (command.pattern instanceof RegExp) {
+      const match = text.match(command.pattern);
+      return match ? { match, args: match.slice(1) } : null;
+    }
+    if (!this._isCommand(text)) {
+      return null;
+    }
+    const [name, ...args] = parseArgs(text.slice(this.prefix.length));
+    return name === command.pattern ? { command: name, args } : null;
+  }
+
+  _isCommand(text) {
+    return text.length > this.prefix.length && text.indexOf(this.prefix) === 0;
+  }
+
+  _inScope(command, scope) {
+    return !scope || !command.scope || command.scope.indexOf(scope) >= 0;
+  }
+}
+
+/**
+ * Router handling `message` events of a LineClient. Errors of handlers
+ * are emitted as `error` when listened, or logged by the client logger.
+ * Handled messages are marked as read when auto-mark is enabled for their
+ * chat in `client.receipts`
+ */
+export class Bot extends Router {
+  /**
+   * Constructor of Bot
+   * @param  {LineClient} client [client receiving messages]
+   * @param  {Object} options    [options of Router]
+   */
+  constructor(client, options = {}) {
+    super(options);
+    this.client = client;
+    this._onMessage = (message, operation) => {
+      this.handle(client, message, operation)
+        .then(() => client.receipts.handled(message))
+        .catch((err) => {
+          if (this.listenerCount('error') > 0) {
+            this.emit('error', err, message);
+          } else {
+            client.logger.error('bot handler failed', { error: err.message });
+          }
+        });
+    };
+  }
+
+  /**
+   * Listen messages and start polling of the client
+   * @return {Promise} [return promise of LineClient#start]
+   */
+  start() {
+    this.client.removeListener('message', this._onMessage);
+    this.client.on('message', this._onMessage);
+    return this.client.start();
+  }
+
+  /**
+   * Stop listening messages, polling of the client is stopped as well
+   * @return {Promise} [return promise of LineClient#stop]
+   */
+  stop() {
+    this.client.removeListener('message', this._onMessage);
+    return this.client.stop();
+  }
+}
+
+/**
+ * Middleware handling messages only from the given contacts
+ * @param  {Array} ids [ids of allowed contacts]
+ * @return {Function}  [middleware]
+ */
+export function onlyFrom(ids) {
+  return (next) => (ctx) => (
+    ids.indexOf(ctx.message.senderId) >= 0 ?
+      next(ctx) :
+      Promise.resolve(false)
+  );
+}
+
+/**
+ * Middleware dropping messages of a sender sending faster than the limit.
+ * Buckets of senders are dropped once they are refilled, checked at most
+ * once in the time a bucket takes to be refilled from empty
+ * @param  {Number} capacity  [messages allowed in a burst]
+ * @param  {Number} perSecond [messages allowed per second]
+ * @return {Function}         [middleware]
+ */
+export function throttle(capacity, perSecond) {
+  const buckets = new Map();
+  const pruneInterval = capacity / perSecond * 1000;
+  let prunedAt = Date.now();
+  const prune = () => {
+    prunedAt = Date.now();
+    buckets.forEach((bucket, id) => {
+      if (bucket.isFull()) {
+        buckets.delete(id);
+      }
+    });
+  };
+  return (next) => (ctx) => {
+    if (Date.now() - prunedAt >= pruneInterval) {
+      prune();
+    }
+    const id = ctx.message.senderId;
+    if (!buckets.has(id)) {
+      buckets.set(id, new TokenBucket(capacity, perSecond));
+    }
+    return buckets.get(id).tryTake() ? next(ctx) : Promise.resolve(false);
+  };
+}
@@ -0,0 +1,127 @@
+import Promise from 'bluebird';
+
+function compareIds(a, b) {
+  if (a.id === b.id) {
+    return 0;
+  }
+  return a.id < b.id ? -1 : 1;
+}
+
+/**
+ * Entities (LineContact, LineGroup or LineRoom) of a client indexed by id
+ * and name. `values()` returns them sorted by id
+ */
+export class EntityCache {
+  constructor() {
+    this._byId = new Map();
+    this._byName = new Map();
+    this._sorted = null;
+    this._loading = new Map();
+  }
+
+  get size() {
+    return this._byId.size;
+  }
+
+  has(id) {
+    return this._byId.has(id);
+  }
+
+  get(id) {
+    return this._byId.get(id);
+  }
+
+  /**
+   * Get the first entity, sorted by id, named `name`
+   * @param  {String} name [name of the entity]
+   * @return {Object}      [entity, undefined if not found]
+   */
+  getByName(name) {
+    const ids = this._byName.get(name);
+    if (!ids || ids.size === 0) {
+      return undefined;
+    }
+    return this.get(Array.from(ids).sort()[0]);
+  }
+
+  /**
+   * Add an entity, or replace the one having the same id
+   * @param  {Object} entity [entity with `id` and optional `name`]
+   * @return {Object}        [the entity]
+   */
+  set(entity) {
+    this.delete(entity.id);
+    this._byId.set(entity.id, entity);
+    if (entity.name != null) {
+      if (!this._byName.has(entity.name)) {
+        this._byName.set(entity.name, new Set());
+      }
+      this._byName.get(entity.name).add(entity.id);
+    }
+    this._sorted = null;
+    return entity;
+  }
+
+  /**
+   * Remove an entity
+   * @param  {String} id [id of the entity]
+   * @return {Boolean}   [false if the entity is not cached]
+   */
+  delete(id) {
+    const entity = this._byId.get(id);
+    if (!entity) {
+      return false;
+    }
+    this._byId.delete(id);
+    const ids = this._byName.get(entity.name);
+    if (ids) {
+      ids.delete(id);
+      if (ids.size === 0) {
+        this._byName.delete(entity.name);
+      }
+    }
+    this._sorted = null;
+    return true;
+  }
+
+  /**
+   * Replace all entities
+   * @param  {Array} entities [new entities]
+   */
+  reset(entities = []) {
+    this._byId.clear();
+    this._byName.clear();
+    this._sorted = null;
+    entities.forEach((entity) => this.set(entity));
+  }
+
+  /**
+   * Entities sorted by id, the sorted array is kept until the cache
+   * is changed and a copy of it is returned
+   * @return {Array} [cached entities]
+   */
+  values() {
+    if (!this._sorted) {
+      this._sorted = Array.from(this._byId.values()).sort(compareIds);
+    }
+    return this._sorted.slice();
+  }
+
+  /**
+   * Load an entity with `loader` and cache it, concurrent loads of the
+   * same id share one call
+   * @param  {String} id       [id of the entity]
+   * @param  {Function} loader [returns a promise of the entity, or null
+   *                            when it should not be cached]
+   * @return {Promise}         [resolved with the cached entity]
+   */
+  load(id, loader) {
+    if (!this._loading.has(id)) {
+      const loading = Promise.try(loader)
+        .then((entity) => (entity ? this.set(entity) : entity))
+        .finally(() => this._loading.delete(id));
+      this._loading.set(id, loading);
+    }
+    return this._loading.get(id);
+  }
+}
@@ -0,0 +1,134 @@
+import {
+  readFile as fsReadFile,
+  writeFile as fsWriteFile,
+  rename as fsRename
+} from 'fs';
+
+import Promise from 'bluebird';
+import { OpType } from 'curve-thrift/line_types';
+
+const readFile = Promise.promisify(fsReadFile);
+const writeFile = Promise.promisify(fsWriteFile);
+const rename = Promise.promisify(fsRename);
+
+/**
+ * Keep the last processed revision in memory, it is lost when process exits
+ */
+export class MemoryCheckpointStore {
+  constructor() {
+    this.revision = null;
+  }
+
+  /**
+   * Load the last saved revision
+   * @return {Promise} [return saved revision, or null if nothing saved]
+   */
+  load() {
+    return Promise.resolve(this.revision);
+  }
+
+  /**
+   * Save the last processed revision
+   * @param  {Number} revision [revision of the last processed operation]
+   * @return {Promise}         [resolved after revision is saved]
+   */
+  save(revision) {
+    this.revision = revision;
+    return Promise.resolve(revision);
+  }
+}
+
+/**
+ * Keep the last processed revision in a JSON file, so that operations
+ * arriving while the process restarts can be replayed from it
+ */
+export class FileCheckpointStore {
+  /**
+   * Constructor of FileCheckpointStore
+   * @param  {String} filepath [path of the JSON file to keep revision]
+   */
+  constructor(filepath) {
+    if (!filepath) {
+      throw new Error('filepath of checkpoint file is needed');
+    }
+    this.filepath = filepath;
+    this._writing = Promise.resolve();
+  }
+
+  load() {
+    return readFile(this.filepath, 'utf8')
+      .then((content) => JSON.parse(content).revision)
+      .catch((err) => {
+        if (err.code === 'ENOENT') {
+          return null;
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Save revision by writing a temporary file and renaming it,
+   * writes are queued so a later revision never gets overwritten
+   * @param  {Number} revision [revision of the last processed operation]
+   * @return {Promise}         [resolved after revision is written to file]
+   */
+  save(revision) {
+    const tmpPath = `${this.filepath}.tmp`;
+    const content = JSON.stringify({ revision, savedAt: Date.now() });
+    this._writing = this._writing
+      .catch(() => null)
+      .then(() => writeFile(tmpPath, content))
+      .then(() => rename(tmpPath, this.filepath))
+      .then(() => revision);
+    return this._writing;
+  }
+}
+
+/**
+ * Remember keys of recently handled operations, so operations delivered
+ * again by the server are not emitted twice
+ */
+export class OperationDeduper {
+  /**
+   * Constructor of OperationDeduper
+   * @param  {Number} size = 1000 [number of recent operation keys to remember]
+   */
+  constructor(size = 1000) {
+    this.size = size;
+    this._keys = new Set();
+  }
+
+  /**
+   * Get the key of an operation, message operations are keyed by message id
+   * so that the same message is recognized under another revision
+   * @param  {Operation} operation [operation from fetchOperations]
+   * @return {String}              [key of the operation]
+   */
+  static keyOf(operation) {
+    if (operation.message && operation.message.id) {
+      return `${operation.type}:${operation.message.id}`;
+    }
+    return `${operation.type}@${operation.revision}`;
+  }
+
+  /**
+   * Check the operation is handled before or not
+   * @param  {Operation} operation [operation from fetchOperations]
+   * @param  {Number} revision     [revision which has been processed]
+   * @return {Boolean}             [true if the operation should be skipped]
+   */
+  isDuplicate(operation, revision) {
+    if (operation.type === OpType.END_OF_OPERATION) {
+      return false;
+    }
+    return Number(operation.revision) <= Number(revision) ||
+      this._keys.has(OperationDeduper.keyOf(operation));
+  }
+
+  remember(operation) {
+    this._keys.add(OperationDeduper.keyOf(operation));
+    if (this._keys.size > this.size) {
+      this._keys.delete(this._keys.values().next().value);
+    }
+  }
+}
@@ -1,13 +1,139 @@
 import Promise from 'bluebird';
 // Promise.longStackTraces()
 import {
-  OpType,
-  MIDType,
-  TalkException
+  OpType, MIDType, ContactSetting, Message
 } from 'curve-thrift/line_types';
 
 import { LineAPI } from './api';
-import { LineRoom, LineGroup, LineContact, LineMessage } from './models';
+import { MemoryCheckpointStore, OperationDeduper } from './checkpoints';
+import { MemorySessionStore } from './sessions';
+import {
+  AuthExpiredError,
+  LineError,
+  NotAuthenticatedError,
+  TalkError
+} from './errors';
+import { EntityCache } from './cache';
+import { ReceiptTracker } from './receipts';
+import { StickerCatalog } from './stickers';
+import { Outbox } from './outbox';
+import { CONTENT_KINDS, ContentSource, Upload } from './upload';
+import { toInt64 } from './history';
+import { Group } from './talkService';
+import {
+  LineRoom, LineGroup, LineContact, LineProfile, LineMessage
+} from './models';
+
+/**
+ * Event names emitted by `LineClient#start` for each OpType,
+ * operations without a name here are emitted as `unknownOp`
+ */
+const OP_EVENT_NAMES = {
+  [OpType.UPDATE_PROFILE]: 'updateProfile',
+  [OpType.NOTIFIED_UPDATE_PROFILE]: 'profileUpdated',
+  [OpType.ADD_CONTACT]: 'addContact',
+  [OpType.NOTIFIED_ADD_CONTACT]: 'contactAdded',
+  [OpType.BLOCK_CONTACT]: 'blockContact',
+  [OpType.UNBLOCK_CONTACT]: 'unblockContact',
+  [OpType.UPDATE_CONTACT]: 'updateContact',
+  [OpType.CREATE_GROUP]: 'createGroup',
+  [OpType.UPDATE_GROUP]: 'updateGroup',
+  [OpType.NOTIFIED_UPDATE_GROUP]: 'groupUpdated',
+  [OpType.INVITE_INTO_GROUP]: 'inviteIntoGroup',
+  [OpType.NOTIFIED_INVITE_INTO_GROUP]: 'groupInvite',
+  [OpType.LEAVE_GROUP]: 'leaveGroup',
+  [OpType.NOTIFIED_LEAVE_GROUP]: 'groupLeft',
+  [OpType.ACCEPT_GROUP_INVITATION]: 'acceptGroupInvitation',
+  [OpType.NOTIFIED_ACCEPT_GROUP_INVITATION]: 'groupJoined',
+  [OpType.KICKOUT_FROM_GROUP]: 'kickoutFromGroup',
+  [OpType.NOTIFIED_KICKOUT_FROM_GROUP]: 'groupKickout',
+  [OpType.CANCEL_INVITATION_GROUP]: 'cancelGroupInvitation',
+  [OpType.NOTIFIED_CANCEL_INVITATION_GROUP]: 'groupInviteCancelled',
+  [OpType.REJECT_GROUP_INVITATION]: 'rejectGroupInvitation',
+  [OpType.NOTIFIED_REJECT_GROUP_INVITATION]: 'groupInviteRejected',
+  [OpType.CREATE_ROOM]: 'createRoom',
+  [OpType.INVITE_INTO_ROOM]: 'inviteIntoRoom',
+  [OpType.NOTIFIED_INVITE_INTO_ROOM]: 'roomInvite',
+  [OpType.LEAVE_ROOM]: 'leaveRoom',
+  [OpType.NOTIFIED_LEAVE_ROOM]: 'roomLeft',
+  [OpType.SEND_MESSAGE]: 'sendMessage',
+  [OpType.RECEIVE_MESSAGE]: 'message',
+  [OpType.FAILED_SEND_MESSAGE]: 'sendMessageFailed',
+  [OpType.SEND_CHAT_CHECKED]: 'chatChecked',
+  [OpType.SEND_CHAT_REMOVED]: 'chatRemoved',
+  [OpType.NOTIFIED_READ_MESSAGE]: 'read',
+  [OpType.NOTIFIED_UNREGISTER_USER]: 'userUnregistered'
+};
+
+const MID_SEPARATOR = '\x1e';
+const SNAPSHOT_VERSION = 1;
+
+function containsMid(param, mid) {
+  return !!param && !!mid && param.split(MID_SEPARATOR).indexOf(mid) >= 0;
+}
+
+function toIds(contacts) {
+  return contacts.map((contact) => contact.id || contact);
+}
+
+/**
+ * Patch the entity cache of LineClient for each OpType before the operation
+ * is emitted, `param1` of these operations is the id of the entity
+ */
+const CACHE_UPDATES = {
+  [OpType.UPDATE_PROFILE]: (client) => client.getProfile(),
+  [OpType.NOTIFIED_UPDATE_PROFILE]: (client, op) => (
+    client.getContactById(op.param1) || client._users.has(op.param1) ?
+      client.fetchUser(op.param1) :
+      null
+  ),
+  [OpType.ADD_CONTACT]: (client, op) => client.fetchContact(op.param1),
+  [OpType.UPDATE_CONTACT]: (client, op) => client.fetchContact(op.param1),
+  [OpType.UNBLOCK_CONTACT]: (client, op) => client.fetchContact(op.param1),
+  [OpType.BLOCK_CONTACT]: (client, op) => client._contacts.delete(op.param1),
+  [OpType.CREATE_GROUP]: (client, op) => client.fetchGroup(op.param1),
+  [OpType.UPDATE_GROUP]: (client, op) => client.fetchGroup(op.param1),
+  [OpType.NOTIFIED_UPDATE_GROUP]: (client, op) => client.fetchGroup(op.param1),
+  [OpType.INVITE_INTO_GROUP]: (client, op) => client.fetchGroup(op.param1),
+  [OpType.NOTIFIED_INVITE_INTO_GROUP]: (client, op) => (
+    client.fetchGroup(op.param1)
+  ),
+  [OpType.ACCEPT_GROUP_INVITATION]: (client, op) => (
+    client.fetchGroup(op.param1)
+  ),
+  [OpType.NOTIFIED_ACCEPT_GROUP_INVITATION]: (client, op) => (
+    client.fetchGroup(op.param1)
+  ),
+  [OpType.NOTIFIED_LEAVE_GROUP]: (client, op) => client.fetchGroup(op.param1),
+  [OpType.KICKOUT_FROM_GROUP]: (client, op) => client.fetchGroup(op.param1),
+  [OpType.CANCEL_INVITATION_GROUP]: (client, op) => (
+    client.fetchGroup(op.param1)
+  ),
+  [OpType.NOTIFIED_REJECT_GROUP_INVITATION]: (client, op) => (
+    client.fetchGroup(op.param1)
+  ),
+  [OpType.NOTIFIED_KICKOUT_FROM_GROUP]: (client, op) => (
+    containsMid(op.param3, client.profile && client.profile.id) ?
+      client._groups.delete(op.param1) :
+      client.fetchGroup(op.param1)
+  ),
+  [OpType.NOTIFIED_CANCEL_INVITATION_GROUP]: (client, op) => (
+    containsMid(op.param3, client.profile && client.profile.id) ?
+      client._groups.delete(op.param1) :
+      client.fetchGroup(op.param1)
+  ),
+  [OpType.LEAVE_GROUP]: (client, op) => client._groups.delete(op.param1),
+  [OpType.REJECT_GROUP_INVITATION]: (client, op) => (
+    client._groups.delete(op.param1)
+  ),
+  [OpType.CREATE_ROOM]: (client, op) => client.fetchRoom(op.param1),
+  [OpType.INVITE_INTO_ROOM]: (client, op) => client.fetchRoom(op.param1),
+  [OpType.NOTIFIED_INVITE_INTO_ROOM]: (client, op) => (
+    client.fetchRoom(op.param1)
+  ),
+  [OpType.NOTIFIED_LEAVE_ROOM]: (client, op) => client.fetchRoom(op.param1),
+  [OpType.LEAVE_ROOM]: (client, op) => client._rooms.delete(op.param1)
+};
 
 function getOpTypeNameFromValue(operationValue) {
   for (const operationName in OpType) { // eslint-disable-line no-restricted-syntax
@@ -24,19 +150,47 @@ export class LineClient extends LineAPI {
    * @param  {String}  password    =   null    [Default to null, password of client]
    * @param  {String}  authToken   =   null    [Default to null, authentication token of LINE]
    * @param  {String}  certificate =   null    [Default to null, certification of LINE]
+   * @param  {Object}  checkpointStore = null [Default to MemoryCheckpointStore,
+   *                                           store of the last processed revision]
+   * @param  {Object}  sessionStore = null    [Default to MemorySessionStore,
+   *                                           store of authToken and certificate]
+   * @param  {Object}  outboxStore = null     [Default to MemoryOutboxStore,
+   *                                           store of queued messages]
+   * @param  {Object}  config = {}            [Default to empty object,
+   *                                           values overriding default config]
+   * @param  {Object}  logger = null          [Default to silent logger,
+   *                                           logger of debug, info, warn and
+   *                                           error with (message, fields)]
+   * @param  {Function} onPrompt = null       [Default to alertOrConsoleLog,
+   *                                           called with (message, details)
+   *                                           when user has to act]
+   * @param  {Boolean} autoMarkRead = false   [Default to false, mark messages
+   *                                           handled by Bot as read, see
+   *                                           ReceiptTracker#setAutoMark]
    */
   constructor(options = {
     id: null, password: null,
-    authToken: null, certificate: null
+    authToken: null, certificate: null,
+    checkpointStore: null, sessionStore: null, outboxStore: null,
+    config: {}, logger: null, onPrompt: null,
+    autoMarkRead: false
   }) {
-    super();
-    if (!(options.authToken || options.id && options.password)) {
-      throw new Error('id and password or authToken is needed');
+    super(options.config, options);
+    if (!(options.authToken || options.id && options.password ||
+      options.sessionStore)) {
+      throw new Error('id and password, authToken or sessionStore is needed');
     }
 
     this.id = options.id;
     this.password = options.password;
     this.certificate = options.certificate;
+    this.checkpointStore =
+      options.checkpointStore || new MemoryCheckpointStore();
+    this._deduper = new OperationDeduper();
+    this._deliveries = new Map();
+    this._restoredRevision = null;
+    this.sessionStore = options.sessionStore || new MemorySessionStore();
+    this._relogin = null;
 
     if (this.config.platform === 'MAC') {
       // this.config.Headers['User-Agent'] = `DESKTOP:MAC:${this.config.version}(10.9.4-MAVERICKS-x64)`;
@@ -51,45 +205,240 @@ export class LineClient extends LineAPI {
     if (options.authToken) {
       this.authToken = options.authToken;
       this.config.Headers['X-Line-Access'] = options.authToken;
+      this._sessionLoaded = Promise.resolve();
     } else {
-      this._setProvider(options.id);
+      this._sessionLoaded = this._loadSession();
+      this._sessionLoaded.catch((err) => {
+        this.logger.warn('session could not be loaded', {
+          error: err.message
+        });
+      });
     }
 
-    this.contacts = [];
-    this.rooms = [];
-    this.groups = [];
+    this._contacts = new EntityCache();
+    this._users = new EntityCache();
+    this._groups = new EntityCache();
+    this._rooms = new EntityCache();
+    this.receipts =
+      new ReceiptTracker(this, { autoMark: !!options.autoMarkRead });
+    this.stickers = new StickerCatalog(this, this.config.stickers);
+    this.outbox = new Outbox(this, {
+      ...this.config.outbox,
+      store: options.outboxStore
+    });
+    this.on('relogin', () => this._flushOutbox());
+  }
+
+  /**
+   * Contacts sorted by id
+   * @return {Array} [LineContact of every contact]
+   */
+  get contacts() {
+    return this._contacts.values();
+  }
+
+  /**
+   * Replace every cached contact
+   * @param  {Array} contacts [LineContact of every contact]
+   */
+  set contacts(contacts) {
+    this._contacts.reset(contacts);
+  }
+
+  /**
+   * Joined and invited groups sorted by id
+   * @return {Array} [LineGroup of every group]
+   */
+  get groups() {
+    return this._groups.values();
+  }
+
+  /**
+   * Replace every cached group
+   * @param  {Array} groups [LineGroup of every group]
+   */
+  set groups(groups) {
+    this._groups.reset(groups);
+  }
+
+  /**
+   * Active rooms sorted by id
+   * @return {Array} [LineRoom of every room]
+   */
+  get rooms() {
+    return this._rooms.values();
+  }
+
+  /**
+   * Replace every cached room
+   * @param  {Array} rooms [LineRoom of every room]
+   */
+  set rooms(rooms) {
+    this._rooms.reset(rooms);
   }
 
   /**
    * Login to LINE
    * @return {Promise} [If login successfully return result with authToken
-   *                   and certificate, or return error message]
+   *                   and certificate, or rejected with LineError]
    */
   login() {
-    const loginPromise = this.authToken ?
-      this._tokenLogin(this.authToken, this.certificate) :
-      this._login(this.id, this.password);
-    return loginPromise.then((result) => {
+    return this._sessionLoaded.then(() => (
+      this.authToken ?
+        this._tokenLogin(this.authToken, this.certificate) :
+        this._login(this.id, this.password, this.certificate)
+    )).then((result) => {
       if (result.authToken && !this.authToken) {
         this.authToken = result.authToken;
       }
-      if (result.certificate && !this.certificate) {
+      if (result.certificate) {
         this.certificate = result.certificate;
       }
-      return Promise.join(
-        this.getLastOpRevision(),
+      return this._saveSession();
+    }).then(() => (
+      Promise.join(
+        this.resumeRevision(),
         this.getProfile(),
         this.refreshContacts(),
         this.refreshGroups(),
         this.refreshActiveRooms()
-      ).catch((err) => err);
+      )
+    )).tap(() => this._flushOutbox());
+  }
+
+  /**
+   * Snapshot of the profile, the caches and the revision as JSON, it can
+   * be written to a file and given to `restore` of a restarted client
+   * @return {Object} [JSON of the state, see LineContact#toJSON,
+   *                   LineGroup#toJSON and LineRoom#toJSON]
+   */
+  snapshot() {
+    const toJSON = (entity) => entity.toJSON();
+    const revision = this.revision === undefined ?
+      this._restoredRevision :
+      this.revision;
+    return {
+      version: SNAPSHOT_VERSION,
+      revision: revision === null ? null : Number(revision),
+      profile: this.profile ? this.profile.toJSON() : null,
+      contacts: this.contacts.map(toJSON),
+      groups: this.groups.map(toJSON),
+      rooms: this.rooms.map(toJSON),
+      createdAt: Date.now()
+    };
+  }
+
+  /**
+   * Fill the profile, the caches and the revision from a snapshot, so they
+   * are available before `login` has refreshed them. `start` resumes from
+   * the revision of the snapshot unless the checkpoint store has one, see
+   * `resumeRevision`
+   * @param  {Object} snapshot [JSON returned by `snapshot`]
+   * @return {LineClient}      [this]
+   */
+  restore(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new LineError(
+        `snapshot version ${snapshot && snapshot.version} is not supported`
+      );
+    }
+    this.profile = snapshot.profile ?
+      LineProfile.fromJSON(this, snapshot.profile) :
+      this.profile;
+    this._contacts.reset(snapshot.contacts.map((data) => (
+      LineContact.fromJSON(this, data)
+    )));
+    this._groups.reset(snapshot.groups.map((data) => (
+      LineGroup.fromJSON(this, data)
+    )));
+    this._rooms.reset(snapshot.rooms.map((data) => (
+      LineRoom.fromJSON(this, data)
+    )));
+    this._restoredRevision = snapshot.revision;
+    return this;
+  }
+
+  /**
+   * Send messages queued in the outbox, ex. after login
+   */
+  _flushOutbox() {
+    this.outbox.flush().catch((err) => {
+      this.logger.error('outbox flush failed', { error: err.message });
+    });
+  }
+
+  /**
+   * Login again with id and password when authToken is expired,
+   * concurrent calls share the same login
+   * @return {Promise} [return result with new authToken and certificate]
+   */
+  relogin() {
+    if (!(this.id && this.password)) {
+      return Promise.reject(
+        new LineError('id and password are needed to login again')
+      );
+    }
+    if (!this._relogin) {
+      this.authToken = null;
+      this._relogin = this._login(this.id, this.password, this.certificate)
+        .then((result) => {
+          this.authToken = result.authToken;
+          this.certificate = result.certificate || this.certificate;
+          return this._saveSession().then(() => {
+            this.emit('relogin', result);
+            return result;
+          });
+        })
+        .finally(() => {
+          this._relogin = null;
+        });
+    }
+    return this._relogin;
+  }
+
+  /**
+   * Call TalkService method, when authToken is expired (AuthExpiredError)
+   * login again with credentials and re-issue the call.
+   * Without credentials the saved session is cleared and the error is thrown
+   */
+  _call(method, ...args) {
+    return super._call(method, ...args).catch((err) => {
+      if (!(err instanceof AuthExpiredError)) {
+        throw err;
+      }
+      if (!(this.id && this.password)) {
+        this.logger.warn('authToken expired', { method });
+        this.authToken = null;
+        return this.sessionStore.clear().then(() => {
+          throw err;
+        });
+      }
+      this.logger.info('authToken expired, login again', { method });
+      return this.relogin().then(() => super._call(method, ...args));
+    });
+  }
+
+  _loadSession() {
+    return this.sessionStore.load().then((session) => {
+      if (session && session.authToken) {
+        this.authToken = session.authToken;
+        this.certificate = session.certificate || this.certificate;
+        this.config.Headers['X-Line-Access'] = session.authToken;
+      }
+    });
+  }
+
+  _saveSession() {
+    return this.sessionStore.save({
+      authToken: this.authToken,
+      certificate: this.certificate
     });
   }
 
   /**
    * Get last operation revision
    * @return {Promise} [return revision when promise successfully,
-   *                    or return promise with error message]
+   *                    or rejected with LineError]
    */
   getLastOpRevision() {
     if (this._checkAuth()) {
@@ -99,23 +448,76 @@ export class LineClient extends LineAPI {
           return this.revision;
         });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Resume `this.revision` from the checkpoint store, so operations missed
+   * while the client was down are replayed by `start`.
+   * Fall back to the revision restored from a snapshot, or the last
+   * operation revision when nothing was saved
+   * @return {Promise} [return revision to resume polling from]
+   */
+  resumeRevision() {
+    return this.checkpointStore.load().then((revision) => {
+      if (revision !== null && revision !== undefined) {
+        this.revision = revision;
+      } else if (this.revision === undefined &&
+        this._restoredRevision !== null) {
+        this.revision = this._restoredRevision;
+      }
+      return this.revision === undefined ?
+        this.getLastOpRevision() :
+        this.revision;
+    });
   }
 
   /**
    * Get profile of client
    * @return {Promise} [return profile when promise successfully,
-   *                    or return promise with error message]
+   *                    or rejected with LineError]
    */
   getProfile() {
     if (this._checkAuth()) {
       return this._getProfile()
         .then((profile) => {
-          this.profile = new LineContact(this, profile);
+          if (this.profile) {
+            this.profile._setContact(profile);
+          } else {
+            this.profile = new LineProfile(this, profile);
+          }
           return this.profile;
         });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Update an attribute of the profile, then get the profile again
+   * @param  {Number} attribute [ProfileAttribute, ex. STATUS_MESSAGE]
+   * @param  {String} value     [new value of the attribute]
+   * @return {Promise}          [return the updated LineProfile]
+   */
+  updateProfileAttribute(attribute, value) {
+    if (this._checkAuth()) {
+      return this._updateProfileAttribute(attribute, value)
+        .then(() => this.getProfile());
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Upload the profile picture, then get the profile again
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @return {Upload}          [thenable upload resolved with the updated
+   *                            LineProfile]
+   */
+  updateProfilePicture(source) {
+    return this._uploadPicture(
+      this.config.LINE_PROFILE_PICTURE_URL,
+      this.profile && this.profile.id, source,
+      () => this.getProfile()
+    );
   }
 
   /**
@@ -124,11 +526,7 @@ export class LineClient extends LineAPI {
    * @return {LineContact} [LineContact which name matches the passing parameter]
    */
   getContactByName(name) {
-    for (let i = 0, len = this.contacts.length; i < len; i++) {
-      if (this.contacts[i].name === name) {
-        return this.contacts[i];
-      }
-    }
+    return this._contacts.getByName(name);
   }
 
   /**
@@ -137,130 +535,391 @@ export class LineClient extends LineAPI {
    * @return {LineContact} [LineContact which id matches the passing parameter]
    */
   getContactById(id) {
-    for (let i = 0, len = this.contacts.length; i < len; i++) {
-      if (this.contacts[i].id === id) {
-        return this.contacts[i];
-      }
-    }
+    return this._contacts.get(id);
   }
 
   /**
-   * Get a LineContact or LineRoom or LineGroup searching by id
+   * Get a LineContact or LineRoom or LineGroup searching by id,
+   * the profile of client is found by its own id as well
    * @param  {String} id [user id which want to find]
    * @return {LineContact|LineRoom|LineGroup}    [LineContact/LineRoom/LineGroup which id matches the passing parameter]
    */
   getContactOrRoomOrGroupById(id) {
+    if (this._isOwnMid(id)) {
+      return this.profile;
+    }
     return this.getContactById(id) ||
+      this._users.get(id) ||
       this.getRoomById(id) ||
       this.getGroupById(id);
   }
 
+  /**
+   * Fetch a contact and update it in `this.contacts`
+   * @param  {String} id [id of the contact]
+   * @return {Promise}   [return the LineContact when promise successfully,
+   *                      or rejected with LineError]
+   */
+  fetchContact(id) {
+    if (!this._checkAuth()) {
+      return Promise.reject(new NotAuthenticatedError());
+    }
+    return this._contacts.load(id, () => (
+      this._getContact(id).then((contact) => {
+        this._users.delete(id);
+        return contact && new LineContact(this, contact);
+      })
+    ));
+  }
+
+  /**
+   * Fetch a user who may not be a friend, ex. the sender of a message in
+   * a group. Friends are updated in `this.contacts`, the others are cached
+   * apart from them and found by `getContactOrRoomOrGroupById` only
+   * @param  {String} id [id of the user]
+   * @return {Promise}   [return the LineContact when promise successfully,
+   *                      or rejected with LineError]
+   */
+  fetchUser(id) {
+    if (this.getContactById(id)) {
+      return this.fetchContact(id);
+    }
+    if (!this._checkAuth()) {
+      return Promise.reject(new NotAuthenticatedError());
+    }
+    return this._users.load(id, () => (
+      this._getContact(id)
+        .then((contact) => contact && new LineContact(this, contact))
+    ));
+  }
+
+  /**
+   * Fetch a group and update it in `this.groups`
+   * @param  {String} id [id of the group]
+   * @return {Promise}   [return the LineGroup when promise successfully,
+   *                      or rejected with LineError]
+   */
+  fetchGroup(id) {
+    if (!this._checkAuth()) {
+      return Promise.reject(new NotAuthenticatedError());
+    }
+    return this._groups.load(id, () => (
+      this._getGroup(id).then((group) => (
+        group && new LineGroup(this, group, !this._isInvitedTo(group))
+      ))
+    ));
+  }
+
+  /**
+   * Fetch a room and update it in `this.rooms`
+   * @param  {String} id [id of the room]
+   * @return {Promise}   [return the LineRoom when promise successfully,
+   *                      or rejected with LineError]
+   */
+  fetchRoom(id) {
+    if (!this._checkAuth()) {
+      return Promise.reject(new NotAuthenticatedError());
+    }
+    return this._rooms.load(id, () => (
+      this._getRoom(id).then((room) => room && new LineRoom(this, room))
+    ));
+  }
+
+  /**
+   * Fetch a user, group or room by the type of its id
+   * @param  {String} id      [id of the entity]
+   * @param  {Number} midType [MIDType of the id]
+   * @return {Promise}        [return LineContact, LineGroup or LineRoom]
+   */
+  fetchContactOrRoomOrGroupById(id, midType) {
+    switch (midType) {
+      case MIDType.GROUP:
+        return this.fetchGroup(id);
+      case MIDType.ROOM:
+        return this.fetchRoom(id);
+      default:
+        return this.fetchUser(id);
+    }
+  }
+
   /**
    * Get groups from groupIds, initiate them into LineGroup, and push to this.groups
    * @param {Array}  groupIds         [an array of group ids]
    * @param {Boolean} isJoined = true [a boolean value to determine user joined the group or not]
    * @return {Promise}                [return initiated this.groups when promise successfully,
-   *                                   or return promise with error message]
+   *                                   or rejected with LineError]
    */
   addGroupsWithIds(groupIds, isJoined = true) {
     if (this._checkAuth()) {
       return this._getGroups(groupIds).then((newGroups) => {
-        const newGroupsContext =
-          newGroups.map((group) => new LineGroup(this, group, isJoined));
-        this.groups = this.groups.concat(newGroupsContext);
-        this.groups.sort((a, b) => a.id - b.id);
+        newGroups.forEach((group) => {
+          this._groups.set(new LineGroup(this, group, isJoined));
+        });
         return this.groups;
-      }).catch((err) => err);
+      });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   /**
    * Get contacts, initiate them into LineContact, and push to this.contacts
    * @return {Promise} [return initiated this.contacts when promise successfully,
-   *                    or return promise with error message]
+   *                    or rejected with LineError]
    */
   refreshContacts() {
     if (this._checkAuth()) {
       return this._getAllContactIds().then((contactIds) => (
         this._getContacts(contactIds).then((contacts) => {
-          this.contacts =
-            contacts.map((contact) => new LineContact(this, contact));
-          this.contacts.sort((a, b) => a.id - b.id);
+          this._contacts.reset(
+            contacts.map((contact) => new LineContact(this, contact))
+          );
           return this.contacts;
         })
-      )).catch((err) => {
-        if (err.code === 8) {
-          this.authToken = null;
-          this.certificate = null;
-          this._client.alertOrConsoleLog(`${err.reason}, please login again`);
-        }
-        return err;
+      ));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Find a user by LINE ID, the user is not added as a friend
+   * @param  {String} userid [LINE ID of the user]
+   * @return {Promise}       [return LineContact when promise successfully,
+   *                          or rejected with TalkError if not found]
+   */
+  findContactByUserId(userid) {
+    if (this._checkAuth()) {
+      return this._findContactByUserid(userid)
+        .then((contact) => new LineContact(this, contact));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Find users by phone numbers, the users are not added as friends
+   * @param  {Array} phones [phone numbers, ex. ['+819012345678']]
+   * @return {Promise}      [return LineContact array of found users]
+   */
+  findContactsByPhone(phones) {
+    if (this._checkAuth()) {
+      return this._findContactsByPhone([].concat(phones))
+        .then((found) => this._toLineContacts(found));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Find users by emails, the users are not added as friends
+   * @param  {Array} emails [emails of users]
+   * @return {Promise}      [return LineContact array of found users]
+   */
+  findContactsByEmail(emails) {
+    if (this._checkAuth()) {
+      return this._findContactsByEmail([].concat(emails))
+        .then((found) => this._toLineContacts(found));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Add a user as a friend by id, LINE ID, phone numbers or emails,
+   * added contacts are put into `this.contacts`
+   * @param  {String} query.id      [id (mid) of the user]
+   * @param  {String} query.userId  [LINE ID of the user]
+   * @param  {Array} query.phones   [phone numbers of users]
+   * @param  {Array} query.emails   [emails of users]
+   * @return {Promise}              [return LineContact array of added
+   *                                 contacts, or rejected with LineError]
+   */
+  addContact(query = {}) {
+    if (!this._checkAuth()) {
+      return Promise.reject(new NotAuthenticatedError());
+    }
+    let adding;
+    if (query.id) {
+      adding = this._findAndAddContactsByMid(query.id);
+    } else if (query.userId) {
+      adding = this._findAndAddContactsByUserid(query.userId);
+    } else if (query.phones) {
+      adding = this._findAndAddContactsByPhone([].concat(query.phones));
+    } else if (query.emails) {
+      adding = this._findAndAddContactsByEmail([].concat(query.emails));
+    } else {
+      return Promise.reject(
+        new LineError('id, userId, phones or emails is needed')
+      );
+    }
+    return adding.then((added) => (
+      this._toLineContacts(added)
+        .map((contact) => this._contacts.set(contact))
+    ));
+  }
+
+  /**
+   * Block a contact, it is removed from `this.contacts`
+   * @param  {LineContact|String} contact [LineContact or id of the contact]
+   * @return {Promise}                    [resolved with true]
+   */
+  blockContact(contact) {
+    if (this._checkAuth()) {
+      const id = contact.id || contact;
+      return this._blockContact(id).then(() => {
+        this._contacts.delete(id);
+        return true;
       });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Unblock a contact, it is fetched into `this.contacts` again
+   * @param  {LineContact|String} contact [LineContact or id of the contact]
+   * @return {Promise}                    [return the unblocked LineContact]
+   */
+  unblockContact(contact) {
+    if (this._checkAuth()) {
+      const id = contact.id || contact;
+      return this._unblockContact(id).then(() => this.fetchContact(id));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Get blocked contacts, they are not in `this.contacts`
+   * @return {Promise} [return LineContact array of blocked contacts]
+   */
+  getBlockedContacts() {
+    if (this._checkAuth()) {
+      return this._getBlockedContactIds().then((ids) => (
+        ids.length === 0 ? [] : this._getContacts(ids)
+      )).then((contacts) => this._toLineContacts(contacts));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Get favorite contacts
+   * @return {Promise} [return LineContact array of favorite contacts]
+   */
+  getFavoriteContacts() {
+    if (this._checkAuth()) {
+      return this._getFavoriteMids().then((ids) => (
+        Promise.map(ids, (id) => (
+          this.getContactById(id) || this.fetchContact(id)
+        ))
+      ));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Override the display name of a contact, shown as its `name`
+   * @param  {LineContact|String} contact [LineContact or id of the contact]
+   * @param  {String} name                [Default to '', empty name to
+   *                                       remove the override]
+   * @return {Promise}                    [return the updated LineContact]
+   */
+  setContactDisplayName(contact, name = '') {
+    return this.updateContactSetting(
+      contact, ContactSetting.CONTACT_SETTING_DISPLAY_NAME_OVERRIDE, name
+    );
+  }
+
+  /**
+   * Add a contact to favorites or remove it
+   * @param  {LineContact|String} contact [LineContact or id of the contact]
+   * @param  {Boolean} isFavorite = true  [false to remove from favorites]
+   * @return {Promise}                    [return the updated LineContact]
+   */
+  setContactFavorite(contact, isFavorite = true) {
+    return this.updateContactSetting(
+      contact, ContactSetting.CONTACT_SETTING_FAVORITE,
+      isFavorite ? 'True' : 'False'
+    );
+  }
+
+  /**
+   * Update a setting of a contact, then fetch the contact
+   * @param  {LineContact|String} contact [LineContact or id of the contact]
+   * @param  {Number} flag                [ContactSetting to be updated]
+   * @param  {String} value               [value of the setting]
+   * @return {Promise}                    [return the updated LineContact]
+   */
+  updateContactSetting(contact, flag, value) {
+    if (this._checkAuth()) {
+      const id = contact.id || contact;
+      return this._updateContactSetting(id, flag, value)
+        .then(() => this.fetchContact(id));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  _toLineContacts(contacts) {
+    const values = Array.isArray(contacts) ?
+      contacts :
+      Object.keys(contacts || {}).map((key) => contacts[key]);
+    return values.map((contact) => new LineContact(this, contact));
   }
 
   /**
    * Call addGroupsWithIds to initiate groups
    * @return {Promise} [return initiated this.groups when promise successfully,
-   *                    or return promise with error message]
+   *                    or rejected with LineError]
    */
   refreshGroups() {
     if (this._checkAuth()) {
-      this._getGroupIdsJoined()
-        .then((groupIdsJoined) => this.addGroupsWithIds(groupIdsJoined));
-      this._getGroupIdsInvited()
-        .then(
-          (groupIdsInvited) => this.addGroupsWithIds(groupIdsInvited, false)
-        );
-      return Promise.resolve(this.groups);
+      return Promise.join(
+        this._getGroupIdsJoined(),
+        this._getGroupIdsInvited(),
+        (groupIdsJoined, groupIdsInvited) => Promise.join(
+          this._getGroups(groupIdsJoined),
+          this._getGroups(groupIdsInvited),
+          (joined, invited) => {
+            this._groups.reset(
+              joined.map((group) => new LineGroup(this, group))
+                .concat(invited.map((group) => (
+                  new LineGroup(this, group, false)
+                )))
+            );
+            return this.groups;
+          }
+        )
+      );
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   /**
    * Reresh active rooms and initiate rooms into LineRoom
    * @return {Promise} [return initiated this.rooms when promise successfully,
-   *                    or return promise with error message]
+   *                    or rejected with LineError]
    */
   refreshActiveRooms() {
     if (this._checkAuth()) {
-      let start = 1;
-      const count = 50;
-      while (true) { // eslint-disable-line no-constant-condition
-        let checkChannel = 0;
-        this._getMessageBoxCompactWrapUpList(start, count)
-        .then((channel) => {
-          if (!channel.messageBoxWrapUpList) {
-            return false;
-          }
-          checkChannel = channel.messageBoxWrapUpList.length;
-          for (let i = 0, len = channel.messageBoxWrapUpList; i < len; i++) {
-            const box = channel.messageBoxWrapUpList[i];
-            if (box.messageBox.midType === MIDType.ROOM) {
-              this._getRoom(box.messageBox.id)
-                .then((room) => this.rooms.push(new LineRoom(this, room)));
-            }
-          }
-          return channel;
-        }).done((channel) => {
-          if (!channel) {
-            checkChannel = 50;
-          }
-          console.log('Done this Channel: ');
-          console.dir(channel);
-        });
-
-        if (checkChannel === count) {
-          start += count;
-        } else {
-          break;
-        }
-      }
-      return Promise.resolve(this.rooms);
+      return this._fetchActiveRoomsFrom(1, 50).then((rooms) => {
+        this._rooms.reset(rooms);
+        return this.rooms;
+      });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  _fetchActiveRoomsFrom(start, count) {
+    return this._getMessageBoxCompactWrapUpList(start, count)
+      .then((channel) => {
+        const wrapUps = channel.messageBoxWrapUpList || [];
+        const roomIds = wrapUps
+          .filter((box) => box.messageBox.midType === MIDType.ROOM)
+          .map((box) => box.messageBox.id);
+        return Promise.map(roomIds, (roomId) => this._getRoom(roomId))
+          .then((rooms) => {
+            const lineRooms = rooms.map((room) => new LineRoom(this, room));
+            if (wrapUps.length < count) {
+              return lineRooms;
+            }
+            return this._fetchActiveRoomsFrom(start + count, count)
+              .then((nextRooms) => lineRooms.concat(nextRooms));
+          });
+      });
   }
 
   /**
@@ -268,18 +927,17 @@ export class LineClient extends LineAPI {
    * @param  {String} name    [name of created LineGroup]
    * @param  {Array} ids = [] [Default value to empty array, or it should contain LineContact ids]
    * @return {Promise}        [return created LineGroup when promise successfully,
-   *                           or return promise with error message]
+   *                           or rejected with LineError]
    */
   createGroupWithIds(name, ids = []) {
     if (this._checkAuth()) {
       return this._createGroup(name, ids)
         .then((created) => {
           const group = new LineGroup(this, created);
-          this.groups.push(group);
-          return group;
+          return this._groups.set(group);
         });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   /**
@@ -288,7 +946,7 @@ export class LineClient extends LineAPI {
    * @param  {Array} contacts = [] [Default value to empty array, or
    *                          			it should contain LineContact instances]
    * @return {Promise}             [return created LineGroup when promise successfully,
-   *                                or return promise with error message]
+   *                                or rejected with LineError]
    */
   createGroupWithContacts(name, contacts = []) {
     if (this._checkAuth()) {
@@ -299,11 +957,10 @@ export class LineClient extends LineAPI {
       return this._createGroup(name, contactIds)
         .then((created) => {
           const group = new LineGroup(this, created);
-          this.groups.push(group);
-          return group;
+          return this._groups.set(group);
         });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   /**
@@ -312,11 +969,7 @@ export class LineClient extends LineAPI {
    * @return {LineGroup}   [LineGroup instance which name is equal to the name in param]
    */
   getGroupByName(name) {
-    for (let i = 0, len = this.groups.length; i < len; i++) {
-      if (this.groups[i].name === name) {
-        return this.groups[i];
-      }
-    }
+    return this._groups.getByName(name);
   }
 
   /**
@@ -325,11 +978,7 @@ export class LineClient extends LineAPI {
    * @return {LineGroup} [LineGroup instance which id is equal to the id in param]
    */
   getGroupById(id) {
-    for (let i = 0, len = this.groups.length; i < len; i++) {
-      if (this.groups[i].id === id) {
-        return this.groups[i];
-      }
-    }
+    return this._groups.get(id);
   }
 
   /**
@@ -337,7 +986,7 @@ export class LineClient extends LineAPI {
    * @param  {LineGroup} group      [LineGroup instance which client want to invite contact(s) into]
    * @param  {Array} contacts = []  [Array of LineContact(s) which will be invited into the group]
    * @return {Promise}              [handle result by promise or receive
-   *                                 promise with error message directly]
+   *                                 promise rejected with LineError]
    */
   inviteIntoGroup(group, contacts = []) {
     if (this._checkAuth()) {
@@ -347,31 +996,152 @@ export class LineClient extends LineAPI {
       }
       return this._inviteIntoGroup(group.id, contactIds);
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   /**
    * Accept group invitation
    * @param  {LineGroup} group [LineGroup instance which client want to accept]
    * @return {Promise}         [handle result by promise or receive
-   *                            promise with error message directly]
+   *                            promise rejected with LineError]
    */
   acceptGroupInvitation(group) {
     if (this._checkAuth()) {
       return this._acceptGroupInvitation(group.id);
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Kick contact(s) out of a LineGroup
+   * @param  {LineGroup} group     [LineGroup instance]
+   * @param  {Array} contacts = [] [LineContact(s) or ids of members]
+   * @return {Promise}             [handle result by promise or receive
+   *                                promise rejected with LineError]
+   */
+  kickoutFromGroup(group, contacts = []) {
+    if (this._checkAuth()) {
+      return this._kickoutFromGroup(group.id, toIds(contacts));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Cancel pending invitation(s) of a LineGroup
+   * @param  {LineGroup} group     [LineGroup instance]
+   * @param  {Array} contacts = [] [LineContact(s) or ids of invitees]
+   * @return {Promise}             [handle result by promise or receive
+   *                                promise rejected with LineError]
+   */
+  cancelGroupInvitation(group, contacts = []) {
+    if (this._checkAuth()) {
+      return this._cancelGroupInvitation(group.id, toIds(contacts));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Reject the invitation of a LineGroup, the group is removed from
+   * `this.groups`
+   * @param  {LineGroup} group [LineGroup instance which client is invited to]
+   * @return {Promise}         [resolved with true, or rejected with LineError]
+   */
+  rejectGroupInvitation(group) {
+    if (this._checkAuth()) {
+      return this._rejectGroupInvitation(group.id)
+        .then(() => {
+          this._groups.delete(group.id);
+          return true;
+        });
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Update attributes of a LineGroup, ex. its name
+   * @param  {LineGroup} group [LineGroup instance]
+   * @param  {Object} changes  [fields of Group to be changed]
+   * @return {Promise}         [handle result by promise or receive
+   *                            promise rejected with LineError]
+   */
+  updateGroup(group, changes) {
+    if (this._checkAuth()) {
+      return this._updateGroup(new Group({ ...group._group, ...changes }));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Reissue the invitation ticket of a LineGroup, links of the previous
+   * ticket stop working
+   * @param  {LineGroup} group [LineGroup instance]
+   * @return {Promise}         [return the link of the new ticket when promise
+   *                            successfully, or rejected with LineError]
+   */
+  reissueGroupTicket(group) {
+    if (this._checkAuth()) {
+      return this._reissueGroupTicket(group.id)
+        .then((ticket) => `${this.config.LINE_GROUP_TICKET_URL}${ticket}`);
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Upload the picture of a LineGroup, then fetch the group to update
+   * its `pictureStatus`
+   * @param  {LineGroup} group [LineGroup instance]
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @return {Upload}          [thenable upload resolved with the fetched
+   *                            LineGroup]
+   */
+  updateGroupPicture(group, source) {
+    return this._uploadPicture(
+      this.config.LINE_GROUP_PICTURE_URL, group.id, source,
+      () => this.fetchGroup(group.id)
+    );
+  }
+
+  /**
+   * Upload a picture of a group or the profile through postContent
+   * @param  {String} url      [upload URL of the picture]
+   * @param  {String} oid      [id of the group or the profile]
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @param  {Function} onUploaded [returns a promise of the upload result]
+   * @return {Upload}          [thenable upload resolved with `onUploaded`]
+   */
+  _uploadPicture(url, oid, source, onUploaded) {
+    const upload = new Upload();
+    return upload._run(() => {
+      if (!this._checkAuth()) {
+        throw new NotAuthenticatedError();
+      }
+      return ContentSource.from(this, source, { name: 'picture.jpg' })
+        .then((content) => {
+          upload._assertActive();
+          const data = {
+            params: JSON.stringify({
+              name: content.name,
+              oid,
+              size: content.size,
+              type: 'image',
+              ver: '1.0'
+            })
+          };
+          return this._postContent(url, data, content, upload);
+        })
+        .then(onUploaded);
+    });
   }
 
   leaveGroup(group) {
     if (this._checkAuth()) {
       return this._leaveGroup(group.id)
       .then(() => {
-        this.groups = this.groups.filter((gp) => gp.id !== group.id);
+        this._groups.delete(group.id);
         return true;
-      }, () => false);
+      });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   createRoomWithIds(ids = []) {
@@ -379,71 +1149,168 @@ export class LineClient extends LineAPI {
       return this._createRoom(ids)
       .then((created) => {
         const room = new LineRoom(this, created);
-        this.rooms.push(room);
-        return room;
+        return this._rooms.set(room);
       });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   createRoomWithContacts(contacts = []) {
     if (this._checkAuth()) {
       const contactIds = [];
       for (let i = 0, len = contacts.length; i < len; i++) {
-        contacts.push(contacts.id);
+        contactIds.push(contacts[i].id);
       }
       return this._createRoom(contactIds)
         .then((created) => {
           const room = new LineRoom(this, created);
-          this.rooms.push(room);
-          return room;
+          return this._rooms.set(room);
         });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   getRoomById(id) {
-    for (let i = 0, len = this.rooms.length; i < len; i++) {
-      if (this.rooms[i].id === id) {
-        return this.rooms[i];
-      }
-    }
+    return this._rooms.get(id);
   }
 
   inviteIntoRoom(room, contacts = []) {
     if (this._checkAuth()) {
       const contactIds = [];
       for (let i = 0, len = contacts.length; i < len; i++) {
-        contacts.push(contacts.id);
+        contactIds.push(contacts[i].id);
       }
       return this._inviteIntoRoom(room.id, contactIds);
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   leaveRoom(room) {
     if (this._checkAuth()) {
       return this._leaveRoom(room.id)
         .then(() => {
-          this.rooms = this.rooms.filter((rm) => rm.id !== room.id);
+          this._rooms.delete(room.id);
           return true;
-        }, () => false);
+        });
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
-  sendMessage(message, seq = 0) {
-    if (this._checkAuth()) {
-      return this._sendMessage(message, seq);
+  /**
+   * Send a message with a request sequence number, a send retried after
+   * a transport error keeps the number so the server does not deliver it
+   * twice. It is resolved with the response of the server, unless
+   * `config.deliveryTimeout` is set: then while polling, it waits at most
+   * that long for the SEND_MESSAGE operation of the number to confirm the
+   * delivery
+   * @param  {Message} message [message to be sent]
+   * @param  {Number} seq      [Default to the next sequence number]
+   * @return {Promise}         [resolved with the sent Message, whose
+   *                            `reqSeq` is the number and `status` is
+   *                            'delivered' if it is confirmed, or 'sent']
+   */
+  sendMessage(message, seq = this._nextSeq()) {
+    if (!this._checkAuth()) {
+      return Promise.reject(new NotAuthenticatedError());
+    }
+    const confirming = this.config.deliveryTimeout > 0;
+    const delivery = confirming ? Promise.pending() : null;
+    if (confirming) {
+      this._deliveries.set(seq, delivery);
     }
-    return Promise.reject(new Error('Please Login first'));
+    return this._sendMessage(message, seq)
+      .then((sent) => {
+        const waiting = confirming && this._isPolling ?
+          delivery.promise
+            .timeout(this.config.deliveryTimeout)
+            .catch(Promise.TimeoutError, () => null) :
+          null;
+        return Promise.resolve(waiting).then((operation) => (
+          Object.assign(sent, {
+            reqSeq: seq, status: operation ? 'delivered' : 'sent'
+          })
+        ));
+      })
+      .finally(() => this._deliveries.delete(seq));
+  }
+
+  /**
+   * Send a message with content, then upload the content. The size of the
+   * source is known before the message is sent (ex. from the headers of
+   * the URL), the content is streamed after it and nothing is written
+   * to disk
+   * @param  {String} to     [id of the contact, group or room]
+   * @param  {String} type   ['image', 'file', 'video' or 'audio']
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @param  {String} options.name     [Default to the name of the source]
+   * @param  {Number} options.size     [size of a stream which is not a file,
+   *                                    a stream of unknown size is read
+   *                                    into memory first]
+   * @param  {Number} options.duration [milliseconds of a video or an audio]
+   * @param  {Object} options.metadata [extra contentMetadata of the message]
+   * @param  {Number} options.seq      [Default to the next sequence number]
+   * @param  {Message} options.sent    [message sent by a previous attempt,
+   *                                    only its content is uploaded]
+   * @param  {Function} options.onSent [called with the sent message before
+   *                                    the upload, may return a promise]
+   * @return {Upload}                  [thenable upload resolved with the
+   *                                    sent message after the content is
+   *                                    uploaded]
+   */
+  sendContent(to, type, source, options = {}) {
+    const kind = CONTENT_KINDS[type];
+    const upload = new Upload();
+    return upload._run(() => {
+      if (!kind) {
+        throw new LineError(`${type} is not a type of content`);
+      }
+      return ContentSource.from(this, source, {
+        name: options.name, size: options.size
+      })
+        .then((content) => {
+          upload._assertActive();
+          return this._sendContentMessage(to, kind, content, options)
+            .then((sent) => {
+              upload._assertActive();
+              const params = {
+                name: content.name,
+                oid: sent.id,
+                size: content.size,
+                type,
+                ver: '1.0',
+                ...(kind.params ? kind.params(options) : {})
+              };
+              return this._postContent(
+                this.config.LINE_POST_CONTENT_URL,
+                { params: JSON.stringify(params) }, content, upload
+              ).then(() => sent);
+            });
+        });
+    });
   }
 
-  sendChatChecked(consumer, lastMessageId, seq = 0) {
+  _sendContentMessage(to, kind, content, options) {
+    const metadata = {
+      ...(kind.contentMetadata ? kind.contentMetadata(content, options) : {}),
+      ...options.metadata
+    };
+    const sending = options.sent ?
+      Promise.resolve(options.sent) :
+      this.sendMessage(new Message({
+        to,
+        text: '',
+        contentType: kind.contentType,
+        contentPreview: null,
+        contentMetadata: Object.keys(metadata).length > 0 ? metadata : null
+      }), options.seq);
+    return sending.tap((sent) => options.onSent && options.onSent(sent));
+  }
+
+  sendChatChecked(consumer, lastMessageId, seq = this._nextSeq()) {
     if (this._checkAuth()) {
       return this._sendChatChecked(consumer, lastMessageId, seq);
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   getMessageBox(id) {
@@ -451,7 +1318,7 @@ export class LineClient extends LineAPI {
       return this._getMessageBoxCompactWrapUp(id)
         .then((messageBoxWrapUp) => messageBoxWrapUp.messageBox);
     }
-    return Promise.reject(new Error('Please Login first'));
+    return Promise.reject(new NotAuthenticatedError());
   }
 
   getRecentMessages(messageBox, count) {
@@ -459,62 +1326,197 @@ export class LineClient extends LineAPI {
       return this._getRecentMessages(messageBox.id, count)
         .then((messages) => this.getLineMessageFromMessage(messages));
     }
-    return Promise.reject(new Error('Please Login first'));
-  }
-
-  *longPoll(count = 50) { // eslint-disable-line complexity
-    if (this._checkAuth()) {
-      try {
-        const operations = yield this._fetchOperations(this.revision, count);
-        if (!operations) {
-          throw Error('No Operation.');
-        }
-        for (let i = 0, opLen = operations.length; i < opLen; i++) {
-          const operation = operations[i];
-          switch (operation.type) {
-            case OpType.END_OF_OPERATION:
-            case OpType.SEND_MESSAGE:
-            case OpType.RECEIVE_MESSAGE: {
-              const message = new LineMessage(this, operation.message);
-
-              const rawSender = operation.message.from_;
-              const rawReceiver = operation.message.to;
-
-              let sender = this.getContactOrRoomOrGroupById(rawSender);
-              let receiver = this.getContactOrRoomOrGroupById(rawReceiver);
-
-              if (!sender && typeof receiver === LineGroup) {
-                for (let j = 0, memLen = receiver.members; j < memLen; j++) {
-                  if (receiver.members[j].id === rawSender) {
-                    sender = receiver.members[j].id;
-                  }
-                }
-              }
-
-              if (!sender || !receiver) {
-                this.refreshGroups();
-                this.refreshContacts();
-                this.refreshActiveRooms();
-                sender = this.getContactOrRoomOrGroupById(rawSender);
-                receiver = this.getContactOrRoomOrGroupById(rawReceiver);
-              }
-
-              yield Promise.resolve([sender, receiver, message]);
-              this.revision = Math.max(operation.revision, this.revision);
-              return [sender, receiver, message, this.revision];
-            }
-            default:
-              console.log(`[*] ${getOpTypeNameFromValue(operation.type)}`);
-              return operation;
-          }
-        }
-      } catch (err) {
-        console.error(err);
-        if (err instanceof TalkException && err.code === 9) {
-          throw new Error('user logged in on another machine');
-        }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Get messages sent before a message, newest first
+   * @param  {TMessageBox} messageBox [message box of the chat]
+   * @param  {String} endSeq          [id of the message to page from]
+   * @param  {Number} count           [number of messages]
+   * @return {Promise}                [return LineMessage array when promise
+   *                                   successfully, or rejected with LineError]
+   */
+  getPreviousMessages(messageBox, endSeq, count) {
+    if (this._checkAuth()) {
+      return this._getPreviousMessages(messageBox.id, toInt64(endSeq), count)
+        .then((messages) => Promise.map(
+          messages || [], (message) => this._createLineMessage(message)
+        ));
+    }
+    return Promise.reject(new NotAuthenticatedError());
+  }
+
+  /**
+   * Start polling operations from `this.revision`, emitting an event for
+   * every operation of each fetched batch (see OP_EVENT_NAMES)
+   * @param  {Number} count = 50 [number of operations fetched per request]
+   * @return {Promise}           [resolved when polling is stopped by `stop`,
+   *                              or rejected with the error which ended polling]
+   */
+  start(count = 50) {
+    if (!this._checkAuth()) {
+      return Promise.reject(new NotAuthenticatedError());
+    }
+    if (!this._polling) {
+      this._isPolling = true;
+      const ready = this.revision === undefined ?
+        this.resumeRevision() :
+        Promise.resolve(this.revision);
+      this._polling = ready
+        .then(() => this._pollOperations(count))
+        .catch((err) => {
+          this.logger.error('polling stopped by error', {
+            error: err.message, revision: this.revision
+          });
+          throw err;
+        })
+        .finally(() => {
+          this._isPolling = false;
+          this._polling = null;
+          this._deliveries.forEach((delivery) => delivery.resolve(null));
+          this.emit('stop');
+        });
+      this.emit('start');
+    }
+    return this._polling;
+  }
+
+  /**
+   * Stop polling operations, the current request will be finished first
+   * @return {Promise} [resolved after polling has stopped]
+   */
+  stop() {
+    this._isPolling = false;
+    return Promise.resolve(this._polling).catch(() => null);
+  }
+
+  _pollOperations(count) {
+    if (!this._isPolling) {
+      return Promise.resolve();
+    }
+    return this._fetchOperations(this.revision, count)
+      .then((operations) => this._dispatchOperations(operations || []))
+      .then((dispatched) => (
+        dispatched ? null : Promise.delay(this.config.pollInterval)
+      ))
+      .then(() => this._pollOperations(count));
+  }
+
+  /**
+   * Emit events for a batch of operations in order. `this.revision` is
+   * advanced and saved to the checkpoint store after each operation has been
+   * handled, so an operation may be delivered again after a crash
+   * (at-least-once), use `operation.revision` to recognize it.
+   * Operations already handled are skipped by the deduper
+   * @param  {Array} operations [operations from fetchOperations]
+   * @return {Promise}          [resolved with true if any operation was emitted]
+   */
+  _dispatchOperations(operations) {
+    return Promise.reduce(operations, (dispatched, operation) => {
+      if (operation.type === OpType.END_OF_OPERATION ||
+        this._deduper.isDuplicate(operation, this.revision)) {
+        return dispatched;
       }
+      return this._dispatchOperation(operation).then(() => {
+        this._deduper.remember(operation);
+        this.revision =
+          Math.max(Number(operation.revision), Number(this.revision));
+        return this.checkpointStore.save(this.revision);
+      }).then(() => true);
+    }, false);
+  }
+
+  _dispatchOperation(operation) {
+    return this._updateCache(operation)
+      .then(() => this.receipts._onOperation(operation))
+      .then(() => this._confirmDelivery(operation))
+      .then(() => this._emitOperation(operation));
+  }
+
+  /**
+   * Settle the pending `sendMessage` whose sequence number is the `reqSeq`
+   * of a SEND_MESSAGE operation
+   * @param  {Operation} operation [operation from fetchOperations]
+   */
+  _confirmDelivery(operation) {
+    const delivery = operation.type === OpType.SEND_MESSAGE &&
+      this._deliveries.get(Number(operation.reqSeq));
+    if (delivery) {
+      delivery.resolve(operation);
+    }
+  }
+
+  _emitOperation(operation) {
+    const eventName = OP_EVENT_NAMES[operation.type];
+    if (!eventName) {
+      this.logger.debug('unknown operation', {
+        type: operation.type, revision: operation.revision
+      });
+      this.emit(
+        'unknownOp', operation, getOpTypeNameFromValue(operation.type)
+      );
+      return Promise.resolve();
+    }
+    if (!operation.message) {
+      this.emit(eventName, operation);
+      return Promise.resolve();
     }
+    return this._createLineMessage(operation.message)
+      .then((message) => this.emit(eventName, message, operation));
+  }
+
+  /**
+   * Create LineMessage after fetching its sender and receiver
+   * which are not cached yet
+   * @param  {Message} message [message of the operation]
+   * @return {Promise}         [return LineMessage]
+   */
+  _createLineMessage(message) {
+    return Promise.join(
+      this._fetchUnknown(message.from_, MIDType.USER),
+      this._fetchUnknown(message.to, message.toType)
+    ).then(() => new LineMessage(this, message));
+  }
+
+  _fetchUnknown(id, midType) {
+    if (!id || this.getContactOrRoomOrGroupById(id)) {
+      return Promise.resolve();
+    }
+    return this.fetchContactOrRoomOrGroupById(id, midType)
+      .catch(TalkError, (err) => {
+        this.logger.warn('failed to fetch unknown id', {
+          id, midType, error: err.message
+        });
+      });
+  }
+
+  /**
+   * Patch contacts, groups and rooms by an operation
+   * @param  {Operation} operation [operation from fetchOperations]
+   * @return {Promise}             [resolved after the cache is updated]
+   */
+  _updateCache(operation) {
+    const update = CACHE_UPDATES[operation.type];
+    if (!update) {
+      return Promise.resolve();
+    }
+    return Promise.try(() => update(this, operation))
+      .catch(TalkError, (err) => {
+        this.logger.warn('failed to update cache by operation', {
+          type: operation.type, revision: operation.revision,
+          error: err.message
+        });
+      });
+  }
+
+  _isOwnMid(id) {
+    return !!this.profile && this.profile.id === id;
+  }
+
+  _isInvitedTo(group) {
+    return !!this.profile && (group.invitee || [])
+      .some((contact) => this._isOwnMid(contact.mid));
   }
 
   createContactOrRoomOrGroupByMessage(message) {
@@ -522,10 +1524,14 @@ export class LineClient extends LineAPI {
       case MIDType.USER:
       case MIDType.ROOM:
       case MIDType.GROUP:
-        console.log(message.toType);
+        this.logger.debug('message to a known type', {
+          toType: message.toType
+        });
         break;
       default:
-        console.log(message.toType);
+        this.logger.warn('message to an unknown type', {
+          toType: message.toType
+        });
     }
   }
 
@@ -13,9 +13,57 @@ export const config = {
   LINE_SESSION_LINE_URL: '/authct/v1/keys/line',
   LINE_SESSION_NAVER_URL: '/authct/v1/keys/naver',
   LINE_POST_CONTENT_URL: 'https://os.line.naver.jp/talk/m/upload.nhn',
+  LINE_GET_CONTENT_URL: 'https://os.line.naver.jp/os/m/',
+  LINE_GROUP_PICTURE_URL: 'https://os.line.naver.jp/talk/g/upload.nhn',
+  LINE_PROFILE_PICTURE_URL: 'https://os.line.naver.jp/talk/p/upload.nhn',
+  LINE_GROUP_TICKET_URL: 'https://line.me/R/ti/g/',
   ip: '127.0.0.1',
   version: '5.1.2',
   revision: 0,
+  pollInterval: 1000,
+  loginTimeout: 120000,
+  deliveryTimeout: 0,
+  transport: {
+    host: null,
+    port: 443,
+    scheme: 'https',
+    proxy: null,
+    ca: null,
+    timeout: 120000,
+    keepAlive: null
+  },
+  outbox: {
+    ttl: 86400000,
+    retry: {
+      minDelay: 1000,
+      maxDelay: 60000,
+      factor: 2,
+      jitter: true
+    }
+  },
+  stickers: {
+    cacheDir: null,
+    platform: 'android',
+    validate: false
+  },
+  rpc: {
+    concurrency: 6,
+    retry: {
+      retries: 3,
+      minDelay: 250,
+      maxDelay: 8000,
+      factor: 2,
+      jitter: true,
+      methods: null
+    },
+    rateLimits: {
+      sendMessage: { capacity: 20, perSecond: 2 },
+      inviteIntoGroup: { capacity: 5, perSecond: 0.5 },
+      inviteIntoRoom: { capacity: 5, perSecond: 0.5 },
+      createGroup: { capacity: 3, perSecond: 0.2 },
+      createRoom: { capacity: 3, perSecond: 0.2 }
+    }
+  },
   hostname: hostname(),
   platform: whichPlatform,
   EMAIL_REGEX: /[^@]+@[^@]+\.[^@]+/,
@@ -23,3 +71,47 @@ export const config = {
     'User-Agent': 'js-line (LINE for webapp)'
   }
 };
+
+function isPlainObject(value) {
+  return !!value && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function mergeDeep(target, source) {
+  const merged = {};
+  Object.keys(target).forEach((key) => {
+    merged[key] = cloneDeep(target[key]);
+  });
+  Object.keys(source).forEach((key) => {
+    merged[key] = isPlainObject(merged[key]) && isPlainObject(source[key]) ?
+      mergeDeep(merged[key], source[key]) :
+      cloneDeep(source[key]);
+  });
+  return merged;
+}
+
+/**
+ * Deep copy plain objects and arrays, other values are shared
+ * @param  {*} value [value to be copied]
+ * @return {*}       [copied value]
+ */
+export function cloneDeep(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneDeep);
+  }
+  if (isPlainObject(value)) {
+    return mergeDeep({}, value);
+  }
+  return value;
+}
+
+/**
+ * Create an isolated config for a client, `config` above is kept as defaults
+ * @param  {Object} overrides = {} [values overriding the defaults, nested
+ *                                  objects like `Headers` are merged]
+ * @param  {Object} base = config  [Default to the defaults above, config
+ *                                  which is overridden]
+ * @return {Object}                [deep-copied config]
+ */
+export function createConfig(overrides = {}, base = config) {
+  return mergeDeep(base, overrides);
+}
@@ -0,0 +1,131 @@
+import Promise from 'bluebird';
+import { Thrift } from 'thrift';
+import { ErrorCode, TalkException } from 'curve-thrift/line_types';
+
+const NETWORK_ERROR_CODES = [
+  'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH',
+  'ENOTFOUND', 'EPIPE', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN'
+];
+
+/**
+ * Babel can not extend built-in Error, `instanceof` would be broken,
+ * so the prototype chain of Error is set up by hand
+ */
+function ExtendableError(message) {
+  this.name = this.constructor.name;
+  this.message = message;
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = (new Error(message)).stack;
+  }
+}
+ExtendableError.prototype = Object.create(Error.prototype, {
+  constructor: { value: ExtendableError, writable: true, configurable: true }
+});
+
+/**
+ * Base class of errors rejected by LineAPI and LineClient
+ */
+export class LineError extends ExtendableError {
+  /**
+   * Constructor of LineError
+   * @param  {String} message [message of the error]
+   * @param  {Error} cause    [Default to null, original error]
+   */
+  constructor(message, cause = null) {
+    super(message);
+    this.cause = cause;
+  }
+}
+
+export class NotAuthenticatedError extends LineError {
+  constructor(message = 'Please Login first') {
+    super(message);
+  }
+}
+
+/**
+ * Login is not confirmed on mobile phone in time
+ */
+export class LoginTimeoutError extends LineError {}
+
+/**
+ * TalkException returned by LINE, `code` is one of ErrorCode
+ */
+export class TalkError extends LineError {
+  /**
+   * Constructor of TalkError
+   * @param  {TalkException} exception [TalkException from thrift client]
+   */
+  constructor(exception) {
+    const message =
+      exception.reason || `TalkException code ${exception.code}`;
+    super(message, exception);
+    this.code = exception.code;
+    this.reason = exception.reason;
+    this.parameterMap = exception.parameterMap;
+  }
+}
+
+/**
+ * authToken is expired (code 8), login again to continue
+ */
+export class AuthExpiredError extends TalkError {}
+
+/**
+ * The account logged in on another machine (code 9)
+ */
+export class LoggedInElsewhereError extends TalkError {}
+
+/**
+ * Too many requests were sent by the account (EXCESSIVE_ACCESS)
+ */
+export class RateLimitError extends TalkError {}
+
+/**
+ * Network, timeout or protocol failure before LINE answered
+ */
+export class TransportError extends LineError {}
+
+/**
+ * TApplicationException of thrift, ex. unknown method or a protocol error.
+ * The call would fail again, so it is not retried. `type` is one of
+ * TApplicationExceptionType
+ */
+export class ApplicationError extends LineError {
+  constructor(exception) {
+    super(exception.message, exception);
+    this.type = exception.type;
+  }
+}
+
+const TALK_ERRORS = {
+  8: AuthExpiredError,
+  9: LoggedInElsewhereError,
+  [ErrorCode.EXCESSIVE_ACCESS]: RateLimitError
+};
+
+/**
+ * Convert errors from thrift client, bluebird and unirest into LineError,
+ * other errors (ex. TypeError from a bug) are returned as they are
+ * @param  {Error} err [error to be converted]
+ * @return {Error}     [LineError, or err itself]
+ */
+export function toLineError(err) {
+  if (err instanceof LineError) {
+    return err;
+  }
+  if (err instanceof TalkException) {
+    const TalkErrorClass = TALK_ERRORS[err.code] || TalkError;
+    return new TalkErrorClass(err);
+  }
+  if (err instanceof Thrift.TApplicationException) {
+    return new ApplicationError(err);
+  }
+  if (err instanceof Promise.TimeoutError ||
+    err && NETWORK_ERROR_CODES.indexOf(err.code) >= 0) {
+    return new TransportError(err.message, err);
+  }
+  return err;
+}
@@ -0,0 +1,245 @@
+import { createWriteStream } from 'fs';
+import Promise from 'bluebird';
+import { ContentType } from 'curve-thrift/line_types';
+
+import { LineError } from './errors';
+
+const CSV_COLUMNS = ['id', 'time', 'senderId', 'sender', 'type', 'text'];
+
+function getContentTypeName(contentType) {
+  if (contentType == null) {
+    return 'NONE';
+  }
+  const names = Object.keys(ContentType);
+  for (let i = 0, len = names.length; i < len; i++) {
+    if (ContentType[names[i]] === contentType) {
+      return names[i];
+    }
+  }
+  return String(contentType);
+}
+
+const PLACEHOLDERS = {
+  [ContentType.STICKER]: (metadata) => (
+    `[Sticker ${metadata.STKPKGID}/${metadata.STKID}]`
+  ),
+  [ContentType.IMAGE]: () => '[Image]',
+  [ContentType.VIDEO]: () => '[Video]',
+  [ContentType.AUDIO]: () => '[Audio]',
+  [ContentType.FILE]: (metadata) => `[File ${metadata.FILE_NAME || ''}]`,
+  [ContentType.LOCATION]: (metadata, location) => (
+    `[Location ${location.title || ''} ${location.address || ''}]`
+  ),
+  [ContentType.CONTACT]: (metadata) => (
+    `[Contact ${metadata.displayName || metadata.mid || ''}]`
+  )
+};
+
+/**
+ * Text of a message as shown in an export, media and stickers are
+ * rendered as placeholders like `[Sticker 1/13]` or `[File report.pdf]`
+ * @param  {LineMessage} message [message to be rendered]
+ * @return {String}              [text or placeholder]
+ */
+export function messageText(message) {
+  const placeholder = PLACEHOLDERS[message.contentType];
+  if (placeholder) {
+    return placeholder(message.contentMetaData || {}, message.location || {})
+      .replace(/\s+\]$/, ']');
+  }
+  if (message.text || !message.contentType) {
+    return message.text || '';
+  }
+  return `[${getContentTypeName(message.contentType)}]`;
+}
+
+function escapeCsv(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const FORMATS = {
+  jsonl: {
+    head: () => '',
+    row: (record) => `${JSON.stringify(record)}\n`,
+    tail: () => ''
+  },
+  csv: {
+    head: () => `${CSV_COLUMNS.join(',')}\r\n`,
+    row: (record) => (
+      `${CSV_COLUMNS.map((column) => escapeCsv(record[column])).join(',')}\r\n`
+    ),
+    tail: () => ''
+  },
+  html: {
+    head: (title) => [
+      '<!DOCTYPE html>',
+      '<html><head><meta charset="utf-8">',
+      `<title>${escapeHtml(title)}</title>`,
+      '<style>',
+      'body{font-family:sans-serif;margin:2em;color:#222}',
+      'table{border-collapse:collapse;width:100%}',
+      'td,th{border-bottom:1px solid #ddd;padding:6px;text-align:left;',
+      'vertical-align:top}',
+      'td.time{white-space:nowrap;color:#666}td.text{white-space:pre-wrap}',
+      '</style></head><body>',
+      `<h1>${escapeHtml(title)}</h1>`,
+      '<table><tr><th>Time</th><th>Sender</th><th>Message</th></tr>',
+      ''
+    ].join('\n'),
+    row: (record) => (
+      `<tr><td class="time">${escapeHtml(record.time)}</td>` +
+      `<td title="${escapeHtml(record.senderId)}">` +
+      `${escapeHtml(record.sender)}</td>` +
+      `<td class="text">${escapeHtml(record.text)}</td></tr>\n`
+    ),
+    tail: () => '</table></body></html>\n'
+  }
+};
+
+/**
+ * Call `iteratee` with each message of the history of a chat, oldest
+ * message first, holding one page of messages at a time. The history is
+ * walked once for the id each page starts after, then the pages but the
+ * newest one are fetched again from the oldest one
+ * @param  {LineBase} chat     [contact, group or room]
+ * @param  {Object} options    [options of MessageHistory]
+ * @param  {Function} iteratee [called with each message, a returned
+ *                              promise is waited before the next one]
+ * @return {Promise}           [resolved with number of messages]
+ */
+function forEachOldestFirst(chat, options, iteratee) {
+  const history = chat.history(options);
+  const pageSize = history.pageSize;
+  const newest = [];
+  const cursors = [];
+  return history.forEach((message, index) => {
+    if (index < pageSize) {
+      newest.push(message);
+    }
+    if ((index + 1) % pageSize === 0) {
+      cursors.push(message.id);
+    }
+  }).then((count) => {
+    const pages = Math.ceil(count / pageSize);
+    const olderPages = Array.from(
+      { length: Math.max(pages - 1, 0) },
+      (value, index) => pages - 1 - index
+    );
+    const fetchPage = (page) => chat.history({
+      ...options,
+      beforeId: cursors[page - 1],
+      limit: Math.min(pageSize, count - page * pageSize)
+    }).toArray();
+    const eachOf = (messages) => (
+      Promise.mapSeries(messages.reverse(), iteratee)
+    );
+    return Promise.mapSeries(olderPages, (page) => fetchPage(page).then(eachOf))
+      .then(() => eachOf(newest))
+      .then(() => count);
+  });
+}
+
+/**
+ * Write the conversation of a contact, group or room as JSONL, CSV or
+ * a self-contained HTML page, oldest message first. Messages are written
+ * page by page while they are fetched, and names of senders not in
+ * contacts are fetched through the client
+ * @param  {LineBase} chat          [contact, group or room to export]
+ * @param  {String|Stream} output   [path of the file, or writable stream
+ *                                   which is not ended by the export]
+ * @param  {String} options.format  [Default to 'jsonl', 'csv' or 'html']
+ * @param  {String} options.title   [Default to name or id of chat, title of
+ *                                   the HTML page]
+ * @param  {Object} options.history [options of MessageHistory, ex. since]
+ * @return {Promise}                [resolved with number of exported messages]
+ */
+export function exportChat(chat, output, options = {}) {
+  const format = FORMATS[options.format || 'jsonl'];
+  if (!format) {
+    return Promise.reject(
+      new LineError(`unknown export format ${options.format}`)
+    );
+  }
+  const client = chat._client;
+  const names = new Map();
+  const senderName = (message) => {
+    if (message.sender) {
+      return Promise.resolve(message.sender.name);
+    }
+    if (!names.has(message.senderId)) {
+      names.set(message.senderId, client.fetchUser(message.senderId)
+        .then((contact) => contact && contact.name)
+        .catch(() => null));
+    }
+    return names.get(message.senderId);
+  };
+  const writer = createWriter(output);
+  const title = options.title || chat.name || chat.id;
+
+  return writer.write(format.head(title))
+    .then(() => forEachOldestFirst(chat, options.history, (message) => (
+      senderName(message).then((name) => writer.write(format.row({
+        id: message.id,
+        time: message.createdTime.toISOString(),
+        senderId: message.senderId,
+        sender: name || message.senderId,
+        type: getContentTypeName(message.contentType),
+        text: messageText(message)
+      })))
+    )))
+    .tap(() => writer.write(format.tail()))
+    .tap(() => writer.end())
+    .catch((err) => {
+      writer.destroy();
+      throw err;
+    });
+}
+
+/**
+ * Writer of an export to a file or a writable stream, each write is
+ * resolved after the stream has taken the chunk
+ * @param  {String|Stream} output [path of the file, or writable stream
+ *                                 which is not ended by `end`]
+ * @return {Object}               [write, end and destroy of the output]
+ */
+function createWriter(output) {
+  const isFile = typeof output === 'string';
+  const stream = isFile ? createWriteStream(output) : output;
+  let failure = null;
+  if (isFile) {
+    stream.on('error', (err) => {
+      failure = failure || err;
+    });
+  }
+  const write = (chunk) => new Promise((resolve, reject) => {
+    if (failure) {
+      reject(failure);
+      return;
+    }
+    stream.write(chunk, (err) => (
+      err || failure ? reject(failure || err) : resolve()
+    ));
+  });
+  return {
+    write: (chunk) => (chunk ? write(chunk) : Promise.resolve()),
+    end: () => (isFile ?
+      new Promise((resolve, reject) => {
+        stream.end(() => (failure ? reject(failure) : resolve()));
+      }) :
+      Promise.resolve()),
+    destroy: () => {
+      if (isFile) {
+        stream.destroy();
+      }
+    }
+  };
+}
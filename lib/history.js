@@ -0,0 +1,175 @@
+import Promise from 'bluebird';
+import Int64 from 'node-int64';
+
+const UINT32 = 0x100000000;
+
+/**
+ * Compare message ids, which are numeric strings longer than
+ * Number.MAX_SAFE_INTEGER may hold
+ * @param  {String} a [message id]
+ * @param  {String} b [message id]
+ * @return {Number}   [negative if a is older than b]
+ */
+export function compareMessageIds(a, b) {
+  const left = String(a);
+  const right = String(b);
+  if (left.length !== right.length) {
+    return left.length - right.length;
+  }
+  if (left === right) {
+    return 0;
+  }
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Convert a message id to the Int64 thrift writes as an i64 as is,
+ * a string would be parsed by `parseInt` and lose its lowest digits
+ * @param  {String} id [message id, a non-negative decimal string]
+ * @return {Int64}     [64 bits integer of the id]
+ */
+export function toInt64(id) {
+  if (id instanceof Int64) {
+    return id;
+  }
+  let hi = 0;
+  let lo = 0;
+  String(id).split('').forEach((digit) => {
+    lo = lo * 10 + Number(digit);
+    hi = (hi * 10 + Math.floor(lo / UINT32)) % UINT32;
+    lo %= UINT32;
+  });
+  return new Int64(hi, lo);
+}
+
+/**
+ * Async iterator over the history of a chat, from the newest message
+ * to the oldest one, fetching `pageSize` messages at a time:
+ *
+ *   const history = group.history({ since: new Date('2017-01-01') });
+ *   for await (const message of history) {}
+ *   // or
+ *   history.forEach((message) => {}).then(() => {});
+ */
+export class MessageHistory {
+  /**
+   * Constructor of MessageHistory
+   * @param  {LineBase} chat        [contact, group or room of the history]
+   * @param  {Number} pageSize = 50 [messages fetched per request]
+   * @param  {String} beforeId      [Default to the newest message, page from
+   *                                 messages older than this message id]
+   * @param  {Date} before          [Default to null, skip messages created
+   *                                 at or after this time]
+   * @param  {Date} since           [Default to null, stop at messages
+   *                                 created before this time]
+   * @param  {Number} limit         [Default to Infinity, max messages]
+   */
+  constructor(chat, {
+    pageSize = 50, beforeId = null, before = null, since = null,
+    limit = Infinity
+  } = {}) {
+    this.chat = chat;
+    this.pageSize = pageSize;
+    this.before = before;
+    this.since = since;
+    this.limit = limit;
+    this.count = 0;
+    this._cursor = beforeId;
+    this._buffer = [];
+    this._done = false;
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Get the next older message
+   * @return {Promise} [resolved with { value, done } of iterator protocol]
+   */
+  next() {
+    if (this._done || this.count >= this.limit) {
+      this._done = true;
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    if (this._buffer.length > 0) {
+      const value = this._buffer.shift();
+      if (this.since && value.createdTime < this.since) {
+        this._done = true;
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      this.count += 1;
+      return Promise.resolve({ value, done: false });
+    }
+    return this._fetchPage().then((fetched) => {
+      if (!fetched) {
+        this._done = true;
+      }
+      return this.next();
+    });
+  }
+
+  /**
+   * Stop iterating, used by `for await` when the loop is broken
+   * @return {Promise} [resolved with { done: true }]
+   */
+  return() {
+    this._done = true;
+    this._buffer = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  /**
+   * Call `iteratee` with each message in order, a returned promise is
+   * waited before the next message
+   * @param  {Function} iteratee [called with (message, index)]
+   * @return {Promise}           [resolved with number of messages]
+   */
+  forEach(iteratee) {
+    const step = () => this.next().then(({ value, done }) => {
+      if (done) {
+        return this.count;
+      }
+      return Promise.resolve(iteratee(value, this.count - 1)).then(step);
+    });
+    return step();
+  }
+
+  /**
+   * Collect the remaining messages
+   * @return {Promise} [resolved with array of LineMessage, newest first]
+   */
+  toArray() {
+    const messages = [];
+    return this.forEach((message) => messages.push(message))
+      .then(() => messages);
+  }
+
+  /**
+   * Fetch the next page into the buffer
+   * @return {Promise} [resolved with false when there is no more message]
+   */
+  _fetchPage() {
+    const chat = this.chat;
+    const client = chat._client;
+    return chat._getMessageBox().then((messageBox) => (
+      this._cursor ?
+        client.getPreviousMessages(messageBox, this._cursor, this.pageSize) :
+        client.getRecentMessages(messageBox, this.pageSize)
+    )).then((messages) => {
+      const older = messages
+        .filter((message) => (
+          !this._cursor || compareMessageIds(message.id, this._cursor) < 0
+        ))
+        .sort((a, b) => compareMessageIds(b.id, a.id));
+      if (older.length === 0) {
+        return false;
+      }
+      this._cursor = older[older.length - 1].id;
+      this._buffer = older.filter((message) => (
+        !this.before || message.createdTime < this.before
+      ));
+      return true;
+    });
+  }
+}
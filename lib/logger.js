@@ -0,0 +1,71 @@
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEYS = [
+  'authToken', 'certificate', 'pinCode', 'password', 'verifier',
+  'sessionKey', 'credentials', 'X-Line-Access', 'token'
+];
+
+/**
+ * Copy fields of a log entry, values of sensitive keys (tokens,
+ * certificates, pin codes, passwords...) are replaced by '[REDACTED]'
+ * @param  {*} value [fields of a log entry]
+ * @return {*}       [redacted copy]
+ */
+export function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Error) {
+    return value;
+  }
+  const redacted = {};
+  Object.keys(value).forEach((key) => {
+    redacted[key] = SENSITIVE_KEYS.indexOf(key) >= 0 && value[key] != null ?
+      REDACTED :
+      redact(value[key]);
+  });
+  return redacted;
+}
+
+/**
+ * Logger writing nothing, the default logger of LineAPI
+ */
+export const silentLogger = LOG_LEVELS.reduce((logger, level) => ({
+  ...logger, [level]: () => {}
+}), {});
+
+/**
+ * Create a logger writing to console
+ * @param  {String} minLevel = 'info' [entries below the level are dropped]
+ * @return {Object}                   [logger]
+ */
+export function consoleLogger(minLevel = 'info') {
+  const min = LOG_LEVELS.indexOf(minLevel);
+  return LOG_LEVELS.reduce((logger, level, index) => ({
+    ...logger,
+    [level]: index < min ? () => {} : (message, fields = {}) => {
+      const write = level === 'debug' ? 'log' : level;
+      console[write](`[line] ${level} ${message}`, fields);
+    }
+  }), {});
+}
+
+/**
+ * Wrap a logger given by user, levels it does not implement are silent
+ * and fields are redacted before they reach it
+ * @param  {Object} logger = silentLogger [logger with debug, info, warn
+ *                                         and error of (message, fields)]
+ * @return {Object}                       [logger]
+ */
+export function createLogger(logger = silentLogger) {
+  return LOG_LEVELS.reduce((wrapped, level) => ({
+    ...wrapped,
+    [level]: (message, fields = {}) => {
+      if (typeof logger[level] === 'function') {
+        logger[level](message, redact(fields));
+      }
+    }
+  }), {});
+}
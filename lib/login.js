@@ -0,0 +1,214 @@
+import { EventEmitter } from 'events';
+import Promise from 'bluebird';
+import { LoginResultType } from 'curve-thrift/line_types';
+
+import { PinVerifier } from './pinVerifier';
+import { LineError, LoginTimeoutError, toLineError } from './errors';
+
+export const LoginState = {
+  IDLE: 'idle',
+  CREDENTIAL: 'credential',
+  PINCODE: 'pincode',
+  QRCODE: 'qrcode',
+  VERIFYING: 'verifying',
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Login with id and password as a state machine.
+ * It emits `state` on every transition, `pincode`, `qrcode` and
+ * `deviceConfirm` when the login has to be confirmed on mobile phone,
+ * and `success` or `failure` when the login is finished
+ */
+export class LoginFlow extends EventEmitter {
+  /**
+   * Constructor of LoginFlow
+   * @param  {LineAPI} api      [api whose thrift client is used to login]
+   * @param  {String} id        [account id of client]
+   * @param  {String} password  [password of client]
+   * @param  {String} certificate = null [Default to null, certificate of
+   *                                      a trusted device to skip pin code]
+   * @param  {Number} timeout   [Default to config.loginTimeout, milliseconds
+   *                             to wait for confirmation on mobile phone]
+   */
+  constructor(
+    api, id, password,
+    certificate = null,
+    timeout = api.config.loginTimeout
+  ) {
+    super();
+    this._api = api;
+    this.id = id;
+    this.password = password;
+    this.certificate = certificate;
+    this.timeout = timeout;
+    this.state = LoginState.IDLE;
+    this._defer = Promise.pending();
+    this._verifierRequest = null;
+  }
+
+  /**
+   * Run the login, calling it again returns the same promise
+   * @return {Promise} [resolved with LoginResult when login successfully,
+   *                   or rejected when login is failed or cancelled]
+   */
+  run() {
+    if (this.state !== LoginState.IDLE) {
+      return this._defer.promise;
+    }
+    this._transition(LoginState.CREDENTIAL);
+    this._loginWithCredential()
+      .then((result) => this._handleResult(result))
+      .then((result) => this._succeed(result), (err) => this._fail(err));
+    return this._defer.promise;
+  }
+
+  /**
+   * Cancel the login, the promise returned by `run` will be rejected
+   * @param  {Error} reason [Default to 'login cancelled' LineError]
+   * @return {Boolean}      [false if the login has been finished]
+   */
+  cancel(reason = new LineError('login cancelled')) {
+    if (this.isFinished()) {
+      return false;
+    }
+    this._transition(LoginState.CANCELLED);
+    if (this._verifierRequest) {
+      this._verifierRequest.abort();
+    }
+    this.emit('failure', reason);
+    this._defer.reject(reason);
+    return true;
+  }
+
+  isFinished() {
+    return this.state === LoginState.SUCCESS ||
+      this.state === LoginState.FAILURE ||
+      this.state === LoginState.CANCELLED;
+  }
+
+  /**
+   * Login with RSA encrypted credential. With the certificate of a device
+   * which has been trusted, LINE returns SUCCESS without asking pin code
+   * @return {Promise} [return LoginResult of the credential login]
+   */
+  _loginWithCredential() {
+    const api = this._api;
+    const pinVerifier = new PinVerifier(this.id, this.password);
+    return api._setProvider(this.id)
+      .then((json) => pinVerifier.getRSACrypto(json))
+      .then((rsaCrypto) => {
+        this._assertActive();
+        api.setTHttpClient();
+        return api._client.loginWithIdentityCredentialForCertificate(
+          api.provider, rsaCrypto.keyname, rsaCrypto.credentials,
+          true, api.config.ip, api.config.hostname, this.certificate || ''
+        );
+      });
+  }
+
+  _handleResult(result) {
+    this._assertActive();
+    switch (result.type) {
+      case LoginResultType.SUCCESS:
+        return result;
+      case LoginResultType.REQUIRE_DEVICE_CONFIRM:
+        return this._confirmDevice(result);
+      case LoginResultType.REQUIRE_QRCODE:
+        return this._confirmQrcode();
+      default:
+        throw new LineError(`unknown login result type ${result.type}`);
+    }
+  }
+
+  _confirmDevice(result) {
+    this._transition(LoginState.PINCODE);
+    this.emit('deviceConfirm', result);
+    if (result.pinCode) {
+      this.emit('pincode', result.pinCode, result);
+    }
+    return this._waitForVerifier(result.verifier);
+  }
+
+  _confirmQrcode() {
+    const api = this._api;
+    return Promise.resolve(api._client.getAuthQrcode(true, api.config.hostname))
+      .then((authQrcode) => {
+        this._assertActive();
+        this._transition(LoginState.QRCODE);
+        this.emit('qrcode', `line://au/q/${authQrcode.verifier}`, authQrcode);
+        return this._waitForVerifier(authQrcode.verifier);
+      });
+  }
+
+  /**
+   * Wait until the login is confirmed on mobile phone, then login with
+   * the verifier from LINE_CERTIFICATE_URL. The verifier is only sent as
+   * `X-Line-Access` of that request, which is aborted on timeout or cancel
+   * @param  {String} verifier [verifier of the login result]
+   * @return {Promise}         [return LoginResult of the verifier login]
+   */
+  _waitForVerifier(verifier) {
+    const api = this._api;
+    const request = api._requestJson(api.config.LINE_CERTIFICATE_URL, {
+      'X-Line-Access': verifier
+    });
+    this._verifierRequest = request;
+    return request.promise
+      .timeout(this.timeout)
+      .catch(Promise.TimeoutError, () => {
+        throw new LoginTimeoutError(
+          `login was not confirmed in ${this.timeout / 1000} seconds`
+        );
+      })
+      .finally(() => {
+        request.abort();
+        this._verifierRequest = null;
+      })
+      .then((json) => {
+        this._assertActive();
+        if (!(json && json.result && json.result.verifier)) {
+          throw new LineError('login was not confirmed on mobile phone');
+        }
+        this._transition(LoginState.VERIFYING);
+        return api._client.loginWithVerifierForCertificate(
+          json.result.verifier
+        );
+      })
+      .then((result) => this._handleResult(result));
+  }
+
+  _succeed(result) {
+    if (this.isFinished()) {
+      return;
+    }
+    this._api._applyLoginResult(result);
+    this._transition(LoginState.SUCCESS);
+    this.emit('success', result);
+    this._defer.resolve(result);
+  }
+
+  _fail(err) {
+    if (this.isFinished()) {
+      return;
+    }
+    const error = toLineError(err);
+    this._transition(LoginState.FAILURE);
+    this.emit('failure', error);
+    this._defer.reject(error);
+  }
+
+  _assertActive() {
+    if (this.state === LoginState.CANCELLED) {
+      throw new LineError('login cancelled');
+    }
+  }
+
+  _transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.emit('state', state, previous);
+  }
+}
@@ -0,0 +1,230 @@
+import Promise from 'bluebird';
+
+import { RateLimitError, TransportError } from './errors';
+
+const IDEMPOTENT_METHOD = /^(get|fetch)/;
+const SEQ_DEDUPED_METHODS = ['sendMessage', 'sendChatChecked'];
+
+/**
+ * Middleware wraps the next call of the TalkService pipeline:
+ *
+ *   const logger = (next) => (method, args) => {
+ *     console.log(method);
+ *     return next(method, args);
+ *   };
+ *
+ * @param  {Array} middlewares [middlewares, the first one is the outermost]
+ * @param  {Function} call     [innermost call of (method, args)]
+ * @return {Function}          [call of (method, args) through middlewares]
+ */
+export function compose(middlewares, call) {
+  return middlewares.reduceRight((next, middleware) => middleware(next), call);
+}
+
+/**
+ * TalkService method which can be sent again safely, it only reads data
+ * or is deduplicated by the server with its request sequence number
+ * @param  {String} method [name of the TalkService method]
+ * @return {Boolean}       [true for `get*`, `fetch*`, `sendMessage` and
+ *                          `sendChatChecked`]
+ */
+export function isIdempotent(method) {
+  return IDEMPOTENT_METHOD.test(method) ||
+    SEQ_DEDUPED_METHODS.indexOf(method) >= 0;
+}
+
+/**
+ * Delay before the retry of an attempt, with full jitter the delay is
+ * a random value between 0 and the exponential backoff
+ * @param  {Number} attempt [number of failed attempts, starts from 1]
+ * @param  {Object} options [config.rpc.retry]
+ * @return {Number}         [milliseconds to wait]
+ */
+export function backoffDelay(attempt, options) {
+  const delay = Math.min(
+    options.maxDelay,
+    options.minDelay * Math.pow(options.factor, attempt - 1)
+  );
+  return options.jitter ? Math.round(Math.random() * delay) : delay;
+}
+
+/**
+ * Bucket holding at most `capacity` tokens, refilled by `perSecond` tokens
+ * every second. A request has to take a token before being sent
+ */
+export class TokenBucket {
+  /**
+   * Constructor of TokenBucket
+   * @param  {Number} capacity  [tokens available for a burst]
+   * @param  {Number} perSecond [tokens refilled per second]
+   */
+  constructor(capacity, perSecond) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.tokens = capacity;
+    this._refilledAt = Date.now();
+    this._waiting = Promise.resolve();
+  }
+
+  /**
+   * Take a token, waiting in line until one is refilled
+   * @return {Promise} [resolved when the token is taken]
+   */
+  take() {
+    const taken = this._waiting.then(() => {
+      this._refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return null;
+      }
+      const wait = Math.ceil((1 - this.tokens) / this.perSecond * 1000);
+      return Promise.delay(wait).then(() => {
+        this._refill();
+        this.tokens -= 1;
+      });
+    });
+    this._waiting = taken;
+    return taken;
+  }
+
+  /**
+   * Whether the bucket is refilled up to its capacity, a full bucket
+   * can be dropped and created again without changing the limit
+   * @return {Boolean}
+   */
+  isFull() {
+    this._refill();
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Take a token without waiting
+   * @return {Boolean} [false if there is no token left]
+   */
+  tryTake() {
+    this._refill();
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+
+  _refill() {
+    const now = Date.now();
+    const refilled = (now - this._refilledAt) / 1000 * this.perSecond;
+    this.tokens = Math.min(this.capacity, this.tokens + refilled);
+    this._refilledAt = now;
+  }
+}
+
+/**
+ * Retry idempotent methods rejected by TransportError or RateLimitError
+ * with exponential backoff. `retry` is emitted by `api` before waiting
+ * @param  {Object} options  [config.rpc.retry]
+ * @param  {Number} options.retries  [times to send a failed call again]
+ * @param  {Number} options.minDelay [milliseconds to wait for the first retry]
+ * @param  {Number} options.maxDelay [upper bound of the backoff]
+ * @param  {Number} options.factor   [multiplier of the backoff per retry]
+ * @param  {Boolean} options.jitter  [randomize the backoff or not]
+ * @param  {Array} options.methods   [Default to null, methods to retry
+ *                                    instead of idempotent ones]
+ * @param  {LineAPI} api             [emitter of `retry` events]
+ * @return {Function}                [middleware]
+ */
+export function retry(options, api) {
+  const shouldRetry = (method) => (
+    options.methods ?
+      options.methods.indexOf(method) >= 0 :
+      isIdempotent(method)
+  );
+  return (next) => (method, args) => {
+    if (!shouldRetry(method)) {
+      return next(method, args);
+    }
+    const attempt = (count) => next(method, args).catch((err) => {
+      const retryable =
+        err instanceof TransportError || err instanceof RateLimitError;
+      if (!retryable || count > options.retries) {
+        throw err;
+      }
+      const delay = backoffDelay(count, options);
+      api.logger.warn('retry TalkService call', {
+        method, attempt: count, delay, error: err.message
+      });
+      api.emit('retry', method, count, delay, err);
+      return Promise.delay(delay).then(() => attempt(count + 1));
+    });
+    return attempt(1);
+  };
+}
+
+/**
+ * Allow at most `limit` calls waiting for responses at the same time,
+ * the others are queued in order
+ * @param  {Number} limit [max number of concurrent calls]
+ * @return {Function}     [middleware]
+ */
+export function concurrency(limit) {
+  const queue = [];
+  let running = 0;
+  const release = () => {
+    running -= 1;
+    if (queue.length > 0) {
+      running += 1;
+      queue.shift()();
+    }
+  };
+  const acquire = () => {
+    if (running < limit) {
+      running += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => queue.push(resolve));
+  };
+  return (next) => (method, args) => (
+    acquire().then(() => next(method, args)).finally(release)
+  );
+}
+
+/**
+ * Take a token from the bucket of the method before calling it
+ * @param  {Object} limits [config.rpc.rateLimits, { method: { capacity,
+ *                          perSecond } }, null to disable a limit]
+ * @return {Function}      [middleware]
+ */
+export function rateLimit(limits) {
+  const buckets = {};
+  Object.keys(limits).forEach((method) => {
+    if (limits[method]) {
+      const { capacity, perSecond } = limits[method];
+      buckets[method] = new TokenBucket(capacity, perSecond);
+    }
+  });
+  return (next) => (method, args) => (
+    buckets[method] ?
+      buckets[method].take().then(() => next(method, args)) :
+      next(method, args)
+  );
+}
+
+/**
+ * Build the default middlewares from config.rpc, rate limit is applied
+ * first, and retries do not hold a slot of concurrency while waiting
+ * @param  {Object} options        [config.rpc]
+ * @param  {LineAPI} api           [emitter of `retry` events]
+ * @return {Array}                 [middlewares]
+ */
+export function createMiddlewares(options, api) {
+  const middlewares = [];
+  if (options.rateLimits) {
+    middlewares.push(rateLimit(options.rateLimits));
+  }
+  if (options.retry && options.retry.retries > 0) {
+    middlewares.push(retry(options.retry, api));
+  }
+  if (options.concurrency > 0) {
+    middlewares.push(concurrency(options.concurrency));
+  }
+  return middlewares;
+}
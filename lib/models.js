@@ -1,22 +1,106 @@
 /* eslint no-use-before-define: ["error", { "classes": false }] */
 
 import {
-  readFile as fsReadFile,
-  appendFile as fsAppendFile,
-  unlink as fsUnlink
+  unlink as fsUnlink,
+  rename as fsRename,
+  createWriteStream
 } from 'fs';
+import { Transform } from 'stream';
 
-import { file as tmpFile } from 'tmp';
-import unirest from 'unirest';
 import Promise from 'bluebird';
 
-import { config } from './config';
-import { Message, ContentType } from 'curve-thrift/line_types';
+import {
+  Message, ContentType, Location, ProfileAttribute, Contact, Room
+} from 'curve-thrift/line_types';
+
+import { LineError, TransportError } from './errors';
+import { MessageHistory } from './history';
+import { chatIdOf } from './receipts';
+import { DEFAULT_STICKER_VERSION, Sticker } from './stickers';
+import { Group } from './talkService';
 
 const unlink = Promise.promisify(fsUnlink);
-const readFile = Promise.promisify(fsReadFile);
-const appendFile = Promise.promisify(fsAppendFile);
-const tmpFilePromise = Promise.promisify(tmpFile);
+const rename = Promise.promisify(fsRename);
+
+/**
+ * Prefix of `Content-Type` of the content downloaded for each ContentType
+ */
+const CONTENT_MIME_PREFIXES = {
+  [ContentType.IMAGE]: 'image/',
+  [ContentType.VIDEO]: 'video/',
+  [ContentType.AUDIO]: 'audio/'
+};
+
+/**
+ * Stream checking the downloaded content against the message: `Content-Type`
+ * of the response should match ContentType of the message, and the size
+ * should equal FILE_SIZE of contentMetadata when it is known
+ * @param  {Stream} source        [stream from getContentStream]
+ * @param  {String} mimePrefix    [expected prefix of `Content-Type`]
+ * @param  {Number} expectedSize  [expected size in bytes, or NaN]
+ * @return {Stream}               [checked stream]
+ */
+function checkContent(source, mimePrefix, expectedSize) {
+  let size = 0;
+  const checked = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (!isNaN(expectedSize) && size !== expectedSize) {
+        callback(new LineError(
+          `content size ${size} does not match FILE_SIZE ${expectedSize}`
+        ));
+        return;
+      }
+      callback();
+    }
+  });
+  source.on('error', (err) => checked.emit('error', err));
+  source.on('response', (response) => {
+    const type = response.headers['content-type'] || '';
+    if (mimePrefix && type && type.indexOf(mimePrefix) !== 0 &&
+      type.indexOf('application/octet-stream') !== 0) {
+      source.unpipe(checked);
+      response.destroy();
+      checked.emit('error', new LineError(
+        `content type ${type} does not match ${mimePrefix}*`
+      ));
+      return;
+    }
+    checked.emit('response', response);
+  });
+  return source.pipe(checked);
+}
+
+/**
+ * Number of an i64 field of a Thrift struct, null if it is not set
+ */
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Contact struct of the JSON of a LineContact, see LineContact#toJSON
+ * @param  {Object} data [JSON of a LineContact]
+ * @return {Contact}     [Thrift Contact]
+ */
+function toContactStruct(data) {
+  return new Contact({
+    mid: data.id,
+    displayName: data.displayName,
+    displayNameOverridden: data.displayNameOverridden,
+    statusMessage: data.statusMessage,
+    picturePath: data.picturePath,
+    pictureStatus: data.pictureStatus,
+    favoriteTime: data.isFavorite ? 1 : 0
+  });
+}
+
+function withoutIds(contacts, ids) {
+  return contacts.filter((contact) => ids.indexOf(contact.id) < 0);
+}
 
 function getContentTypeNameFromValue(content) {
   for (const name in ContentType) { // eslint-disable-line no-restricted-syntax
@@ -40,12 +124,134 @@ class LineMessage {
     this.contentType = message.contentType;
     this.contentPreview = message.contentPreview;
     this.contentMetaData = message.contentMetadata;
-    this.sender = client.getContactOrRoomOrGroupById(message._from);
+    this.location = message.location;
+    this.senderId = message.from_;
+    this.receiverId = message.to;
+    this.sender = client.getContactOrRoomOrGroupById(message.from_);
     this.receiver = client.getContactOrRoomOrGroupById(message.to);
     this.toType = message.toType;
     this.createdTime = new Date(message.createdTime);
   }
 
+  /**
+   * Plain object of the message for JSON.stringify, without the client.
+   * `sender` and `receiver` are kept as ids and resolved by `fromJSON`
+   * @return {Object} [JSON of the message]
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      text: this.text,
+      hasContent: this.hasContent,
+      contentType: this.contentType,
+      contentPreview: this.contentPreview ?
+        Buffer.from(this.contentPreview).toString('base64') :
+        null,
+      contentMetadata: this.contentMetaData || null,
+      location: this.location ? { ...this.location } : null,
+      senderId: this.senderId,
+      receiverId: this.receiverId,
+      toType: this.toType,
+      createdTime: this.createdTime.getTime()
+    };
+  }
+
+  /**
+   * Create LineMessage from the JSON of `toJSON`, sender and receiver are
+   * taken from the caches of the client
+   * @param  {LineClient} client [client the message belongs to]
+   * @param  {Object} data       [JSON of a LineMessage]
+   * @return {LineMessage}
+   */
+  static fromJSON(client, data) {
+    return new LineMessage(client, new Message({
+      id: data.id,
+      text: data.text,
+      hasContent: data.hasContent,
+      contentType: data.contentType,
+      contentPreview: data.contentPreview ?
+        Buffer.from(data.contentPreview, 'base64') :
+        null,
+      contentMetadata: data.contentMetadata,
+      location: data.location ? new Location(data.location) : null,
+      from_: data.senderId,
+      to: data.receiverId,
+      toType: data.toType,
+      createdTime: data.createdTime
+    }));
+  }
+
+  /**
+   * Mark this message and older messages of its chat as read
+   * @return {Promise} [return promise of ReceiptTracker#markRead]
+   */
+  markAsRead() {
+    const client = this._client;
+    return client.receipts.markRead(
+      chatIdOf(this, client.profile && client.profile.id), this.id
+    );
+  }
+
+  /**
+   * Download content of an image, video, audio or file message
+   * from LINE_GET_CONTENT_URL
+   * @return {Stream} [readable stream of the content, it emits `error` with
+   *                   LineError when the content does not match the message]
+   */
+  download() {
+    const metadata = this.contentMetaData || {};
+    return checkContent(
+      this._contentStream(''),
+      CONTENT_MIME_PREFIXES[this.contentType],
+      parseInt(metadata.FILE_SIZE, 10)
+    );
+  }
+
+  /**
+   * Download the thumbnail of an image or video message
+   * @return {Stream} [readable stream of the thumbnail]
+   */
+  preview() {
+    return checkContent(this._contentStream('/preview'), 'image/', NaN);
+  }
+
+  /**
+   * Save content of the message to a file, the file is written
+   * to `${filepath}.part` first and renamed after downloaded
+   * @param  {String} filepath [path of the file]
+   * @return {Promise}         [return filepath when promise successfully,
+   *                            or rejected with LineError]
+   */
+  saveTo(filepath) {
+    const partial = `${filepath}.part`;
+    return new Promise((resolve, reject) => {
+      const source = this.download();
+      const output = createWriteStream(partial);
+      const fail = (err) => {
+        source.unpipe(output);
+        output.end();
+        reject(err);
+      };
+      source.on('error', fail);
+      output.on('error', fail);
+      output.on('finish', resolve);
+      source.pipe(output);
+    })
+      .then(() => rename(partial, filepath))
+      .then(() => filepath)
+      .catch((err) => unlink(partial).catch(() => null).then(() => {
+        throw err;
+      }));
+  }
+
+  _contentStream(suffix) {
+    if (!this.hasContent) {
+      throw new LineError('message has no content to download');
+    }
+    const url = `${this._client.config.LINE_GET_CONTENT_URL}${this.id}`;
+    return this._client.getContentStream(`${url}${suffix}`);
+  }
+
   /**
    * Override toString method
    * @return {String} [Print some important info of LineMessage]
@@ -79,95 +285,202 @@ class LineBase {
   }
 
   /**
-   * Send sticker message
-   * @param  {String} stickerId='13'       [default value to 13, a string number of sticker id]
+   * Queue text message in `client.outbox`, it is sent again after
+   * connection and session errors until `config.outbox.ttl`
+   * @param  {String} text       [content of text message]
+   * @param  {Object} options = {} [options of Outbox#enqueue, ex. ttl]
+   * @return {Promise}           [resolved with the entry after it is saved]
+   */
+  queueMessage(text, options = {}) {
+    return this._client.outbox.enqueue(this, text, options);
+  }
+
+  /**
+   * Queue image message in `client.outbox`, see Outbox#enqueueContent
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @param  {String} filename = 'Line Image' [name of the image]
+   * @param  {Object} options = {} [options of Outbox#enqueueContent]
+   * @return {Promise}           [resolved with the entry after it is saved]
+   */
+  queueImage(source, filename = 'Line Image', options = {}) {
+    return this._client.outbox.enqueueContent(this, 'image', source, {
+      ...options,
+      name: filename
+    });
+  }
+
+  /**
+   * Queue file message in `client.outbox`, see Outbox#enqueueContent
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @param  {String} filename     [Default to basename of the path or URL]
+   * @param  {Object} options = {} [options of Outbox#enqueueContent]
+   * @return {Promise}           [resolved with the entry after it is saved]
+   */
+  queueFile(source, filename, options = {}) {
+    return this._client.outbox.enqueueContent(this, 'file', source, {
+      ...options,
+      name: filename
+    });
+  }
+
+  /**
+   * Send sticker message. When `config.stickers.validate` is true the
+   * sticker is checked against `client.stickers` before sending, it is
+   * sent anyway if the sticker shop cannot be reached
+   * @param  {String|Sticker} stickerId='13' [default value to 13, a string
+   *                                          number of sticker id, or Sticker
+   *                                          of StickerCatalog]
    * @param  {String} stickerPackageId='1' [default value to 1, a string number of sticker package id]
-   * @param  {String} stickerVersion='100' [default value to 100, a string number of sticker version]
+   * @param  {String} stickerVersion [default value to DEFAULT_STICKER_VERSION, a string number of sticker version]
    * @param  {String} stickerText='[null]' [default value to null, a string of sticker text]
-   * @return {Promise}                     [return sendSticker promise to handle result or error]
+   * @return {Promise}                     [return sendSticker promise to
+   *                                        handle result or error, rejected
+   *                                        with LineError if the sticker is
+   *                                        not in the package]
    */
   sendSticker(
     stickerId = '13',
     stickerPackageId = '1',
-    stickerVersion = '100',
+    stickerVersion = String(DEFAULT_STICKER_VERSION),
     stickerText = '[null]'
   ) {
-    const message = new Message({ to: this.id, text: '' });
-
-    message.contentType = ContentType.STICKER;
-    message.contentMetadata = {
-      STKID: stickerId,
-      STKPKGID: stickerPackageId,
-      STKVER: stickerVersion,
-      STKTXT: stickerText
-    };
+    if (stickerId instanceof Sticker) {
+      return this.sendSticker(
+        stickerId.id, stickerId.packageId, String(stickerId.version),
+        stickerText
+      );
+    }
+    const client = this._client;
+    const validated = client.config.stickers.validate ?
+      client.stickers.validate(
+        stickerId, stickerPackageId, Number(stickerVersion)
+      ).catch(TransportError, (err) => {
+        client.logger.warn('sticker is sent without validation', {
+          error: err.message
+        });
+      }) :
+      Promise.resolve();
 
-    return this._client.sendMessage(message);
+    return validated.then(() => {
+      const message = new Message({ to: this.id, text: '' });
+      message.contentType = ContentType.STICKER;
+      message.contentMetadata = {
+        STKID: String(stickerId),
+        STKPKGID: String(stickerPackageId),
+        STKVER: String(stickerVersion),
+        STKTXT: stickerText
+      };
+      return client.sendMessage(message);
+    });
   }
 
   /**
-   * Send image message from a path
-   * @param  {String} path [full path string to read the file]
-   * @return {Promise}     [return fs promise to handle result or error]
+   * Send image message, see LineClient#sendContent for the source and result
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @param  {String} filename = 'Line Image' [name of the image]
+   * @param  {Object} options = {} [options of LineClient#sendContent,
+   *                                ex. size of a stream]
+   * @return {Upload}      [thenable upload resolved with the sent message]
    */
-  sendImage(filepath, filename = 'Line Image') {
-    const message = new Message({
-      to: this.id,
-      text: '',
-      contentType: ContentType.IMAGE,
-      contentPreview: null,
-      contentMetadata: null
+  sendImage(source, filename = 'Line Image', options = {}) {
+    return this._client.sendContent(this.id, 'image', source, {
+      ...options,
+      name: filename
     });
+  }
 
-    return readFile(filepath).then((bufs) => (
-      this._client.sendMessage(message).then((responseMessage) => {
-        const data = {
-          params: JSON.stringify({
-            name: filename,
-            oid: responseMessage.id,
-            size: bufs.length,
-            type: 'image',
-            ver: '1.0'
-          })
-        };
-        return this._client
-          .postContent(config.LINE_POST_CONTENT_URL, data, filepath)
-          .then((res) => (res.error ? Promise.reject(res.error) : res));
-      })
-    )).catch((err) => {
-      console.error(err);
-      return err;
+  /**
+   * Send file message, ex. a PDF report
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @param  {String} filename [Default to basename of the path or URL,
+   *                            name of the file shown in chat]
+   * @param  {Object} options = {} [options of LineClient#sendContent,
+   *                                ex. size of a stream]
+   * @return {Upload}          [thenable upload resolved with the sent message]
+   */
+  sendFile(source, filename, options = {}) {
+    return this._client.sendContent(this.id, 'file', source, {
+      ...options,
+      name: filename
     });
   }
 
   /**
-   * Send image message from an URL
-   * @param  {String} url [image URL]
-   * @return {Promise}    [return promise of sending image with url to handle result or error]
+   * Send video message
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @param  {Number} duration = 0 [milliseconds of the video]
+   * @param  {Object} options = {} [options of LineClient#sendContent,
+   *                                ex. size of a stream]
+   * @return {Upload}          [thenable upload resolved with the sent message]
    */
-  sendImageWithURL(url) {
-    const _client = this._client;
+  sendVideo(source, duration = 0, options = {}) {
+    return this._client.sendContent(this.id, 'video', source, {
+      ...options,
+      duration
+    });
+  }
+
+  /**
+   * Send audio message
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @param  {Number} duration = 0 [milliseconds of the audio]
+   * @param  {Object} options = {} [options of LineClient#sendContent,
+   *                                ex. size of a stream]
+   * @return {Upload}          [thenable upload resolved with the sent message]
+   */
+  sendAudio(source, duration = 0, options = {}) {
+    return this._client.sendContent(this.id, 'audio', source, {
+      ...options,
+      duration
+    });
+  }
+
+  /**
+   * Send location message
+   * @param  {String} title     [title of the location]
+   * @param  {String} address   [address of the location]
+   * @param  {Number} latitude  [latitude of the location]
+   * @param  {Number} longitude [longitude of the location]
+   * @param  {String} phone = null [Default to null, phone of the location]
+   * @return {Promise}          [return sendMessage promise to handle result or error]
+   */
+  sendLocation(title, address, latitude, longitude, phone = null) {
     const message = new Message({
       to: this.id,
-      text: '',
-      contentType: ContentType.IMAGE,
-      contentPreview: null,
-      contentMetadata: null
+      text: title,
+      contentType: ContentType.LOCATION,
+      location: new Location({ title, address, latitude, longitude, phone })
     });
+    return this._client.sendMessage(message);
+  }
 
-    return _client.sendMessage(message).then(() => {
-      const unireq = unirest.get(url);
-      unireq.options.encoding = 'binary';
-      return unireq.end((resp) => (
-        tmpFilePromise({ postfix: '.jpg' }).then((path) => (
-          appendFile(path, resp.body, 'binary')
-            .then(() => this.sendImage(path).then(() => unlink(path)))
-        ))
-      ));
-    }).catch((err) => {
-      console.error(err);
-      return err;
+  /**
+   * Send contact card message
+   * @param  {LineContact} contact [contact shown by the card]
+   * @return {Promise}             [return sendMessage promise to handle result or error]
+   */
+  sendContact(contact) {
+    if (!(contact instanceof LineContact)) {
+      return Promise.reject(
+        new LineError('You should pass a LineContact as parameter')
+      );
+    }
+    const message = new Message({
+      to: this.id,
+      text: '',
+      contentType: ContentType.CONTACT,
+      contentMetadata: { mid: contact.id, displayName: contact.name }
     });
+    return this._client.sendMessage(message);
+  }
+
+  /**
+   * Send image message from an URL, the image is streamed to the upload
+   * @param  {String} url [image URL]
+   * @return {Upload}     [thenable upload resolved with the sent message]
+   */
+  sendImageWithURL(url) {
+    return this.sendImage(url);
   }
 
   /**
@@ -176,14 +489,39 @@ class LineBase {
    * @return {Promise}        [return promise of getRecentMessages to handle result or error]
    */
   getRecentMessages(count = 1) {
+    return this._getMessageBox().then((messageBox) => (
+      this._client.getRecentMessages(messageBox, count)
+    ));
+  }
+
+  /**
+   * Iterate the whole history of `this`, from the newest message
+   * @param  {Object} options = {} [options of MessageHistory, ex. pageSize,
+   *                                beforeId, before, since and limit]
+   * @return {MessageHistory}      [async iterator of LineMessage]
+   */
+  history(options = {}) {
+    return new MessageHistory(this, options);
+  }
+
+  /**
+   * Ids of members who have read a message sent to `this`,
+   * known from read notifications received since the client started
+   * @param  {String|LineMessage} message [message or id of the message]
+   * @return {Array}                      [ids of readers sorted by id]
+   */
+  readersOf(message) {
+    return this._client.receipts.readers(this.id, message.id || message);
+  }
+
+  _getMessageBox() {
     if (this._messageBox) {
-      return this._client.getRecentMessages(this._messageBox, count);
+      return Promise.resolve(this._messageBox);
     }
-
     return this._client.getMessageBox(this.id)
       .then((messageBox) => {
         this._messageBox = messageBox;
-        return this._client.getRecentMessages(this._messageBox, count);
+        return messageBox;
       });
   }
 
@@ -217,6 +555,8 @@ class LineGroup extends LineBase {
     } else {
       this.id = group.id;
       this.name = group.name;
+      this.pictureStatus = group.pictureStatus;
+      this.preventJoinByTicket = group.preventJoinByTicket !== false;
       this.creator =
         group.creator ? new LineContact(client, group.creator) : null;
       this.invitee =
@@ -230,6 +570,46 @@ class LineGroup extends LineBase {
     }
   }
 
+  /**
+   * Plain object of the group for JSON.stringify, without the client
+   * @return {Object} [JSON of the group, members are JSON of LineContact]
+   */
+  toJSON() {
+    const group = this._group || {};
+    return {
+      id: this.id,
+      name: this.name,
+      pictureStatus: this.pictureStatus || null,
+      isJoined: this.isJoined,
+      createdTime: toNumber(group.createdTime),
+      notificationDisabled: group.notificationDisabled || false,
+      preventJoinByTicket: this.preventJoinByTicket !== false,
+      creator: this.creator ? this.creator.toJSON() : null,
+      members: this.members.map((member) => member.toJSON()),
+      invitee: this.invitee.map((invitee) => invitee.toJSON())
+    };
+  }
+
+  /**
+   * Create LineGroup from the JSON of `toJSON`
+   * @param  {LineClient} client [client the group belongs to]
+   * @param  {Object} data       [JSON of a LineGroup]
+   * @return {LineGroup}
+   */
+  static fromJSON(client, data) {
+    return new LineGroup(client, new Group({
+      id: data.id,
+      name: data.name,
+      pictureStatus: data.pictureStatus,
+      createdTime: data.createdTime,
+      notificationDisabled: data.notificationDisabled,
+      preventJoinByTicket: data.preventJoinByTicket,
+      creator: data.creator ? toContactStruct(data.creator) : null,
+      members: (data.members || []).map(toContactStruct),
+      invitee: (data.invitee || []).map(toContactStruct)
+    }), data.isJoined !== false);
+  }
+
   /**
    * Accept a group invitation
    * @return {Promise} [if user has joined the group,
@@ -240,7 +620,7 @@ class LineGroup extends LineBase {
     if (!this.isJoined) {
       return this._client.acceptGroupInvitation(this);
     }
-    return Promise.reject(new Error('You are already in group'));
+    return Promise.reject(new LineError('You are already in group'));
   }
 
   /**
@@ -253,7 +633,130 @@ class LineGroup extends LineBase {
     if (this.isJoined) {
       return this._client.leaveGroup(this);
     }
-    return Promise.reject(new Error('You are not joined to group'));
+    return Promise.reject(new LineError('You are not joined to group'));
+  }
+
+  /**
+   * Reject the invitation of this group
+   * @return {Promise} [resolved with true, or rejected with LineError
+   *                   when user has joined the group]
+   */
+  rejectInvitation() {
+    if (this.isJoined) {
+      return Promise.reject(new LineError('You are already in group'));
+    }
+    const profile = this._client.profile;
+    return this._client.rejectGroupInvitation(this).then(() => {
+      this.invitee = withoutIds(this.invitee, [profile && profile.id]);
+      return true;
+    });
+  }
+
+  /**
+   * Kick members out of this group, they are removed from `this.members`
+   * @param  {Array} contacts [LineContact(s) or ids of members]
+   * @return {Promise}        [resolved with true, or rejected with LineError]
+   */
+  kick(contacts) {
+    if (!this.isJoined) {
+      return Promise.reject(new LineError('You are not joined to group'));
+    }
+    const ids = [].concat(contacts).map((contact) => contact.id || contact);
+    return this._client.kickoutFromGroup(this, ids).then(() => {
+      this.members = withoutIds(this.members, ids);
+      return true;
+    });
+  }
+
+  /**
+   * Cancel pending invitations, they are removed from `this.invitee`
+   * @param  {Array} contacts [LineContact(s) or ids of invitees]
+   * @return {Promise}        [resolved with true, or rejected with LineError]
+   */
+  cancelInvitation(contacts) {
+    if (!this.isJoined) {
+      return Promise.reject(new LineError('You are not joined to group'));
+    }
+    const ids = [].concat(contacts).map((contact) => contact.id || contact);
+    return this._client.cancelGroupInvitation(this, ids).then(() => {
+      this.invitee = withoutIds(this.invitee, ids);
+      return true;
+    });
+  }
+
+  /**
+   * Rename this group
+   * @param  {String} name [new name of the group]
+   * @return {Promise}     [resolved with this, or rejected with LineError]
+   */
+  rename(name) {
+    return this._update({ name });
+  }
+
+  /**
+   * Let anyone with the invitation link join this group
+   * @return {Promise} [resolved with this, or rejected with LineError]
+   */
+  enableTicket() {
+    return this._update({ preventJoinByTicket: false });
+  }
+
+  /**
+   * Stop anyone joining this group by the invitation link
+   * @return {Promise} [resolved with this, or rejected with LineError]
+   */
+  disableTicket() {
+    return this._update({ preventJoinByTicket: true });
+  }
+
+  /**
+   * Reissue the invitation ticket of this group, the previous link stops
+   * working. Joining by the link is enabled separately by `enableTicket`
+   * @return {Promise} [resolved with the new invitation link, or rejected
+   *                   with LineError]
+   */
+  reissueTicket() {
+    if (!this.isJoined) {
+      return Promise.reject(new LineError('You are not joined to group'));
+    }
+    return this._client.reissueGroupTicket(this);
+  }
+
+  /**
+   * Update fields of the Group struct through `updateGroup`, then apply
+   * them to this. The group replaces the cached one, which is indexed
+   * by its previous name
+   * @param  {Object} changes [fields of Group to be changed]
+   * @return {Promise}        [resolved with this, or rejected with LineError]
+   */
+  _update(changes) {
+    if (!this.isJoined) {
+      return Promise.reject(new LineError('You are not joined to group'));
+    }
+    return this._client.updateGroup(this, changes).then(() => {
+      const groups = this._client._groups;
+      groups.delete(this.id);
+      this._group = new Group({ ...this._group, ...changes });
+      this.name = this._group.name;
+      this.preventJoinByTicket = this._group.preventJoinByTicket !== false;
+      groups.set(this);
+      return this;
+    });
+  }
+
+  /**
+   * Change the picture of this group, see ContentSource.from for the source
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @return {Upload}      [thenable upload resolved with the fetched
+   *                        LineGroup, `pictureStatus` of this is updated too]
+   */
+  updatePicture(source) {
+    const upload = this._client.updateGroupPicture(this, source);
+    upload.then((group) => {
+      this.pictureStatus = group.pictureStatus;
+      this._group = group._group;
+    }, () => null);
+    return upload;
   }
 
   /**
@@ -274,7 +777,7 @@ class LineGroup extends LineBase {
    * @return {Boolean}   [if id of the contact is in this.members, then return true]
    */
   _containId(id) {
-    return Array.isArray(this.members) && this.members.indexOf(id) >= 0;
+    return this.getMemberIds().indexOf(id) >= 0;
   }
 
   /**
@@ -304,6 +807,34 @@ class LineRoom extends LineBase {
       [];
   }
 
+  /**
+   * Plain object of the room for JSON.stringify, without the client
+   * @return {Object} [JSON of the room, contacts are JSON of LineContact]
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      createdTime: toNumber(this._room.createdTime),
+      notificationDisabled: this._room.notificationDisabled || false,
+      contacts: this.contacts.map((contact) => contact.toJSON())
+    };
+  }
+
+  /**
+   * Create LineRoom from the JSON of `toJSON`
+   * @param  {LineClient} client [client the room belongs to]
+   * @param  {Object} data       [JSON of a LineRoom]
+   * @return {LineRoom}
+   */
+  static fromJSON(client, data) {
+    return new LineRoom(client, new Room({
+      mid: data.id,
+      createdTime: data.createdTime,
+      notificationDisabled: data.notificationDisabled,
+      contacts: (data.contacts || []).map(toContactStruct)
+    }));
+  }
+
   /**
    * Leave room method to each LineRoom
    * @return {Promise} [user can handle the result or error from promise]
@@ -320,9 +851,14 @@ class LineRoom extends LineBase {
    *                               a promise with `false` and error message]
    */
   invite(contact) {
-    return !(contact instanceof LineContact) ?
-      Promise.reject(new Error('You should pass a LineContact as parameter')) :
-      this._client.inviteIntoRoom(this, new LineContact(this._client, contact));
+    if (!(contact instanceof LineContact)) {
+      return Promise.reject(
+        new LineError('You should pass a LineContact as parameter')
+      );
+    }
+    return this._client.inviteIntoRoom(
+      this, new LineContact(this._client, contact)
+    );
   }
 
   /**
@@ -343,7 +879,7 @@ class LineRoom extends LineBase {
    * @return {Boolean}   [if id of the contact is in this.contacts, then return true]
    */
   _containId(id) {
-    return Array.isArray(this.contacts) && this.contacts.indexOf(id) >= 0;
+    return this.getContactIds().indexOf(id) >= 0;
   }
 
   /**
@@ -364,14 +900,83 @@ class LineContact extends LineBase {
   constructor(client, contact) {
     super();
     this._client = client;
+    this._setContact(contact);
+  }
+
+  _setContact(contact) {
     this._contact = contact;
     this.id = contact.mid;
-    this.name = contact.displayName;
-    this.iconPath =
-      `http://${config.LINE_OS_URL}${contact.picturePath}/preview`;
+    this.name = contact.displayNameOverridden || contact.displayName;
+    this.displayName = contact.displayName;
+    this.displayNameOverridden = contact.displayNameOverridden || null;
+    this.isFavorite = Number(contact.favoriteTime) > 0;
+    this.iconPath = `http://${this._client.config.LINE_OS_URL}` +
+      `${contact.picturePath}/preview`;
     this.statusMessage = contact.statusMessage;
   }
 
+  /**
+   * Plain object of the contact for JSON.stringify, without the client
+   * @return {Object} [JSON of the contact]
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      displayName: this.displayName,
+      displayNameOverridden: this.displayNameOverridden,
+      statusMessage: this.statusMessage || null,
+      picturePath: this._contact.picturePath || null,
+      pictureStatus: this._contact.pictureStatus || null,
+      isFavorite: this.isFavorite
+    };
+  }
+
+  /**
+   * Create LineContact from the JSON of `toJSON`, LineProfile.fromJSON
+   * creates a LineProfile
+   * @param  {LineClient} client [client the contact belongs to]
+   * @param  {Object} data       [JSON of a LineContact]
+   * @return {LineContact}
+   */
+  static fromJSON(client, data) {
+    return new this(client, toContactStruct(data));
+  }
+
+  /**
+   * Block `this` contact
+   * @return {Promise} [return promise of LineClient#blockContact]
+   */
+  block() {
+    return this._client.blockContact(this);
+  }
+
+  /**
+   * Unblock `this` contact
+   * @return {Promise} [return promise of LineClient#unblockContact]
+   */
+  unblock() {
+    return this._client.unblockContact(this);
+  }
+
+  /**
+   * Override the display name of `this` contact
+   * @param  {String} name [Default to '', empty name to remove the override]
+   * @return {Promise}     [return the updated LineContact]
+   */
+  setDisplayName(name = '') {
+    return this._client.setContactDisplayName(this, name);
+  }
+
+  /**
+   * Add `this` contact to favorites or remove it
+   * @param  {Boolean} isFavorite = true [false to remove from favorites]
+   * @return {Promise}                   [return the updated LineContact]
+   */
+  setFavorite(isFavorite = true) {
+    return this._client.setContactFavorite(this, isFavorite);
+  }
+
   /**
    * `rooms` setter of LineContact
    * @param  {Array} contactRooms [give an array of rooms joined by `this` LineContact]
@@ -401,7 +1006,7 @@ class LineContact extends LineBase {
    * @return {Array} [an array of LineGroup that `this` LineContact has joined]
    */
   get groups() {
-    return this._client.groups.map((group) => group._containId(this.id));
+    return this._client.groups.filter((group) => group._containId(this.id));
   }
 
   /**
@@ -421,9 +1026,51 @@ class LineContact extends LineBase {
   }
 }
 
+class LineProfile extends LineContact {
+  /**
+   * Change the display name of the account
+   * @param  {String} name [new display name]
+   * @return {Promise}     [return `this` updated by LineClient#getProfile]
+   */
+  setName(name) {
+    return this._client.updateProfileAttribute(
+      ProfileAttribute.DISPLAY_NAME, name
+    );
+  }
+
+  /**
+   * Change the status message of the account, ex. on-call rotation
+   * @param  {String} statusMessage [Default to '', new status message]
+   * @return {Promise}              [return `this` updated by getProfile]
+   */
+  setStatusMessage(statusMessage = '') {
+    return this._client.updateProfileAttribute(
+      ProfileAttribute.STATUS_MESSAGE, statusMessage
+    );
+  }
+
+  /**
+   * Change the profile picture, see ContentSource.from for the source
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable stream]
+   * @return {Upload}      [thenable upload resolved with `this` updated]
+   */
+  setPicture(source) {
+    return this._client.updateProfilePicture(source);
+  }
+
+  /**
+   * Override toString method to show basic info of the account
+   * @return {String} [show basic info of `this` LineProfile]
+   */
+  toString() {
+    return `<LineProfile ${this.id} ${this.name}>`;
+  }
+}
+
 export {
   LineRoom,
   LineGroup,
   LineMessage,
-  LineContact
+  LineContact,
+  LineProfile
 };
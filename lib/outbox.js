@@ -0,0 +1,580 @@
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import {
+  readFile as fsReadFile,
+  writeFile as fsWriteFile,
+  rename as fsRename
+} from 'fs';
+
+import Promise from 'bluebird';
+import { Message, Location, OpType } from 'curve-thrift/line_types';
+
+import {
+  LineError,
+  NotAuthenticatedError,
+  AuthExpiredError,
+  LoggedInElsewhereError,
+  RateLimitError,
+  TransportError
+} from './errors';
+import { backoffDelay } from './middleware';
+import { CONTENT_KINDS } from './upload';
+
+const readFile = Promise.promisify(fsReadFile);
+const writeFile = Promise.promisify(fsWriteFile);
+const rename = Promise.promisify(fsRename);
+
+/**
+ * Errors after which a queued message is sent again, the others drop it
+ */
+const RETRYABLE_ERRORS = [
+  TransportError,
+  RateLimitError,
+  NotAuthenticatedError,
+  AuthExpiredError,
+  LoggedInElsewhereError
+];
+
+/**
+ * Number of operations fetched at once while an entry sent before is
+ * searched for
+ */
+const OPERATIONS_PAGE = 50;
+
+function isRetryable(err) {
+  return RETRYABLE_ERRORS.some((ErrorClass) => err instanceof ErrorClass);
+}
+
+/**
+ * Whether an operation is the SEND_MESSAGE of an entry
+ * @param  {Object} entry        [queued entry]
+ * @param  {Operation} operation [operation from fetchOperations]
+ * @return {Boolean}
+ */
+function isSentFor(entry, operation) {
+  return operation.type === OpType.SEND_MESSAGE &&
+    Number(operation.reqSeq) === entry.seq &&
+    !!operation.message &&
+    operation.message.to === entry.chatId;
+}
+
+function copyEntry(entry) {
+  return JSON.parse(JSON.stringify(entry));
+}
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Keep the source of a queued upload as JSON, a path or an URL is kept
+ * as it is, a Buffer or a stream is kept as base64 `data`
+ * @param  {String|Buffer|Stream} source [content to be uploaded]
+ * @return {Promise}                     [resolved with `{ source }` or
+ *                                        `{ data }`]
+ */
+function persistSource(source) {
+  if (typeof source === 'string') {
+    return Promise.resolve({ source });
+  }
+  if (Buffer.isBuffer(source)) {
+    return Promise.resolve({ data: source.toString('base64') });
+  }
+  if (source && typeof source.pipe === 'function') {
+    return readAll(source).then(persistSource);
+  }
+  return Promise.reject(new LineError(
+    'content should be a path, an URL, a Buffer or a readable stream'
+  ));
+}
+
+/**
+ * Fields of a Message kept in a queued entry, `to` is the chat of the entry
+ * @param  {String|Message} message [text or Message to be sent]
+ * @return {Object}                 [JSON fields of the message]
+ */
+function messageFields(message) {
+  if (typeof message === 'string') {
+    return { text: message };
+  }
+  const { text, contentType, contentMetadata, location } = message;
+  return { text, contentType, contentMetadata, location };
+}
+
+/**
+ * Outbox stores keep the queued entries of an Outbox. A custom adapter
+ * only needs to implement `load` and `save` returning promises, e.g. to
+ * keep the queue in a database.
+ */
+
+/**
+ * Keep queued entries in memory, they are lost when process exits
+ */
+export class MemoryOutboxStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Load the saved entries
+   * @return {Promise} [return array of entries in the order of enqueue]
+   */
+  load() {
+    return Promise.resolve(this.entries.map(copyEntry));
+  }
+
+  /**
+   * Save every entry of the queue after it has changed
+   * @param  {Array} entries [JSON entries in the order of enqueue]
+   * @return {Promise}       [resolved after entries are saved]
+   */
+  save(entries) {
+    this.entries = entries.map(copyEntry);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Keep queued entries in a JSON file, so that messages queued before a
+ * restart are sent after it
+ */
+export class FileOutboxStore {
+  /**
+   * Constructor of FileOutboxStore
+   * @param  {String} filepath [path of the JSON file to keep entries]
+   */
+  constructor(filepath) {
+    if (!filepath) {
+      throw new Error('filepath of outbox file is needed');
+    }
+    this.filepath = filepath;
+    this._writing = Promise.resolve();
+  }
+
+  load() {
+    return readFile(this.filepath, 'utf8')
+      .then((content) => JSON.parse(content).entries)
+      .catch((err) => {
+        if (err.code === 'ENOENT') {
+          return [];
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Save entries by writing a temporary file and renaming it,
+   * writes are queued so a later queue never gets overwritten
+   * @param  {Array} entries [JSON entries in the order of enqueue]
+   * @return {Promise}       [resolved after entries are written to file]
+   */
+  save(entries) {
+    const tmpPath = `${this.filepath}.tmp`;
+    const content = JSON.stringify({ entries, savedAt: Date.now() });
+    this._writing = this._writing
+      .catch(() => null)
+      .then(() => writeFile(tmpPath, content))
+      .then(() => rename(tmpPath, this.filepath));
+    return this._writing;
+  }
+}
+
+/**
+ * Outgoing queue of a LineClient, available as `client.outbox`.
+ *
+ * Messages and uploads are queued per chat and sent in the order they are
+ * queued, a chat waits until its first entry is sent. An entry failed by a
+ * transport, rate limit or session error is sent again with exponential
+ * backoff while the client is logged in, and every chat is flushed after
+ * login and re-login. The request sequence number of an entry is kept, so
+ * the server does not deliver a message sent again in the same session
+ * twice. Since a re-login starts a new session, the revision of operations
+ * is kept before the first attempt, and before an entry is sent again the
+ * operations after it are searched for the SEND_MESSAGE of its number.
+ * Entries older than `ttl` are dropped.
+ *
+ * It emits `sent` with (entry, message), `retry` with (entry, err, delay),
+ * `failed` with (entry, err) when an error is not retryable, `expired`
+ * and `cancelled` with (entry):
+ *
+ *   client.outbox.enqueue(group, 'Disk full on db-1');
+ *   client.outbox.enqueueContent(group, 'image', chartBuffer, {
+ *     name: 'disk.png'
+ *   });
+ *   client.outbox.on('sent', (entry, message) => {});
+ */
+export class Outbox extends EventEmitter {
+  /**
+   * Constructor of Outbox
+   * @param  {LineClient} client   [client sending the entries]
+   * @param  {Object} store        [Default to MemoryOutboxStore, store with
+   *                                `load()` and `save(entries)`]
+   * @param  {Number} ttl          [milliseconds an entry is kept in queue]
+   * @param  {Object} retry        [backoff of retries, with minDelay,
+   *                                maxDelay, factor and jitter]
+   */
+  constructor(client, { store = null, ttl, retry } = {}) {
+    super();
+    this.client = client;
+    this.store = store || new MemoryOutboxStore();
+    this.ttl = ttl;
+    this.retry = retry;
+    this._entries = [];
+    this._loaded = null;
+    this._draining = new Map();
+    this._timers = new Map();
+    this._inFlight = new Set();
+    this._stopped = false;
+  }
+
+  /**
+   * Queue a message to a chat
+   * @param  {String|LineBase} chat   [chat or id of the contact, group
+   *                                   or room]
+   * @param  {String|Message} message [text or Message to be sent]
+   * @param  {Number} options.ttl     [Default to `this.ttl`]
+   * @return {Promise}                [resolved with the entry after it has
+   *                                   been saved to the store]
+   */
+  enqueue(chat, message, options = {}) {
+    return this._push(chat, { message: messageFields(message) }, options);
+  }
+
+  /**
+   * Queue an upload to a chat, see LineClient#sendContent. A Buffer or
+   * a stream is kept in the store as base64
+   * @param  {String|LineBase} chat [chat or id of the contact, group or room]
+   * @param  {String} type          ['image', 'file', 'video' or 'audio']
+   * @param  {String|Buffer|Stream} source [path, URL, Buffer or readable
+   *                                        stream]
+   * @param  {String} options.name     [Default to the name of the source]
+   * @param  {Number} options.duration [milliseconds of a video or an audio]
+   * @param  {Number} options.ttl      [Default to `this.ttl`]
+   * @return {Promise}              [resolved with the entry after it has
+   *                                 been saved to the store]
+   */
+  enqueueContent(chat, type, source, options = {}) {
+    if (!CONTENT_KINDS[type]) {
+      return Promise.reject(new LineError(`${type} is not a type of content`));
+    }
+    return persistSource(source).then((persisted) => this._push(chat, {
+      content: {
+        type,
+        name: options.name || null,
+        duration: options.duration || 0,
+        ...persisted
+      }
+    }, options));
+  }
+
+  /**
+   * Entries waiting in the queue, expired ones are dropped first
+   * @param  {String} chatId [Default to every chat]
+   * @return {Promise}       [resolved with copies of the entries in order]
+   */
+  list(chatId) {
+    return this._ready().then(() => this._expire()).then(() => (
+      this._entries
+        .filter((entry) => !chatId || entry.chatId === chatId)
+        .map(copyEntry)
+    ));
+  }
+
+  /**
+   * Remove an entry from the queue, an entry being sent can not be cancelled
+   * @param  {String} id [id of the entry]
+   * @return {Promise}   [resolved with false if it is not in the queue or
+   *                      is being sent]
+   */
+  cancel(id) {
+    return this._ready().then(() => {
+      const entry = this._entries.find((each) => each.id === id);
+      if (!entry || this._inFlight.has(id)) {
+        return false;
+      }
+      return this._remove(entry).then(() => {
+        this.emit('cancelled', entry);
+        return true;
+      });
+    });
+  }
+
+  /**
+   * Send queued entries now without waiting for the retry delay
+   * @param  {String} chatId [Default to every chat]
+   * @return {Promise}       [resolved with the number of entries left in
+   *                          queue after every chat has been tried]
+   */
+  flush(chatId) {
+    this._stopped = false;
+    return this._ready().then(() => {
+      const chatIds = chatId ?
+        [chatId] :
+        Array.from(new Set(this._entries.map((entry) => entry.chatId)));
+      return Promise.all(chatIds.map((id) => this._drain(id)));
+    }).then(() => this._entries.length);
+  }
+
+  /**
+   * Stop sending, entries being sent are finished and the others are kept
+   * in queue until `flush`
+   */
+  stop() {
+    this._stopped = true;
+    this._timers.forEach((timer) => clearTimeout(timer));
+    this._timers.clear();
+  }
+
+  _ready() {
+    if (!this._loaded) {
+      this._loaded = this.store.load().then((entries) => {
+        this._entries = (entries || []).concat(this._entries);
+      });
+    }
+    return this._loaded;
+  }
+
+  _push(chat, fields, { ttl = this.ttl } = {}) {
+    const chatId = chat && chat.id || chat;
+    if (typeof chatId !== 'string') {
+      return Promise.reject(new LineError('chat of the entry is needed'));
+    }
+    return this._ready().then(() => {
+      const createdAt = Date.now();
+      const entry = {
+        id: `${createdAt.toString(36)}${randomBytes(4).toString('hex')}`,
+        chatId,
+        seq: this.client._nextSeq(),
+        createdAt,
+        expiresAt: createdAt + ttl,
+        attempts: 0,
+        lastError: null,
+        revision: null,
+        sentId: null,
+        ...fields
+      };
+      this._entries.push(entry);
+      return this._save().then(() => {
+        this._drainLater(chatId, 0);
+        return copyEntry(entry);
+      });
+    });
+  }
+
+  /**
+   * Send entries of a chat one by one, a chat is drained by one loop at once
+   * @param  {String} chatId [id of the chat]
+   * @return {Promise}       [resolved when the chat is empty or waits for
+   *                          a retry]
+   */
+  _drain(chatId) {
+    if (!this._draining.has(chatId)) {
+      clearTimeout(this._timers.get(chatId));
+      this._timers.delete(chatId);
+      this._draining.set(chatId, this._sendNext(chatId).finally(() => {
+        this._draining.delete(chatId);
+      }));
+    }
+    return this._draining.get(chatId);
+  }
+
+  _sendNext(chatId) {
+    return this._expire().then(() => {
+      const entry = this._entries.find((each) => each.chatId === chatId);
+      if (!entry || this._stopped) {
+        return null;
+      }
+      entry.attempts += 1;
+      this._inFlight.add(entry.id);
+      return this._attempt(entry)
+        .finally(() => this._inFlight.delete(entry.id))
+        .then(({ message, err, retryable }) => {
+          if (err) {
+            return retryable ? this._retry(entry, err) : this._fail(entry, err);
+          }
+          return this._remove(entry).then(() => {
+            this.emit('sent', entry, message);
+            return this._sendNext(chatId);
+          });
+        });
+    });
+  }
+
+  /**
+   * Send an entry unless an earlier attempt has sent it. An error while
+   * it is searched for is always retried, the entry may have been sent
+   * @param  {Object} entry [entry being sent]
+   * @return {Promise}      [resolved with `{ message }`, or
+   *                         `{ err, retryable }` if it is not sent]
+   */
+  _attempt(entry) {
+    return this._findSent(entry).then(
+      (found) => this._send(entry, found).then(
+        (message) => ({ message }),
+        (err) => ({ err, retryable: isRetryable(err) })
+      ),
+      (err) => ({ err, retryable: true })
+    );
+  }
+
+  _send(entry, found) {
+    if (found && !entry.content) {
+      return Promise.resolve(
+        Object.assign(found, { reqSeq: entry.seq, status: 'delivered' })
+      );
+    }
+    return (found ? this._setSentId(entry, found) : Promise.resolve())
+      .then(() => this._sendEntry(entry));
+  }
+
+  _sendEntry(entry) {
+    if (!entry.content) {
+      const { location, ...fields } = entry.message;
+      return this.client.sendMessage(new Message({
+        ...fields,
+        to: entry.chatId,
+        location: location ? new Location(location) : null
+      }), entry.seq);
+    }
+    const { type, source, data, name, duration } = entry.content;
+    return Promise.resolve(this.client.sendContent(
+      entry.chatId, type, data ? Buffer.from(data, 'base64') : source, {
+        name: name || undefined,
+        duration,
+        seq: entry.seq,
+        sent: entry.sentId ?
+          new Message({ id: entry.sentId, to: entry.chatId }) :
+          null,
+        onSent: (sent) => this._setSentId(entry, sent)
+      }
+    ));
+  }
+
+  /**
+   * Find the message of an entry sent again, an attempt may have failed
+   * after the server had delivered it. The revision of operations is kept
+   * before the first attempt, the SEND_MESSAGE operations after it are
+   * searched for the sequence number of the entry
+   * @param  {Object} entry [entry being sent]
+   * @return {Promise}      [resolved with the Message, or null if it has
+   *                         not been sent]
+   */
+  _findSent(entry) {
+    const client = this.client;
+    if (entry.sentId) {
+      return Promise.resolve(null);
+    }
+    if (entry.revision === null || entry.revision === undefined) {
+      const known = client.revision !== undefined && client.revision !== null;
+      return Promise.resolve(
+        known ? client.revision : client._getLastOpRevision()
+      ).then((revision) => {
+        Object.assign(entry, { revision: Number(revision) });
+        return this._save();
+      }).then(() => null);
+    }
+    return client._getLastOpRevision().then((last) => (
+      this._findSendOperation(entry, entry.revision, Number(last))
+    )).then((operation) => (operation ? operation.message : null));
+  }
+
+  /**
+   * Search operations from a revision up to the last one for the
+   * SEND_MESSAGE operation of an entry, page by page
+   * @param  {Object} entry   [entry being sent]
+   * @param  {Number} from    [revision to fetch operations after]
+   * @param  {Number} last    [last revision of operations]
+   * @return {Promise}        [resolved with the Operation or null]
+   */
+  _findSendOperation(entry, from, last) {
+    if (from >= last) {
+      return Promise.resolve(null);
+    }
+    return this.client._fetchOperations(from, OPERATIONS_PAGE)
+      .then((operations) => {
+        const fetched = operations || [];
+        const found = fetched.find((operation) => isSentFor(entry, operation));
+        const next = fetched.reduce((max, operation) => (
+          Math.max(max, Number(operation.revision) || 0)
+        ), from);
+        if (found || next <= from) {
+          return found || null;
+        }
+        return this._findSendOperation(entry, next, last);
+      });
+  }
+
+  _setSentId(entry, sent) {
+    Object.assign(entry, { sentId: sent.id });
+    return this._save().then(() => null);
+  }
+
+  _fail(entry, err) {
+    return this._remove(entry).then(() => {
+      this.emit('failed', entry, err);
+      return this._sendNext(entry.chatId);
+    });
+  }
+
+  _retry(entry, err) {
+    Object.assign(entry, { lastError: err.message });
+    const delay = backoffDelay(entry.attempts, this.retry);
+    return this._save().then(() => {
+      this.emit('retry', entry, err, delay);
+      this._drainLater(entry.chatId, delay);
+    });
+  }
+
+  /**
+   * Drain a chat after a delay, unless the outbox is stopped or the
+   * client is not logged in: login and re-login flush every chat
+   * @param  {String} chatId [id of the chat]
+   * @param  {Number} delay  [milliseconds to wait]
+   */
+  _drainLater(chatId, delay) {
+    if (this._stopped || !this.client._checkAuth()) {
+      return;
+    }
+    clearTimeout(this._timers.get(chatId));
+    const timer = setTimeout(() => {
+      this._timers.delete(chatId);
+      this._drain(chatId).catch((err) => {
+        this.client.logger.error('outbox stopped by error', {
+          chatId, error: err.message
+        });
+      });
+    }, delay);
+    timer.unref();
+    this._timers.set(chatId, timer);
+  }
+
+  _expire() {
+    const now = Date.now();
+    const expired = this._entries.filter((entry) => (
+      entry.expiresAt <= now && !this._inFlight.has(entry.id)
+    ));
+    if (expired.length === 0) {
+      return Promise.resolve();
+    }
+    this._entries = this._entries.filter((entry) => (
+      expired.indexOf(entry) < 0
+    ));
+    return this._save().then(() => {
+      expired.forEach((entry) => this.emit('expired', entry));
+    });
+  }
+
+  _remove(entry) {
+    this._entries = this._entries.filter((each) => each !== entry);
+    return this._save();
+  }
+
+  _save() {
+    return this.store.save(this._entries.map(copyEntry));
+  }
+}
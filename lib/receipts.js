@@ -0,0 +1,204 @@
+import { EventEmitter } from 'events';
+import Promise from 'bluebird';
+import { MIDType, OpType } from 'curve-thrift/line_types';
+
+import { compareMessageIds } from './history';
+
+/**
+ * Id of the chat a message belongs to from the side of the client,
+ * the sender of a 1:1 message or the group or room it is sent to
+ * @param  {LineMessage} message [received or sent message]
+ * @param  {String} ownId        [id of the client profile]
+ * @return {String}              [id of the chat]
+ */
+export function chatIdOf(message, ownId) {
+  if (message.toType === MIDType.GROUP || message.toType === MIDType.ROOM) {
+    return message.receiverId;
+  }
+  return message.senderId === ownId ? message.receiverId : message.senderId;
+}
+
+/**
+ * Read receipts of a LineClient, available as `client.receipts`.
+ *
+ * A NOTIFIED_READ_MESSAGE operation tells that a member has read every
+ * message of a chat up to `param3`, so the last read message id of each
+ * member is kept per chat and `readers` compares message ids with it.
+ * It emits `read` with (chatId, readerId, messageId).
+ *
+ * Received messages are marked as read with `markRead`, which skips
+ * messages older than the last one marked in the chat. `Bot` marks a
+ * message after its handler has finished when auto-mark is enabled for
+ * the chat:
+ *
+ *   client.receipts.setAutoMark(group.id, true);
+ *   client.receipts.readers(group.id, sent.id); // ['u1...', 'u2...']
+ */
+export class ReceiptTracker extends EventEmitter {
+  /**
+   * Constructor of ReceiptTracker
+   * @param  {LineClient} client       [client sending and receiving receipts]
+   * @param  {Boolean} autoMark = false [Default to false, mark handled
+   *                                     messages of every chat as read]
+   */
+  constructor(client, { autoMark = false } = {}) {
+    super();
+    this.client = client;
+    this.autoMark = autoMark;
+    this._autoMarkChats = new Map();
+    this._lastRead = new Map();
+    this._lastMarked = new Map();
+  }
+
+  /**
+   * Enable or disable auto-mark of a chat, overriding `autoMark`
+   * @param  {String} chatId   [id of a contact, group or room]
+   * @param  {Boolean} enabled [null to follow `autoMark` again]
+   */
+  setAutoMark(chatId, enabled) {
+    if (enabled === null || enabled === undefined) {
+      this._autoMarkChats.delete(chatId);
+    } else {
+      this._autoMarkChats.set(chatId, !!enabled);
+    }
+  }
+
+  /**
+   * Whether handled messages of a chat are marked as read
+   * @param  {String} chatId [id of a contact, group or room]
+   * @return {Boolean}
+   */
+  isAutoMark(chatId) {
+    return this._autoMarkChats.has(chatId) ?
+      this._autoMarkChats.get(chatId) :
+      this.autoMark;
+  }
+
+  /**
+   * Mark messages of a chat up to `messageId` as read
+   * @param  {String} chatId    [id of a contact, group or room]
+   * @param  {String} messageId [id of the last read message]
+   * @return {Promise}          [resolved with false if a newer message has
+   *                             been marked already]
+   */
+  markRead(chatId, messageId) {
+    const marked = this._lastMarked.get(chatId);
+    if (marked && compareMessageIds(messageId, marked) <= 0) {
+      return Promise.resolve(false);
+    }
+    this._lastMarked.set(chatId, messageId);
+    return this.client.sendChatChecked(chatId, messageId)
+      .then(() => true)
+      .catch((err) => {
+        if (this._lastMarked.get(chatId) === messageId) {
+          this._lastMarked.set(chatId, marked);
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Mark a received message as read if auto-mark is enabled for its chat
+   * @param  {LineMessage} message [message whose handling is finished]
+   * @return {Promise}             [resolved with true if it is marked]
+   */
+  handled(message) {
+    const chatId = chatIdOf(message, this._ownId());
+    if (!message.id || !this.isAutoMark(chatId)) {
+      return Promise.resolve(false);
+    }
+    return this.markRead(chatId, message.id);
+  }
+
+  /**
+   * Ids of members who have read a message of a chat, the client itself
+   * is not included
+   * @param  {String} chatId    [id of a contact, group or room]
+   * @param  {String} messageId [id of the message]
+   * @return {Array}            [ids of readers sorted by id]
+   */
+  readers(chatId, messageId) {
+    const lastRead = this._lastRead.get(chatId);
+    if (!lastRead) {
+      return [];
+    }
+    const ownId = this._ownId();
+    const readers = [];
+    lastRead.forEach((readId, readerId) => {
+      if (readerId !== ownId && compareMessageIds(readId, messageId) >= 0) {
+        readers.push(readerId);
+      }
+    });
+    return readers.sort();
+  }
+
+  /**
+   * Whether a member has read a message of a chat
+   * @param  {String} chatId    [id of a contact, group or room]
+   * @param  {String} messageId [id of the message]
+   * @param  {String} readerId  [id of the member]
+   * @return {Boolean}
+   */
+  hasRead(chatId, messageId, readerId) {
+    const lastRead = this._lastRead.get(chatId);
+    const readId = lastRead && lastRead.get(readerId);
+    return !!readId && compareMessageIds(readId, messageId) >= 0;
+  }
+
+  /**
+   * Forget receipts of a chat, ex. after leaving a group
+   * @param  {String} chatId [id of a contact, group or room]
+   */
+  clear(chatId) {
+    this._lastRead.delete(chatId);
+    this._lastMarked.delete(chatId);
+    this._autoMarkChats.delete(chatId);
+  }
+
+  /**
+   * Record receipts from an operation dispatched by the client
+   * @param  {Operation} operation [operation from fetchOperations]
+   */
+  _onOperation(operation) {
+    switch (operation.type) {
+      case OpType.NOTIFIED_READ_MESSAGE:
+        this._recordRead(operation.param1, operation.param2, operation.param3);
+        break;
+      case OpType.SEND_CHAT_CHECKED:
+        this._recordMarked(operation.param1, operation.param2);
+        break;
+      case OpType.LEAVE_GROUP:
+      case OpType.LEAVE_ROOM:
+        this.clear(operation.param1);
+        break;
+      default:
+    }
+  }
+
+  _recordRead(chatId, readerId, messageId) {
+    if (!chatId || !readerId || !messageId) {
+      return;
+    }
+    if (!this._lastRead.has(chatId)) {
+      this._lastRead.set(chatId, new Map());
+    }
+    const lastRead = this._lastRead.get(chatId);
+    const readId = lastRead.get(readerId);
+    if (!readId || compareMessageIds(messageId, readId) > 0) {
+      lastRead.set(readerId, messageId);
+    }
+    this.emit('read', chatId, readerId, messageId);
+  }
+
+  _recordMarked(chatId, messageId) {
+    const marked = this._lastMarked.get(chatId);
+    if (chatId && messageId &&
+      (!marked || compareMessageIds(messageId, marked) > 0)) {
+      this._lastMarked.set(chatId, messageId);
+    }
+  }
+
+  _ownId() {
+    return this.client.profile && this.client.profile.id;
+  }
+}
@@ -0,0 +1,112 @@
+import {
+  readFile as fsReadFile,
+  writeFile as fsWriteFile,
+  rename as fsRename,
+  unlink as fsUnlink
+} from 'fs';
+
+import Promise from 'bluebird';
+
+const readFile = Promise.promisify(fsReadFile);
+const writeFile = Promise.promisify(fsWriteFile);
+const rename = Promise.promisify(fsRename);
+const unlink = Promise.promisify(fsUnlink);
+
+/**
+ * Session stores keep `{ authToken, certificate }` of a logged in client.
+ * A custom adapter only needs to implement `load`, `save` and `clear`
+ * returning promises, e.g. to keep sessions in a database.
+ */
+
+/**
+ * Keep session in memory, it is lost when process exits
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.session = null;
+  }
+
+  /**
+   * Load the saved session
+   * @return {Promise} [return `{ authToken, certificate }`, or null if nothing saved]
+   */
+  load() {
+    return Promise.resolve(this.session);
+  }
+
+  /**
+   * Save session after login
+   * @param  {Object} session [`{ authToken, certificate }` of logged in client]
+   * @return {Promise}        [resolved after session is saved]
+   */
+  save(session) {
+    this.session = { ...session };
+    return Promise.resolve(this.session);
+  }
+
+  /**
+   * Clear the saved session, ex. when authToken is expired
+   * @return {Promise} [resolved after session is cleared]
+   */
+  clear() {
+    this.session = null;
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Keep session in a JSON file, so a restarted client reuses its authToken
+ */
+export class FileSessionStore {
+  /**
+   * Constructor of FileSessionStore
+   * @param  {String} filepath [path of the JSON file to keep session]
+   */
+  constructor(filepath) {
+    if (!filepath) {
+      throw new Error('filepath of session file is needed');
+    }
+    this.filepath = filepath;
+    this._writing = Promise.resolve();
+  }
+
+  load() {
+    return readFile(this.filepath, 'utf8')
+      .then((content) => JSON.parse(content))
+      .catch((err) => {
+        if (err.code === 'ENOENT') {
+          return null;
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Save session by writing a temporary file and renaming it,
+   * the file is only readable by its owner
+   * @param  {Object} session [`{ authToken, certificate }` of logged in client]
+   * @return {Promise}        [resolved after session is written to file]
+   */
+  save(session) {
+    const tmpPath = `${this.filepath}.tmp`;
+    const content = JSON.stringify({ ...session, savedAt: Date.now() });
+    this._writing = this._writing
+      .catch(() => null)
+      .then(() => writeFile(tmpPath, content, { mode: 0o600 }))
+      .then(() => rename(tmpPath, this.filepath))
+      .then(() => session);
+    return this._writing;
+  }
+
+  clear() {
+    this._writing = this._writing
+      .catch(() => null)
+      .then(() => unlink(this.filepath))
+      .catch((err) => {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      });
+    return this._writing;
+  }
+}
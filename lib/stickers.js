@@ -0,0 +1,305 @@
+import {
+  mkdir as fsMkdir,
+  readFile as fsReadFile,
+  writeFile as fsWriteFile,
+  rename as fsRename
+} from 'fs';
+import { join } from 'path';
+import Promise from 'bluebird';
+
+import { LineError, TransportError } from './errors';
+
+const mkdir = Promise.promisify(fsMkdir);
+const readFile = Promise.promisify(fsReadFile);
+const writeFile = Promise.promisify(fsWriteFile);
+const rename = Promise.promisify(fsRename);
+
+/**
+ * Version of a package when it is not given, the version of the stickers
+ * every account has
+ */
+export const DEFAULT_STICKER_VERSION = 100;
+
+const RESOURCES = {
+  image: (stickerId) => `stickers/${stickerId}.png`,
+  animation: (stickerId) => `animation/${stickerId}.png`
+};
+
+/**
+ * Path of a package version on the sticker shop,
+ * version 100 is at `0/0/100`
+ * @param  {Number} version [version of the package]
+ * @return {String}         [path of the version]
+ */
+function versionPath(version) {
+  return [
+    Math.floor(version / 1000000), Math.floor(version / 1000), version
+  ].join('/');
+}
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function readCache(path) {
+  return readFile(path).catch((err) => {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  });
+}
+
+/**
+ * A sticker of a package, it can be passed to LineBase#sendSticker
+ */
+export class Sticker {
+  constructor(stickerPackage, sticker) {
+    this.id = String(sticker.id);
+    this.packageId = stickerPackage.id;
+    this.version = stickerPackage.version;
+    this.width = sticker.width;
+    this.height = sticker.height;
+    this.keywords = sticker.keywords || [];
+  }
+
+  toString() {
+    return `<Sticker ${this.packageId}/${this.id}>`;
+  }
+}
+
+/**
+ * Sticker package from `productInfo.meta` of the sticker shop
+ */
+export class StickerPackage {
+  constructor(meta) {
+    this.id = String(meta.packageId);
+    this.version = Number(meta.version);
+    this.title = meta.title || {};
+    this.author = meta.author || {};
+    this.onSale = meta.onSale !== false;
+    this.hasAnimation = !!meta.hasAnimation;
+    this.hasSound = !!meta.hasSound;
+    this.stickers =
+      (meta.stickers || []).map((sticker) => new Sticker(this, sticker));
+    this.meta = meta;
+  }
+
+  /**
+   * Get a sticker of this package
+   * @param  {String} stickerId [id of the sticker]
+   * @return {Sticker}          [undefined if it is not in this package]
+   */
+  getSticker(stickerId) {
+    return this.stickers.find((sticker) => sticker.id === String(stickerId));
+  }
+}
+
+/**
+ * Catalog of sticker packages on LINE_STICKER_URL, available as
+ * `client.stickers`. Package metadata and downloaded files are kept in
+ * memory, and in `config.stickers.cacheDir` when it is set:
+ *
+ *   client.stickers.getPackage('1', 100).then((pkg) => (
+ *     group.sendSticker(pkg.getSticker('13'))
+ *   ));
+ *   client.stickers.image('1', '13', 100).then((png) => {});
+ */
+export class StickerCatalog {
+  /**
+   * Constructor of StickerCatalog
+   * @param  {LineAPI} api          [api whose transport fetches the shop]
+   * @param  {String} cacheDir      [Default to null, directory of the disk
+   *                                 cache, created if it does not exist]
+   * @param  {String} platform      [Default to 'android', platform of files]
+   */
+  constructor(api, { cacheDir = null, platform = 'android' } = {}) {
+    this.api = api;
+    this.cacheDir = cacheDir;
+    this.platform = platform;
+    this._packages = new Map();
+    this._keywords = new Map();
+    this._cacheDirReady = null;
+  }
+
+  /**
+   * Get a package with its stickers
+   * @param  {String} packageId [id of the package]
+   * @param  {Number} version   [Default to DEFAULT_STICKER_VERSION,
+   *                             version of the package]
+   * @return {Promise}          [resolved with StickerPackage, or rejected
+   *                             with LineError if it is not found]
+   */
+  getPackage(packageId, version = DEFAULT_STICKER_VERSION) {
+    const key = `${packageId}-${version}`;
+    if (!this._packages.has(key)) {
+      const loading = this._fetchCached(
+        `${key}.meta.json`, this._url(packageId, version, 'productInfo.meta')
+      ).then((content) => new StickerPackage({
+        version,
+        ...JSON.parse(content.toString())
+      })).catch((err) => {
+        this._packages.delete(key);
+        throw err instanceof TransportError && err.statusCode === 404 ?
+          new LineError(
+            `sticker package ${packageId} version ${version} is not found`, err
+          ) :
+          err;
+      });
+      this._packages.set(key, loading);
+    }
+    return this._packages.get(key);
+  }
+
+  /**
+   * Check a sticker exists in a version of a package
+   * @param  {String} stickerId [id of the sticker]
+   * @param  {String} packageId [id of the package]
+   * @param  {Number} version   [Default to DEFAULT_STICKER_VERSION,
+   *                             version of the package]
+   * @return {Promise}          [resolved with Sticker, or rejected with
+   *                             LineError]
+   */
+  validate(stickerId, packageId, version = DEFAULT_STICKER_VERSION) {
+    return this.getPackage(packageId, version).then((stickerPackage) => {
+      const sticker = stickerPackage.getSticker(stickerId);
+      if (!sticker) {
+        throw new LineError(
+          `sticker ${stickerId} is not in package ${packageId}`
+        );
+      }
+      return sticker;
+    });
+  }
+
+  /**
+   * Download the image of a sticker
+   * @param  {String} packageId [id of the package]
+   * @param  {String} stickerId [id of the sticker]
+   * @param  {Number} version   [Default to DEFAULT_STICKER_VERSION,
+   *                             version of the package]
+   * @return {Promise}          [resolved with Buffer of the PNG]
+   */
+  image(packageId, stickerId, version = DEFAULT_STICKER_VERSION) {
+    return this._resource('image', packageId, stickerId, version);
+  }
+
+  /**
+   * Download the animation (APNG) of an animated sticker
+   * @param  {String} packageId [id of the package]
+   * @param  {String} stickerId [id of the sticker]
+   * @param  {Number} version   [Default to DEFAULT_STICKER_VERSION,
+   *                             version of the package]
+   * @return {Promise}          [resolved with Buffer of the animation]
+   */
+  animation(packageId, stickerId, version = DEFAULT_STICKER_VERSION) {
+    return this._resource('animation', packageId, stickerId, version);
+  }
+
+  /**
+   * Tag stickers with keywords for `find`, in addition to the keywords
+   * of the package metadata
+   * @param  {Sticker} sticker [sticker of a loaded package]
+   * @param  {Array} keywords  [keywords, ex. ['thanks', 'ok']]
+   */
+  addKeywords(sticker, keywords) {
+    [].concat(keywords).forEach((keyword) => {
+      const word = keyword.toLowerCase();
+      if (!this._keywords.has(word)) {
+        this._keywords.set(word, []);
+      }
+      this._keywords.get(word).push(sticker);
+    });
+  }
+
+  /**
+   * Find stickers of loaded packages by keyword
+   * @param  {String} keyword           [keyword, case insensitive]
+   * @param  {String} options.packageId [Default to every loaded package]
+   * @return {Promise}                  [resolved with array of Sticker]
+   */
+  find(keyword, { packageId } = {}) {
+    const word = keyword.toLowerCase();
+    return Promise.all(Array.from(this._packages.values()).map((loading) => (
+      loading.catch(() => null)
+    ))).then((packages) => {
+      const found = packages
+        .filter((stickerPackage) => (
+          stickerPackage &&
+          (!packageId || stickerPackage.id === String(packageId))
+        ))
+        .map((stickerPackage) => stickerPackage.stickers.filter((sticker) => (
+          sticker.keywords.some((each) => each.toLowerCase() === word)
+        )))
+        .reduce((all, stickers) => all.concat(stickers), []);
+      const tagged = (this._keywords.get(word) || []).filter((sticker) => (
+        !packageId || sticker.packageId === String(packageId)
+      ));
+      return found.concat(tagged.filter((sticker) => (
+        found.indexOf(sticker) < 0
+      )));
+    });
+  }
+
+  _resource(type, packageId, stickerId, version) {
+    const name = `${packageId}-${version}-${stickerId}-${type}.png`;
+    return this.validate(stickerId, packageId, version).then(() => (
+      this._fetchCached(
+        name, this._url(packageId, version, RESOURCES[type](stickerId))
+      )
+    ));
+  }
+
+  _url(packageId, version, path) {
+    const base = this.api.config.LINE_STICKER_URL;
+    const origin = /^https?:\/\//.test(base) ? base : `https://${base}`;
+    return `${origin}${versionPath(version)}/${packageId}/` +
+      `${this.platform}/${path}`;
+  }
+
+  /**
+   * Read a file from the disk cache, or download and cache it. The file
+   * is written to `${name}.part` first and renamed after written
+   * @param  {String} name [file name in the cache directory]
+   * @param  {String} url  [URL to download the file]
+   * @return {Promise}     [resolved with Buffer of the file]
+   */
+  _fetchCached(name, url) {
+    if (!this.cacheDir) {
+      return this._download(url);
+    }
+    const path = join(this.cacheDir, name);
+    return readCache(path).then((cached) => (
+      cached || this._download(url).then((content) => (
+        this._ensureCacheDir()
+          .then(() => writeFile(`${path}.part`, content))
+          .then(() => rename(`${path}.part`, path))
+          .then(() => content)
+      ))
+    ));
+  }
+
+  _download(url) {
+    const userAgent = this.api.config.Headers['User-Agent'];
+    return readAll(
+      this.api.getContentStream(url, { 'User-Agent': userAgent })
+    );
+  }
+
+  _ensureCacheDir() {
+    if (!this._cacheDirReady) {
+      this._cacheDirReady = mkdir(this.cacheDir).catch((err) => {
+        if (err.code !== 'EEXIST') {
+          this._cacheDirReady = null;
+          throw err;
+        }
+      });
+    }
+    return this._cacheDirReady;
+  }
+}
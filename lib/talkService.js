@@ -0,0 +1,260 @@
+import thrift from 'thrift';
+import Promise from 'bluebird';
+import TalkService from 'curve-thrift/TalkService';
+import lineTypes from 'curve-thrift/line_types';
+
+const { Thrift } = thrift;
+const { Type, MessageType } = Thrift;
+const { Contact, TalkException } = lineTypes;
+
+/**
+ * Codecs of the thrift types used below, as the thrift compiler
+ * generates reads and writes of each type
+ */
+const string = {
+  type: Type.STRING,
+  read: (input) => input.readString(),
+  write: (output, value) => output.writeString(value)
+};
+
+const i32 = {
+  type: Type.I32,
+  read: (input) => input.readI32(),
+  write: (output, value) => output.writeI32(value)
+};
+
+const i64 = {
+  type: Type.I64,
+  read: (input) => input.readI64(),
+  write: (output, value) => output.writeI64(value)
+};
+
+const bool = {
+  type: Type.BOOL,
+  read: (input) => input.readBool(),
+  write: (output, value) => output.writeBool(value)
+};
+
+const structOf = (Struct) => ({
+  type: Type.STRUCT,
+  read: (input) => {
+    const struct = new Struct();
+    struct.read(input);
+    return struct;
+  },
+  write: (output, value) => value.write(output)
+});
+
+const listOf = (codec) => ({
+  type: Type.LIST,
+  read: (input) => {
+    const { size } = input.readListBegin();
+    const list = [];
+    for (let i = 0; i < size; i += 1) {
+      list.push(codec.read(input));
+    }
+    input.readListEnd();
+    return list;
+  },
+  write: (output, list) => {
+    output.writeListBegin(codec.type, list.length);
+    list.forEach((value) => codec.write(output, value));
+    output.writeListEnd();
+  }
+});
+
+/**
+ * Read fields of a struct into `struct`, unknown fields are skipped
+ * @param  {Object} struct [struct to be read]
+ * @param  {Object} fields [[name, codec] of each field by its id]
+ * @param  {TProtocol} input
+ */
+function readStruct(struct, fields, input) {
+  input.readStructBegin();
+  let { fid, ftype } = input.readFieldBegin();
+  while (ftype !== Type.STOP) {
+    const field = fields[fid];
+    if (field && field[1].type === ftype) {
+      Object.assign(struct, { [field[0]]: field[1].read(input) });
+    } else {
+      input.skip(ftype);
+    }
+    input.readFieldEnd();
+    ({ fid, ftype } = input.readFieldBegin());
+  }
+  input.readStructEnd();
+}
+
+/**
+ * Write fields of `struct` which are not null, in the order of their ids
+ * @param  {Object} struct [struct to be written]
+ * @param  {String} name   [name of the struct]
+ * @param  {Object} fields [[name, codec] of each field by its id]
+ * @param  {TProtocol} output
+ */
+function writeStruct(struct, name, fields, output) {
+  output.writeStructBegin(name);
+  Object.keys(fields).forEach((fid) => {
+    const [field, codec] = fields[fid];
+    const value = struct[field];
+    if (value !== null && value !== undefined) {
+      output.writeFieldBegin(field, codec.type, Number(fid));
+      codec.write(output, value);
+      output.writeFieldEnd();
+    }
+  });
+  output.writeFieldStop();
+  output.writeStructEnd();
+}
+
+const GROUP_FIELDS = {
+  1: ['id', string],
+  2: ['createdTime', i64],
+  10: ['name', string],
+  11: ['pictureStatus', string],
+  12: ['preventJoinByTicket', bool],
+  20: ['members', listOf(structOf(Contact))],
+  21: ['creator', structOf(Contact)],
+  22: ['invitee', listOf(structOf(Contact))],
+  31: ['notificationDisabled', bool]
+};
+
+/**
+ * Group of curve-thrift with `preventJoinByTicket` (field 12), which
+ * enables or disables joining the group by its invitation ticket
+ */
+export class Group extends lineTypes.Group {
+  constructor(args) {
+    super(args);
+    this.preventJoinByTicket = null;
+    if (args && args.preventJoinByTicket != null) {
+      this.preventJoinByTicket = args.preventJoinByTicket;
+    }
+  }
+
+  read(input) {
+    readStruct(this, GROUP_FIELDS, input);
+  }
+
+  write(output) {
+    writeStruct(this, 'Group', GROUP_FIELDS, output);
+  }
+}
+
+const group = structOf(Group);
+
+/**
+ * Client of TalkService with the definitions curve-thrift is missing for
+ * invitation tickets of groups, following the TalkService of LINE:
+ * `Group#preventJoinByTicket` and `reissueGroupTicket`. Methods reading
+ * or writing a Group are defined again below to use the Group above, the
+ * generated ones of curve-thrift are left as they are
+ */
+export class TalkServiceClient extends TalkService.Client {}
+
+/**
+ * Processor of TalkService with the same definitions as TalkServiceClient
+ */
+export class TalkServiceProcessor extends TalkService.Processor {}
+
+/**
+ * Define a method on TalkServiceClient and TalkServiceProcessor,
+ * it may throw TalkException like the generated ones
+ * @param  {String} name    [name of the method]
+ * @param  {Object} fields  [[name, codec] of each argument by its id]
+ * @param  {Object} success [codec of the result, none for void methods]
+ */
+function defineMethod(name, fields, success) {
+  const argNames = Object.keys(fields).map((fid) => fields[fid][0]);
+  const resultName = `TalkService_${name}_result`;
+  const resultFields = success ? {
+    0: ['success', success],
+    1: ['e', structOf(TalkException)]
+  } : {
+    1: ['e', structOf(TalkException)]
+  };
+  const Client = TalkServiceClient.prototype;
+  const Processor = TalkServiceProcessor.prototype;
+
+  Client[name] = function call(...args) {
+    this._seqid = this.new_seqid();
+    return new Promise((resolve, reject) => {
+      this._reqs[this.seqid()] = (err, result) => (
+        err ? reject(err) : resolve(result)
+      );
+      this[`send_${name}`](...args);
+    });
+  };
+
+  Client[`send_${name}`] = function send(...args) {
+    const output = new this.pClass(this.output);
+    const struct = {};
+    argNames.forEach((argName, index) => {
+      struct[argName] = args[index];
+    });
+    output.writeMessageBegin(name, MessageType.CALL, this.seqid());
+    writeStruct(struct, `TalkService_${name}_args`, fields, output);
+    output.writeMessageEnd();
+    return this.output.flush();
+  };
+
+  Client[`recv_${name}`] = function recv(input, mtype, rseqid) {
+    const callback = this._reqs[rseqid] || (() => null);
+    delete this._reqs[rseqid];
+    if (mtype === MessageType.EXCEPTION) {
+      const exception = new Thrift.TApplicationException();
+      exception.read(input);
+      input.readMessageEnd();
+      return callback(exception);
+    }
+    const result = {};
+    readStruct(result, resultFields, input);
+    input.readMessageEnd();
+    if (result.e) {
+      return callback(result.e);
+    }
+    if (result.success != null || !success) {
+      return callback(null, result.success);
+    }
+    return callback(`${name} failed: unknown result`);
+  };
+
+  Processor[`process_${name}`] = function process(seqid, input, output) {
+    const args = {};
+    readStruct(args, fields, input);
+    input.readMessageEnd();
+    const reply = (type, write) => {
+      output.writeMessageBegin(name, type, seqid);
+      write();
+      output.writeMessageEnd();
+      output.flush();
+    };
+    const handler = this._handler;
+    Promise.try(() => handler[name](...argNames.map((arg) => args[arg])))
+      .then((result) => reply(MessageType.REPLY, () => (
+        writeStruct({ success: result }, resultName, resultFields, output)
+      )), (err) => {
+        if (err instanceof TalkException) {
+          return reply(MessageType.REPLY, () => (
+            writeStruct({ e: err }, resultName, resultFields, output)
+          ));
+        }
+        return reply(MessageType.EXCEPTION, () => (
+          new Thrift.TApplicationException(
+            Thrift.TApplicationExceptionType.UNKNOWN, err.message
+          ).write(output)
+        ));
+      });
+  };
+}
+
+defineMethod('createGroup', {
+  1: ['seq', i32],
+  2: ['name', string],
+  3: ['contactIds', listOf(string)]
+}, group);
+defineMethod('getCompactGroup', { 2: ['groupId', string] }, group);
+defineMethod('getGroup', { 2: ['groupId', string] }, group);
+defineMethod('getGroups', { 2: ['groupIds', listOf(string)] }, listOf(group));
+defineMethod('updateGroup', { 1: ['reqSeq', i32], 2: ['group', group] });
+defineMethod('reissueGroupTicket', { 1: ['groupMid', string] }, string);
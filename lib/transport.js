@@ -0,0 +1,154 @@
+import http from 'http';
+import https from 'https';
+import { parse as parseUrl } from 'url';
+
+import thrift from 'thrift';
+import HttpProxyAgent from 'http-proxy-agent';
+import HttpsProxyAgent from 'https-proxy-agent';
+import SocksProxyAgent from 'socks-proxy-agent';
+
+import { LineError } from './errors';
+
+/**
+ * Connection settings shared by the thrift connection, `getJson`
+ * and `postContent` of a client, created from `config.transport`
+ */
+export class Transport {
+  /**
+   * Constructor of Transport
+   * @param  {Object} options           [config.transport]
+   * @param  {String} options.host      [Default to LINE_DOMAIN, host of TalkService]
+   * @param  {Number} options.port      [port of TalkService]
+   * @param  {String} options.scheme    ['https' or 'http']
+   * @param  {String} options.proxy     [Default to null, URL of HTTP(S) or
+   *                                     SOCKS proxy, ex. socks://127.0.0.1:1080]
+   * @param  {String|Buffer|Array} options.ca [Default to null, trusted CA certificates]
+   * @param  {Number} options.timeout   [milliseconds to wait for a response]
+   * @param  {Boolean} options.keepAlive [Default to null, reuse connections
+   *                                      between requests when there is no
+   *                                      proxy. Proxy agents open a
+   *                                      connection per request, so true
+   *                                      with a proxy throws LineError]
+   * @param  {String} defaultHost       [host used when options.host is not set]
+   */
+  constructor(options, defaultHost) {
+    this.host = options.host || defaultHost;
+    this.port = options.port;
+    this.scheme = options.scheme;
+    this.proxy = options.proxy;
+    this.ca = options.ca;
+    this.timeout = options.timeout;
+    if (options.proxy && options.keepAlive === true) {
+      throw new LineError('keepAlive is not supported through a proxy');
+    }
+    const keepAlive = options.keepAlive;
+    this.keepAlive = keepAlive === null || keepAlive === undefined ?
+      !options.proxy :
+      keepAlive;
+    this._agents = {};
+  }
+
+  get isHttps() {
+    return this.scheme === 'https';
+  }
+
+  /**
+   * Get URL of a path on the TalkService host
+   * @param  {String} path [pathname of the URL]
+   * @return {String}      [full URL with scheme, host and port]
+   */
+  url(path) {
+    return `${this.scheme}://${this.host}:${this.port}${path}`;
+  }
+
+  /**
+   * Get the agent for requests to http or https URLs, it tunnels connections
+   * through the proxy when `proxy` is set
+   * @param  {Boolean} isHttps [the request is sent to an https URL or not]
+   * @return {http.Agent}      [agent shared by requests of this transport]
+   */
+  agent(isHttps) {
+    const key = isHttps ? 'https' : 'http';
+    if (!this._agents[key]) {
+      this._agents[key] = this._createAgent(isHttps);
+    }
+    return this._agents[key];
+  }
+
+  /**
+   * Get node request options of an URL, used by `unirest` requests
+   * @param  {String} targetUrl [URL to be requested]
+   * @return {Object}           [agent and ca of the request]
+   */
+  requestOptions(targetUrl) {
+    const isHttps = parseUrl(targetUrl).protocol === 'https:';
+    const options = { agent: this.agent(isHttps) };
+    if (this.ca) {
+      options.ca = this.ca;
+    }
+    return options;
+  }
+
+  /**
+   * Get options of `thrift.createHttpConnection`
+   * @param  {Object} options [thrift options, ex. protocol, headers and path]
+   * @return {Object}         [thrift options with https and node options]
+   */
+  thriftOptions(options) {
+    const nodeOptions = { agent: this.agent(this.isHttps) };
+    if (this.ca) {
+      nodeOptions.ca = this.ca;
+    }
+    return { ...options, https: this.isHttps, nodeOptions };
+  }
+
+  /**
+   * Destroy sockets kept alive by agents of this transport
+   */
+  destroy() {
+    Object.keys(this._agents).forEach((key) => {
+      if (typeof this._agents[key].destroy === 'function') {
+        this._agents[key].destroy();
+      }
+    });
+    this._agents = {};
+  }
+
+  _createAgent(isHttps) {
+    if (!this.proxy) {
+      const Agent = isHttps ? https.Agent : http.Agent;
+      return new Agent({ keepAlive: this.keepAlive });
+    }
+    const proxy = parseUrl(this.proxy);
+    if (/^socks/.test(proxy.protocol)) {
+      return new SocksProxyAgent(proxy);
+    }
+    return isHttps ? new HttpsProxyAgent(proxy) : new HttpProxyAgent(proxy);
+  }
+}
+
+/**
+ * HttpConnection of thrift sending each call by its own request. Thrift
+ * emits `error` of the connection without telling which call failed, so
+ * an error of a request or its response is emitted as `callError` with
+ * the seqid of the call it was sending, other calls are not affected
+ */
+export class CallConnection extends thrift.HttpConnection {
+  write(data, seqid) {
+    const fail = (err) => this.emit('callError', err, seqid);
+    const nodeOptions = {
+      ...this.nodeOptions,
+      headers: { ...this.nodeOptions.headers, 'Content-length': data.length }
+    };
+    const request = (this.https ? https : http).request(
+      nodeOptions,
+      (response) => {
+        response.on('error', fail);
+        this.responseCallback(response);
+      }
+    );
+    request.on('error', fail);
+    request.write(data);
+    request.end();
+  }
+}
@@ -0,0 +1,256 @@
+import { EventEmitter } from 'events';
+import { stat as fsStat, createReadStream } from 'fs';
+import { basename } from 'path';
+import { PassThrough } from 'stream';
+import { parse as parseUrl } from 'url';
+import Promise from 'bluebird';
+import { ContentType } from 'curve-thrift/line_types';
+
+import { LineError } from './errors';
+
+const stat = Promise.promisify(fsStat);
+
+function bufferStream(buffer) {
+  const stream = new PassThrough();
+  stream.end(buffer);
+  return stream;
+}
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function isStream(source) {
+  return !!source && typeof source.pipe === 'function';
+}
+
+const durationMetadata = (prefix) => (content, { duration = 0 }) => ({
+  [`${prefix}LEN`]: String(duration),
+  DURATION: String(duration)
+});
+
+/**
+ * Kinds of content messages by the `type` of their upload. The metadata
+ * of the message and extra upload params are built from the ContentSource
+ * and the options of `LineClient#sendContent`
+ */
+export const CONTENT_KINDS = {
+  image: {
+    contentType: ContentType.IMAGE
+  },
+  file: {
+    contentType: ContentType.FILE,
+    contentMetadata: (content) => ({
+      FILE_NAME: content.name,
+      FILE_SIZE: String(content.size)
+    })
+  },
+  video: {
+    contentType: ContentType.VIDEO,
+    contentMetadata: durationMetadata('VID'),
+    params: ({ duration = 0 }) => ({ duration })
+  },
+  audio: {
+    contentType: ContentType.AUDIO,
+    contentMetadata: durationMetadata('AUD'),
+    params: ({ duration = 0 }) => ({ duration })
+  }
+};
+
+/**
+ * Content to be uploaded, with its size known before the upload starts
+ */
+export class ContentSource {
+  /**
+   * Constructor of ContentSource
+   * @param  {Function} open [returns a readable stream of the content]
+   * @param  {Number} size   [size of the content in bytes]
+   * @param  {String} name   [file name of the content]
+   * @param  {String} type   [`Content-Type` of the content]
+   */
+  constructor(open, size, name, type) {
+    this.open = open;
+    this.size = size;
+    this.name = name;
+    this.type = type || 'application/octet-stream';
+  }
+
+  /**
+   * Create ContentSource from a path, an http(s) URL, a Buffer or a
+   * readable stream. The size of a stream is taken from `options.size`
+   * or the file of a `fs.ReadStream`, then it is streamed without being
+   * read into memory. A stream of unknown size is read into a Buffer
+   * @param  {LineAPI} api       [api whose transport downloads the URL]
+   * @param  {String|Buffer|Stream} source [content to be uploaded]
+   * @param  {String} options.name [Default to basename of a path or 'file']
+   * @param  {Number} options.size [size of a stream source]
+   * @return {Promise}           [resolved with ContentSource, or rejected
+   *                              with LineError]
+   */
+  static from(api, source, options = {}) {
+    const name = options.name;
+    if (source instanceof ContentSource) {
+      return Promise.resolve(source);
+    }
+    if (Buffer.isBuffer(source)) {
+      return Promise.resolve(new ContentSource(
+        () => bufferStream(source), source.length, name || 'file'
+      ));
+    }
+    if (typeof source === 'string' && /^https?:\/\//.test(source)) {
+      return ContentSource._fromUrl(api, source, name);
+    }
+    if (typeof source === 'string') {
+      return stat(source).then((stats) => new ContentSource(
+        () => createReadStream(source), stats.size, name || basename(source)
+      ));
+    }
+    if (isStream(source) && options.size !== undefined) {
+      return Promise.resolve(new ContentSource(
+        () => source, options.size, name || 'file'
+      ));
+    }
+    if (isStream(source) && typeof source.path === 'string') {
+      return stat(source.path).then((stats) => new ContentSource(
+        () => source, stats.size, name || basename(source.path)
+      ));
+    }
+    if (isStream(source)) {
+      return readAll(source).then((buffer) => new ContentSource(
+        () => bufferStream(buffer), buffer.length, name || 'file'
+      ));
+    }
+    return Promise.reject(new LineError(
+      'content should be a path, an URL, a Buffer or a readable stream'
+    ));
+  }
+
+  /**
+   * Request the URL for its size and type only, every `open` requests
+   * it again. A response without `Content-Length` is read into a Buffer
+   * @param  {LineAPI} api [api whose transport downloads the URL]
+   * @param  {String} url  [http(s) URL of the content]
+   * @param  {String} name [Default to basename of the URL or 'file']
+   * @return {Promise}     [resolved with ContentSource]
+   */
+  static _fromUrl(api, url, name) {
+    const fileName = name || basename(parseUrl(url).pathname) || 'file';
+    return new Promise((resolve, reject) => {
+      const stream = api.getContentStream(url);
+      stream.on('error', reject);
+      stream.once('response', (response) => {
+        const size = parseInt(response.headers['content-length'], 10);
+        const type = response.headers['content-type'];
+        if (isNaN(size)) {
+          readAll(stream).then((buffer) => resolve(new ContentSource(
+            () => bufferStream(buffer), buffer.length, fileName, type
+          )), reject);
+          return;
+        }
+        response.destroy();
+        resolve(new ContentSource(
+          () => api.getContentStream(url), size, fileName, type
+        ));
+      });
+    });
+  }
+}
+
+/**
+ * Upload of a message content. It emits `progress` with (loaded, total)
+ * bytes while uploading, and can be cancelled before it is finished.
+ * `promise` is the bluebird promise settled after the upload has finished,
+ * `then` and `catch` of the upload are the ones of `promise`:
+ *
+ *   const upload = group.sendFile(buffer, 'chart.png');
+ *   upload.on('progress', (loaded, total) => {});
+ *   upload.promise.timeout(60000).then((message) => {});
+ */
+export class Upload extends EventEmitter {
+  constructor() {
+    super();
+    this.loaded = 0;
+    this.total = null;
+    this.isCancelled = false;
+    this.isFinished = false;
+    this._defer = Promise.pending();
+    this._abort = null;
+  }
+
+  /**
+   * Bluebird promise of the upload
+   * @return {Promise} [resolved with the result of the upload]
+   */
+  get promise() {
+    return this._defer.promise;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this._defer.promise.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this._defer.promise.catch(onRejected);
+  }
+
+  /**
+   * Cancel the upload, the message is not sent if it is cancelled
+   * before the upload starts
+   * @param  {Error} reason [Default to 'upload cancelled' LineError]
+   * @return {Boolean}      [false if the upload has been finished]
+   */
+  cancel(reason = new LineError('upload cancelled')) {
+    if (this.isFinished) {
+      return false;
+    }
+    this.isCancelled = true;
+    if (this._abort) {
+      this._abort();
+    }
+    this._settle(() => this._defer.reject(reason));
+    this.emit('cancel', reason);
+    return true;
+  }
+
+  /**
+   * Run the steps of the upload, the upload is settled by their result
+   * @param  {Function} steps [returns a promise]
+   * @return {Upload}         [this]
+   */
+  _run(steps) {
+    Promise.try(steps).then(
+      (result) => this._settle(() => this._defer.resolve(result)),
+      (err) => this._settle(() => this._defer.reject(err))
+    );
+    return this;
+  }
+
+  _assertActive() {
+    if (this.isCancelled) {
+      throw new LineError('upload cancelled');
+    }
+  }
+
+  _onAbort(abort) {
+    this._abort = abort;
+  }
+
+  _progress(loaded, total) {
+    this.loaded = loaded;
+    this.total = total;
+    this.emit('progress', loaded, total);
+  }
+
+  _settle(settle) {
+    if (!this.isFinished) {
+      this.isFinished = true;
+      this._abort = null;
+      settle();
+    }
+  }
+}
@@ -0,0 +1,85 @@
+const { line, async } = require('./support/fakeLine');
+
+describe('AccountManager', () => {
+  it('deep-merges config of the manager and the account', () => {
+    const manager = new line.AccountManager({
+      config: { transport: { proxy: 'http://proxy:3128' }, pollInterval: 500 }
+    });
+    const client = manager.add('support', {
+      authToken: 'token',
+      config: { transport: { timeout: 1000 } }
+    });
+    expect(client.config.transport.proxy).toBe('http://proxy:3128');
+    expect(client.config.transport.timeout).toBe(1000);
+    expect(client.config.transport.port).toBe(443);
+    expect(client.config.pollInterval).toBe(500);
+  });
+
+  it('creates a store per account from a function', () => {
+    const manager = new line.AccountManager({
+      sessionStore: () => new line.MemorySessionStore(),
+      outboxStore: () => new line.MemoryOutboxStore()
+    });
+    const support = manager.add('support', { authToken: 'a' });
+    const alerts = manager.add('alerts', { authToken: 'b' });
+    expect(support.sessionStore).not.toBe(alerts.sessionStore);
+    expect(support.outbox.store).not.toBe(alerts.outbox.store);
+    expect(support.checkpointStore).not.toBe(alerts.checkpointStore);
+  });
+
+  it('rejects a store instance shared by accounts', () => {
+    const checkpointStore = new line.MemoryCheckpointStore();
+    const shared = new line.AccountManager({ checkpointStore });
+    expect(() => shared.add('support', { authToken: 'a' }))
+      .toThrow();
+
+    const manager = new line.AccountManager();
+    manager.add('support', { authToken: 'a', checkpointStore });
+    expect(() => manager.add('alerts', { authToken: 'b', checkpointStore }))
+      .toThrow();
+  });
+});
+
+describe('AccountManager events', () => {
+  let manager;
+  let support;
+
+  beforeEach(() => {
+    manager = new line.AccountManager();
+    support = manager.add('support', { authToken: 'a' });
+  });
+
+  it('forwards events of accounts with the account name', () => {
+    const received = [];
+    manager.on('message', (name, text) => received.push([name, text]));
+    const alerts = manager.add('alerts', { authToken: 'b' });
+    support.emit('message', 'hello');
+    alerts.emit('message', 'disk full');
+    expect(received).toEqual([['support', 'hello'], ['alerts', 'disk full']]);
+  });
+
+  it('stops forwarding when the manager has no listener left', () => {
+    const listener = () => {};
+    manager.on('message', listener);
+    manager.once('message', () => {});
+    expect(support.listenerCount('message')).toBe(1);
+    support.emit('message', 'hello');
+    expect(support.listenerCount('message')).toBe(1);
+    manager.removeListener('message', listener);
+    expect(support.listenerCount('message')).toBe(0);
+    manager.on('message', listener);
+    expect(support.listenerCount('message')).toBe(1);
+  });
+
+  it('stops forwarding events of a removed account', async(() => {
+    const own = () => {};
+    support.on('message', own);
+    manager.on('message', () => {
+      throw new Error('removed account should not be forwarded');
+    });
+    return manager.remove('support').then((client) => {
+      expect(client.listeners('message')).toEqual([own]);
+      client.emit('message', 'hello');
+    });
+  }));
+});
@@ -0,0 +1,170 @@
+const Promise = require('bluebird');
+const {
+  line, async, startServer, createClient, nextEvent
+} = require('./support/fakeLine');
+
+const { MIDType } = require('curve-thrift/line_types');
+
+/**
+ * Create a client standing for LineClient, sent messages are recorded
+ * @param  {Object} chats = {} [entities fetched by id, others are rejected]
+ * @return {Object}            [client, `sent` holds sent messages]
+ */
+function createFakeClient(chats = {}) {
+  const sent = [];
+  return {
+    sent,
+    config: { LINE_OS_URL: 'os.line.naver.jp' },
+    fetchContactOrRoomOrGroupById: (id) => (
+      chats[id] ?
+        Promise.resolve(chats[id]) :
+        Promise.reject(new line.TalkError(`${id} is not found`))
+    ),
+    sendMessage: (message) => {
+      sent.push(message);
+      return Promise.resolve(message);
+    }
+  };
+}
+
+/**
+ * Create a received message whose sender and receiver are not cached
+ * @param  {String} text                [text of the message]
+ * @param  {Object} fields = {}         [fields overriding the defaults]
+ * @return {Object}                     [message standing for LineMessage]
+ */
+function createMessage(text, fields = {}) {
+  return {
+    text,
+    senderId: 'u1',
+    receiverId: 'u0',
+    toType: MIDType.USER,
+    ...fields
+  };
+}
+
+describe('Router', () => {
+  let router;
+  let client;
+
+  beforeEach(() => {
+    router = new line.Router({ prefix: '!' });
+    client = createFakeClient();
+  });
+
+  it('routes commands with named arguments', async(() => {
+    const calls = [];
+    router.command('ban', (ctx) => calls.push(ctx.params), {
+      args: ['user', '...reason']
+    });
+    router.command(/^hello (\w+)$/, (ctx) => calls.push(ctx.args));
+    const message = createMessage('!ban bob "too loud" twice');
+    return Promise.all([
+      router.handle(client, message),
+      router.handle(client, createMessage('hello world')),
+      router.handle(client, createMessage('ban bob'))
+    ]).then((handled) => {
+      expect(handled).toEqual([true, true, false]);
+      expect(calls).toEqual([
+        { user: 'bob', reason: 'too loud twice' },
+        ['world']
+      ]);
+    });
+  }));
+
+  it('keeps commands to their scope and replies help', async(() => {
+    router.command('kick', () => null, {
+      scope: 'group', args: ['user'], description: 'kick a member'
+    });
+    router.command('ping', () => null, { description: 'reply pong' });
+    expect(router.help('group'))
+      .toBe('!kick <user> - kick a member\n!ping - reply pong');
+    return router.handle(client, createMessage('!kick bob'))
+      .then((handled) => {
+        expect(handled).toBe(false);
+        expect(client.sent.map((message) => message.text))
+          .toEqual(['!ping - reply pong']);
+      });
+  }));
+
+  it('replies to the id of a sender who cannot be fetched', async(() => {
+    router.command('ping', (ctx) => ctx.reply('pong'));
+    return router.handle(client, createMessage('!ping')).then(() => {
+      expect(client.sent.length).toBe(1);
+      expect(client.sent[0].to).toBe('u1');
+      expect(client.sent[0].text).toBe('pong');
+    });
+  }));
+
+  it('replies to the group of a message', async(() => {
+    const group = {
+      id: 'c1',
+      sendMessage: (text) => client.sendMessage({ to: 'c1', text })
+    };
+    client = createFakeClient({ c1: group });
+    router.command('ping', (ctx) => ctx.reply('pong'));
+    const message = createMessage('!ping', {
+      receiverId: 'c1', toType: MIDType.GROUP
+    });
+    return router.handle(client, message).then(() => {
+      expect(client.sent).toEqual([{ to: 'c1', text: 'pong' }]);
+    });
+  }));
+
+  it('runs middlewares before commands', async(() => {
+    router.use(line.onlyFrom(['u2']));
+    router.command('ping', (ctx) => ctx.reply('pong'));
+    return Promise.all([
+      router.handle(client, createMessage('!ping')),
+      router.handle(client, createMessage('!ping', { senderId: 'u2' }))
+    ]).then((handled) => {
+      expect(handled).toEqual([false, true]);
+      expect(client.sent.map((message) => message.to)).toEqual(['u2']);
+    });
+  }));
+
+  it('throttles each sender', async(() => {
+    router.use(line.throttle(2, 20));
+    router.command('ping', () => null);
+    const send = (senderId) => (
+      router.handle(client, createMessage('!ping', { senderId }))
+    );
+    return Promise.mapSeries(['u1', 'u1', 'u1', 'u2'], send)
+      .then((handled) => {
+        expect(handled).toEqual([true, true, false, true]);
+        return Promise.delay(120).then(() => send('u1'));
+      })
+      .then((handled) => {
+        expect(handled).toBe(true);
+      });
+  }));
+});
+
+describe('Bot', () => {
+  let server;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('replies to commands of received messages', async(() => {
+    const friend = server.addContact({ displayName: 'Friend' });
+    const client = createClient(server);
+    const bot = new line.Bot(client);
+    bot.command('echo', (ctx) => ctx.reply(ctx.params.text), {
+      args: ['...text']
+    });
+    return client.login().then(() => {
+      const replied = nextEvent(server, 'sendMessage');
+      server.receiveMessage({ from_: friend.mid, text: '/echo hi there' });
+      const polling = bot.start();
+      return replied.timeout(5000)
+        .finally(() => bot.stop().then(() => polling));
+    }).then(([message]) => {
+      expect(message.to).toBe(friend.mid);
+      expect(message.text).toBe('hi there');
+    });
+  }));
+});
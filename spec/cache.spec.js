@@ -0,0 +1,116 @@
+const {
+  async, startServer, createClient, nextEvent, whilePolling
+} = require('./support/fakeLine');
+const { EntityCache } = require('../lib/cache');
+
+const { OpType } = require('curve-thrift/line_types');
+
+describe('EntityCache', () => {
+  it('returns a sorted copy of the entities', () => {
+    const cache = new EntityCache();
+    cache.reset([{ id: 'b', name: 'Bob' }, { id: 'a', name: 'Alice' }]);
+    const values = cache.values();
+    values.pop();
+    expect(cache.values().map((entity) => entity.id)).toEqual(['a', 'b']);
+  });
+
+  it('indexes a replaced entity by its new name', () => {
+    const cache = new EntityCache();
+    cache.set({ id: 'a', name: 'Alice' });
+    cache.set({ id: 'a', name: 'Alicia' });
+    expect(cache.getByName('Alice')).toBeUndefined();
+    expect(cache.getByName('Alicia').id).toBe('a');
+  });
+});
+
+describe('operations patching the cache', () => {
+  let server;
+  let friend;
+  let client;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+    client = createClient(server);
+    return client.login();
+  })));
+
+  afterEach(async(() => server.close()));
+
+  /**
+   * Push an operation and poll until the event of it is emitted
+   * @param  {String} event     [name of the event of the operation]
+   * @param  {Object} operation [fields of the operation]
+   * @return {Promise}          [resolved with the arguments of the event]
+   */
+  function dispatch(event, operation) {
+    const emitted = nextEvent(client, event);
+    server.pushOperation(operation);
+    return whilePolling(client, emitted);
+  }
+
+  it('caches a sender who is not a friend apart from contacts', async(() => {
+    const stranger = server.addUser({ displayName: 'Stranger' });
+    const received = nextEvent(client, 'message');
+    server.receiveMessage({ from_: stranger.mid, text: 'hello' });
+    return whilePolling(client, received).then(([message]) => {
+      expect(message.sender.name).toBe('Stranger');
+      expect(client.getContactById(stranger.mid)).toBeUndefined();
+      expect(client.contacts.map((contact) => contact.id))
+        .toEqual([friend.mid]);
+      return dispatch('addContact', {
+        type: OpType.ADD_CONTACT, param1: stranger.mid
+      });
+    }).then(() => {
+      expect(client.getContactById(stranger.mid).name).toBe('Stranger');
+    });
+  }));
+
+  it('updates the profile of a contact', async(() => {
+    friend.displayName = 'Renamed';
+    return dispatch('profileUpdated', {
+      type: OpType.NOTIFIED_UPDATE_PROFILE, param1: friend.mid
+    }).then(() => {
+      expect(client.getContactById(friend.mid).name).toBe('Renamed');
+      expect(client.getContactByName('Friend')).toBeUndefined();
+    });
+  }));
+
+  it('removes a blocked contact', async(() => (
+    dispatch('blockContact', {
+      type: OpType.BLOCK_CONTACT, param1: friend.mid
+    }).then(() => {
+      expect(client.getContactById(friend.mid)).toBeUndefined();
+      expect(client.contacts).toEqual([]);
+    })
+  )));
+
+  it('fetches an updated group', async(() => {
+    const group = server.addGroup({ name: 'Ops', members: [friend.mid] });
+    return dispatch('groupUpdated', {
+      type: OpType.NOTIFIED_UPDATE_GROUP, param1: group.id
+    }).then(() => {
+      expect(client.getGroupById(group.id).name).toBe('Ops');
+      group.name = 'Support';
+      return dispatch('groupUpdated', {
+        type: OpType.NOTIFIED_UPDATE_GROUP, param1: group.id
+      });
+    }).then(() => {
+      expect(client.getGroupByName('Support').id).toBe(group.id);
+    });
+  }));
+
+  it('removes a group the account is kicked out from', async(() => {
+    const group = server.addGroup({ name: 'Ops', members: [friend.mid] });
+    return client.fetchGroup(group.id).then(() => (
+      dispatch('groupKickout', {
+        type: OpType.NOTIFIED_KICKOUT_FROM_GROUP,
+        param1: group.id,
+        param2: friend.mid,
+        param3: client.profile.id
+      })
+    )).then(() => {
+      expect(client.getGroupById(group.id)).toBeUndefined();
+    });
+  }));
+});
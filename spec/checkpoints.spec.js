@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  line, async, startServer, createClient, nextEvent, whilePolling
+} = require('./support/fakeLine');
+
+const { OperationDeduper } = require('../lib/checkpoints');
+
+describe('FileCheckpointStore', () => {
+  let dir;
+  let filepath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsline-'));
+    filepath = path.join(dir, 'checkpoint.json');
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach((name) => fs.unlinkSync(path.join(dir, name)));
+    fs.rmdirSync(dir);
+  });
+
+  it('needs a filepath', () => {
+    expect(() => new line.FileCheckpointStore())
+      .toThrow(new Error('filepath of checkpoint file is needed'));
+  });
+
+  it('loads null before anything is saved', async(() => (
+    new line.FileCheckpointStore(filepath).load()
+      .then((revision) => expect(revision).toBe(null))
+  )));
+
+  it('keeps the last of queued saves', async(() => {
+    const store = new line.FileCheckpointStore(filepath);
+    return Promise.all([store.save(1), store.save(2), store.save(3)])
+      .then(() => new line.FileCheckpointStore(filepath).load())
+      .then((revision) => {
+        expect(revision).toBe(3);
+        expect(fs.existsSync(`${filepath}.tmp`)).toBe(false);
+      });
+  }));
+
+  it('replays operations arriving while the client is stopped', async(() => (
+    startServer().then((server) => {
+      const friend = server.addContact({ displayName: 'Friend' });
+      const first = createClient(server, {
+        checkpointStore: new line.FileCheckpointStore(filepath)
+      });
+      return first.login().then(() => {
+        const received = nextEvent(first, 'message');
+        server.receiveMessage({ from_: friend.mid, text: 'before' });
+        return whilePolling(first, received);
+      }).then(() => {
+        server.receiveMessage({ from_: friend.mid, text: 'while stopped' });
+        const second = createClient(server, {
+          checkpointStore: new line.FileCheckpointStore(filepath)
+        });
+        const texts = [];
+        second.on('message', (message) => texts.push(message.text));
+        return second.login()
+          .then(() => whilePolling(second, nextEvent(second, 'message')))
+          .then(() => expect(texts).toEqual(['while stopped']));
+      }).finally(() => server.close());
+    })
+  )));
+});
+
+describe('OperationDeduper', () => {
+  it('skips operations up to the revision and remembered messages', () => {
+    const deduper = new OperationDeduper(2);
+    const op = (revision, id) => ({
+      type: 26, revision, message: id ? { id } : null
+    });
+    expect(deduper.isDuplicate(op(5), 5)).toBe(true);
+    expect(deduper.isDuplicate(op(6, '100'), 5)).toBe(false);
+    deduper.remember(op(6, '100'));
+    expect(deduper.isDuplicate(op(7, '100'), 5)).toBe(true);
+    deduper.remember(op(8, '101'));
+    deduper.remember(op(9, '102'));
+    expect(deduper.isDuplicate(op(10, '100'), 5)).toBe(false);
+  });
+});
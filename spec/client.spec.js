@@ -0,0 +1,112 @@
+const {
+  line, async, startServer, createClient, nextEvent, whilePolling
+} = require('./support/fakeLine');
+
+describe('LineClient with FakeTalkServer', () => {
+  let server;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+  })));
+
+  afterEach(async(() => server.close()));
+
+  describe('login', () => {
+    it('logs in with id and password after the pin code is confirmed',
+      async(() => {
+        const client = createClient(server);
+        const pinCode = nextEvent(client, 'pincode');
+        return client.login().then(() => pinCode).then(([code]) => {
+          expect(typeof code).toBe('string');
+          expect(client.authToken).toBeTruthy();
+          expect(client.profile.id).toBe(server.profile.mid);
+        });
+      }));
+
+    it('skips the pin code with the certificate of a previous login',
+      async(() => {
+        const first = createClient(server);
+        return first.login().then(() => {
+          const second = createClient(server, {
+            certificate: first.certificate
+          });
+          let prompted = false;
+          second.on('pincode', () => {
+            prompted = true;
+          });
+          return second.login().then(() => expect(prompted).toBe(false));
+        });
+      }));
+
+    it('rejects wrong credentials with a LineError', async(() => (
+      createClient(server, { password: 'wrong' }).login().then(() => {
+        throw new Error('login should be rejected');
+      }, (err) => {
+        expect(err instanceof line.LineError).toBe(true);
+      })
+    )));
+
+    it('logs in again when the authToken has expired', async(() => {
+      const client = createClient(server);
+      return client.login().then(() => {
+        const expired = client.authToken;
+        server.expireSession(expired);
+        return client.refreshContacts().then(() => {
+          expect(client.authToken).not.toBe(expired);
+        });
+      });
+    }));
+
+    it('caches contacts, groups and the profile', async(() => {
+      const friend = server.addContact({ displayName: 'Friend' });
+      const group = server.addGroup({ name: 'Ops', members: [friend.mid] });
+      const client = createClient(server);
+      return client.login().then(() => {
+        expect(client.getContactById(friend.mid).name).toBe('Friend');
+        expect(client.getGroupByName('Ops').id).toBe(group.id);
+      });
+    }));
+  });
+
+  describe('polling', () => {
+    it('emits received messages with their sender', async(() => {
+      const friend = server.addContact({ displayName: 'Friend' });
+      const client = createClient(server);
+      return client.login().then(() => {
+        const received = nextEvent(client, 'message');
+        server.receiveMessage({ from_: friend.mid, text: 'hello' });
+        return whilePolling(client, received);
+      }).then(([message]) => {
+        expect(message.text).toBe('hello');
+        expect(message.sender.name).toBe('Friend');
+      });
+    }));
+
+    it('saves the revision and does not emit an operation twice',
+      async(() => {
+        const friend = server.addContact({ displayName: 'Friend' });
+        const checkpointStore = new line.MemoryCheckpointStore();
+        const client = createClient(server, { checkpointStore });
+        const texts = [];
+        client.on('message', (message) => texts.push(message.text));
+        return client.login().then(() => {
+          server.receiveMessage({ from_: friend.mid, text: 'one' });
+          const second = nextEvent(client, 'message')
+            .then(() => nextEvent(client, 'message'));
+          server.receiveMessage({ from_: friend.mid, text: 'two' });
+          return whilePolling(client, second);
+        }).then(() => {
+          expect(texts).toEqual(['one', 'two']);
+          expect(checkpointStore.revision).toBe(server.revision);
+        });
+      }));
+
+    it('resolves stop after the current request', async(() => {
+      const client = createClient(server);
+      return client.login().then(() => {
+        const polling = client.start();
+        return client.stop().then(() => polling);
+      }).then(() => expect(client._isPolling).toBe(false));
+    }));
+  });
+});
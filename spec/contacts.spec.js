@@ -0,0 +1,124 @@
+const {
+  line, async, startServer, createClient
+} = require('./support/fakeLine');
+
+describe('contact discovery and management', () => {
+  let server;
+  let client;
+  let friend;
+  let user;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+    user = server.addUser({ displayName: 'Customer' }, {
+      userid: 'customer', phone: '+819012345678', email: 'c@example.com'
+    });
+    client = createClient(server);
+    return client.login();
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('finds users without adding them as friends', async(() => (
+    client.findContactByUserId('customer').then((found) => {
+      expect(found instanceof line.LineContact).toBe(true);
+      expect(found.id).toBe(user.mid);
+      return client.findContactsByPhone('+819012345678');
+    }).then((found) => {
+      expect(found.map((contact) => contact.name)).toEqual(['Customer']);
+      return client.findContactsByEmail(['c@example.com', 'x@example.com']);
+    }).then((found) => {
+      expect(found.map((contact) => contact.id)).toEqual([user.mid]);
+      expect(client.getContactById(user.mid)).toBeUndefined();
+      expect(server.contacts.has(user.mid)).toBe(false);
+    })
+  )));
+
+  it('rejects a LINE ID which is not found', async(() => (
+    client.findContactByUserId('nobody').then(() => {
+      throw new Error('the search should be rejected');
+    }, (err) => {
+      expect(err instanceof line.TalkError).toBe(true);
+    })
+  )));
+
+  it('adds a friend by LINE ID, phone number or email', async(() => {
+    const other = server.addUser({ displayName: 'Other' }, {
+      email: 'o@example.com'
+    });
+    return client.addContact({ userId: 'customer' }).then((added) => {
+      expect(added.map((contact) => contact.id)).toEqual([user.mid]);
+      expect(client.getContactById(user.mid).name).toBe('Customer');
+      return client.addContact({ emails: 'o@example.com' });
+    }).then(([added]) => {
+      expect(added.id).toBe(other.mid);
+      expect(server.contacts.has(other.mid)).toBe(true);
+      expect(client.contacts.map((contact) => contact.id))
+        .toEqual([friend.mid, user.mid, other.mid].sort());
+    });
+  }));
+
+  it('rejects adding a friend without a query', async(() => (
+    client.addContact({}).then(() => {
+      throw new Error('the query should be rejected');
+    }, (err) => {
+      expect(err instanceof line.LineError).toBe(true);
+    })
+  )));
+
+  it('blocks, lists and unblocks a contact', async(() => (
+    client.getContactById(friend.mid).block().then((blocked) => {
+      expect(blocked).toBe(true);
+      expect(client.getContactById(friend.mid)).toBeUndefined();
+      expect(server.blockedIds.has(friend.mid)).toBe(true);
+      return client.getBlockedContacts();
+    }).then((blocked) => {
+      expect(blocked.map((contact) => contact.id)).toEqual([friend.mid]);
+      return blocked[0].unblock();
+    }).then((unblocked) => {
+      expect(unblocked.id).toBe(friend.mid);
+      expect(client.getContactById(friend.mid)).toBe(unblocked);
+      return client.getBlockedContacts();
+    }).then((blocked) => {
+      expect(blocked).toEqual([]);
+    })
+  )));
+
+  it('overrides the display name of a contact', async(() => {
+    const contact = client.getContactById(friend.mid);
+    return contact.setDisplayName('Customer #42').then((updated) => {
+      expect(updated.name).toBe('Customer #42');
+      expect(updated.displayName).toBe('Friend');
+      expect(client.getContactByName('Customer #42')).toBe(updated);
+      expect(client.getContactByName('Friend')).toBeUndefined();
+      return updated.setDisplayName();
+    }).then((updated) => {
+      expect(updated.name).toBe('Friend');
+      expect(updated.displayNameOverridden).toBe(null);
+    });
+  }));
+
+  it('adds a contact to favorites and removes it', async(() => (
+    client.getContactById(friend.mid).setFavorite().then((updated) => {
+      expect(updated.isFavorite).toBe(true);
+      return client.getFavoriteContacts();
+    }).then((favorites) => {
+      expect(favorites.map((contact) => contact.id)).toEqual([friend.mid]);
+      return favorites[0].setFavorite(false);
+    }).then((updated) => {
+      expect(updated.isFavorite).toBe(false);
+      return client.getFavoriteContacts();
+    }).then((favorites) => {
+      expect(favorites).toEqual([]);
+    })
+  )));
+
+  it('rejects the settings of a user who is not a friend', async(() => (
+    client.setContactFavorite(user.mid).then(() => {
+      throw new Error('the setting should be rejected');
+    }, (err) => {
+      expect(err instanceof line.TalkError).toBe(true);
+    })
+  )));
+});
@@ -0,0 +1,73 @@
+const {
+  line, async, startServer, createClient, whilePolling
+} = require('./support/fakeLine');
+
+const { Message } = require('curve-thrift/line_types');
+
+describe('sendMessage', () => {
+  let server;
+  let friend;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('resolves with the response of the server', async(() => {
+    const client = createClient(server);
+    return client.login().then(() => (
+      client.getContactById(friend.mid).sendMessage('hello')
+    )).then((sent) => {
+      const [stored] = server.messageBoxes.get(friend.mid);
+      expect(sent.id).toBe(stored.id);
+      expect(sent.status).toBe('sent');
+      expect(client._deliveries.size).toBe(0);
+    });
+  }));
+
+  it('resolves with a delivered status while polling when confirmed',
+    async(() => {
+      const client = createClient(server, {
+        config: { deliveryTimeout: 5000 }
+      });
+      return client.login().then(() => whilePolling(
+        client, client.getContactById(friend.mid).sendMessage('hello')
+      )).then((sent) => {
+        const [stored] = server.messageBoxes.get(friend.mid);
+        expect(sent.id).toBe(stored.id);
+        expect(sent.status).toBe('delivered');
+        expect(typeof sent.reqSeq).toBe('number');
+      });
+    }));
+
+  it('is delivered once when a retry follows a dropped response',
+    async(() => {
+      const client = createClient(server, {
+        config: { rpc: { retry: { minDelay: 10, jitter: false } } }
+      });
+      return client.login().then(() => {
+        server.dropResponse('sendMessage');
+        return client.sendMessage(new Message({ to: friend.mid, text: 'hi' }));
+      }).then((sent) => {
+        const messages = server.messageBoxes.get(friend.mid);
+        expect(messages.length).toBe(1);
+        expect(sent.id).toBe(messages[0].id);
+      });
+    }));
+
+  it('allocates increasing numbers from a random start', () => {
+    const api = new line.LineAPI();
+    expect(api._reqSeq >= 0 && api._reqSeq <= 0x7fffffff).toBe(true);
+    api._reqSeq = 41;
+    expect(api._nextSeq()).toBe(42);
+    expect(api._nextSeq()).toBe(43);
+  });
+
+  it('wraps the numbers within an i32', () => {
+    const api = new line.LineAPI();
+    api._reqSeq = 0x7fffffff;
+    expect(api._nextSeq()).toBe(1);
+  });
+});
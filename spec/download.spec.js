@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Promise = require('bluebird');
+const {
+  line, async, startServer, createClient, nextEvent, whilePolling
+} = require('./support/fakeLine');
+
+const { ContentType } = require('curve-thrift/line_types');
+
+/**
+ * Read a stream to the end
+ * @param  {Stream} stream [readable stream]
+ * @return {Promise}       [resolved with the Buffer of the stream]
+ */
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+describe('LineMessage content', () => {
+  let server;
+  let client;
+  let friend;
+  let dir;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+    client = createClient(server);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'line-'));
+    return client.login();
+  })));
+
+  afterEach(async(() => {
+    fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+    return server.close();
+  }));
+
+  /**
+   * Receive a message with content served by the server
+   * @param  {Object} message [fields of the Message]
+   * @param  {Array} content  [body, Content-Type and preview of the content]
+   * @return {Promise}        [resolved with the received LineMessage]
+   */
+  function receiveContent(message, ...content) {
+    const received = nextEvent(client, 'message');
+    const operation = server.receiveMessage({
+      from_: friend.mid, hasContent: true, ...message
+    });
+    server.addContent(operation.message.id, ...content);
+    return whilePolling(client, received).then(([lineMessage]) => lineMessage);
+  }
+
+  it('downloads an image and its preview', async(() => (
+    receiveContent(
+      { contentType: ContentType.IMAGE },
+      Buffer.from('png!'), 'image/png', Buffer.from('jpg')
+    ).then((message) => Promise.all([
+      readAll(message.download()),
+      readAll(message.preview())
+    ])).then(([body, preview]) => {
+      expect(String(body)).toBe('png!');
+      expect(String(preview)).toBe('jpg');
+    })
+  )));
+
+  it('saves a file without leaving the partial file', async(() => {
+    const filepath = path.join(dir, 'report.pdf');
+    return receiveContent(
+      {
+        contentType: ContentType.FILE,
+        contentMetadata: { FILE_NAME: 'report.pdf', FILE_SIZE: '8' }
+      },
+      Buffer.from('%PDF-1.4')
+    ).then((message) => message.saveTo(filepath)).then((saved) => {
+      expect(saved).toBe(filepath);
+      expect(fs.readFileSync(filepath, 'utf8')).toBe('%PDF-1.4');
+      expect(fs.readdirSync(dir)).toEqual(['report.pdf']);
+    });
+  }));
+
+  it('rejects content whose size does not match FILE_SIZE', async(() => {
+    const filepath = path.join(dir, 'report.pdf');
+    return receiveContent(
+      {
+        contentType: ContentType.FILE,
+        contentMetadata: { FILE_NAME: 'report.pdf', FILE_SIZE: '100' }
+      },
+      Buffer.from('%PDF-1.4')
+    ).then((message) => message.saveTo(filepath)).then(() => {
+      throw new Error('the download should be rejected');
+    }, (err) => {
+      expect(err instanceof line.LineError).toBe(true);
+      expect(fs.readdirSync(dir)).toEqual([]);
+    });
+  }));
+
+  it('rejects content of another type', async(() => (
+    receiveContent(
+      { contentType: ContentType.VIDEO },
+      Buffer.from('<html>'), 'text/html'
+    ).then((message) => readAll(message.download())).then(() => {
+      throw new Error('the download should be rejected');
+    }, (err) => {
+      expect(err.message).toBe('content type text/html does not match video/*');
+    })
+  )));
+
+  it('rejects content which is not found', async(() => (
+    receiveContent({ contentType: ContentType.IMAGE }, Buffer.from('png!'))
+      .then((message) => readAll(message.preview()))
+      .then(() => {
+        throw new Error('the download should be rejected');
+      }, (err) => {
+        expect(err instanceof line.TransportError).toBe(true);
+        expect(err.statusCode).toBe(404);
+      })
+  )));
+});
@@ -0,0 +1,80 @@
+const {
+  line, async, startServer, createClient
+} = require('./support/fakeLine');
+
+const { Message } = require('curve-thrift/line_types');
+
+describe('errors', () => {
+  let server;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('rejects an unknown method with ApplicationError without retry',
+    async(() => {
+      const client = createClient(server);
+      const retries = [];
+      client.on('retry', (method) => retries.push(method));
+      return client.login()
+        .then(() => client._call('getBlockedRecommendationIds'))
+        .then(() => {
+          throw new Error('the call should be rejected');
+        }, (err) => {
+          expect(err instanceof line.ApplicationError).toBe(true);
+          expect(err instanceof line.TransportError).toBe(false);
+          expect(retries).toEqual([]);
+        });
+    }));
+
+  it('rejects calls of a kicked session with LoggedInElsewhereError',
+    async(() => {
+      const client = createClient(server);
+      return client.login().then(() => {
+        server.kickSession(client.authToken);
+        return client.refreshContacts();
+      }).then(() => {
+        throw new Error('the call should be rejected');
+      }, (err) => {
+        expect(err instanceof line.LoggedInElsewhereError).toBe(true);
+      });
+    }));
+
+  it('rejects only the call of a failed request with TransportError',
+    async(() => {
+      const friend = server.addContact({ displayName: 'Friend' });
+      const client = createClient(server, {
+        config: { rpc: { retry: { retries: 0 } } }
+      });
+      server.pollTimeout = 300;
+      return client.login().then(() => {
+        const polling = client._call('fetchOperations', server.revision, 10);
+        server.dropResponse('sendMessage');
+        const sending = client._call('sendMessage', 0, new Message({
+          to: friend.mid, text: 'hi'
+        }));
+        return sending.then(() => {
+          throw new Error('the call should be rejected');
+        }, (err) => {
+          expect(err instanceof line.TransportError).toBe(true);
+          return polling;
+        });
+      }).then((operations) => {
+        expect(operations.length).toBe(1);
+        expect(operations[0].message.text).toBe('hi');
+      });
+    }));
+
+  it('stops failing calls of a replaced connection', async(() => {
+    const client = createClient(server);
+    return client.login().then(() => {
+      const connection = client.connection;
+      expect(connection.listenerCount('callError')).toBe(1);
+      client.setTHttpClient();
+      expect(connection.listenerCount('callError')).toBe(0);
+      expect(client.connection.listenerCount('callError')).toBe(1);
+    });
+  }));
+});
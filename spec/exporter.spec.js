@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const {
+  line, async, startServer, createClient
+} = require('./support/fakeLine');
+
+const { ContentType } = require('curve-thrift/line_types');
+
+/**
+ * Create a writable stream recording its chunks
+ * @param  {Array} events [`write` is pushed for each chunk]
+ * @return {Writable}     [stream, `text` holds what has been written]
+ */
+function recordingStream(events) {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      events.push('write');
+      stream.text += chunk;
+      callback();
+    }
+  });
+  stream.text = '';
+  return stream;
+}
+
+describe('exportChat', () => {
+  let server;
+  let client;
+  let group;
+  let friend;
+  let stranger;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+    stranger = server.addUser({ displayName: 'Stranger' });
+    const added = server.addGroup({
+      name: 'Ops', members: [friend.mid, stranger.mid]
+    });
+    ['one', 'two', 'three', 'four'].forEach((text) => {
+      server._storeMessage({ from_: friend.mid, to: added.id, text });
+    });
+    server._storeMessage({
+      from_: stranger.mid,
+      to: added.id,
+      contentType: ContentType.FILE,
+      contentMetadata: { FILE_NAME: 'report.pdf' }
+    });
+    client = createClient(server);
+    return client.login().then(() => {
+      group = client.getGroupById(added.id);
+    });
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('writes pages oldest first while they are fetched', async(() => {
+    const events = [];
+    const getPreviousMessages = client.getPreviousMessages.bind(client);
+    client.getPreviousMessages = (...args) => {
+      events.push('fetch');
+      return getPreviousMessages(...args);
+    };
+    const output = recordingStream(events);
+    return line.exportChat(group, output, { history: { pageSize: 2 } })
+      .then((count) => {
+        const records = output.text.trim().split('\n').map(JSON.parse);
+        expect(count).toBe(5);
+        expect(records.map((record) => record.text))
+          .toEqual(['one', 'two', 'three', 'four', '[File report.pdf]']);
+        expect(records[4].sender).toBe('Stranger');
+        expect(records[4].type).toBe('FILE');
+        expect(events.indexOf('write') < events.lastIndexOf('fetch'))
+          .toBe(true);
+        expect(client.getContactById(stranger.mid)).toBeUndefined();
+      });
+  }));
+
+  it('exports the messages since a time as CSV', async(() => {
+    const messages = server.messageBoxes.get(group.id);
+    messages.forEach((message, index) => {
+      Object.assign(message, { createdTime: Date.UTC(2017, 0, index + 1) });
+    });
+    const output = recordingStream([]);
+    return line.exportChat(group, output, {
+      format: 'csv',
+      history: { pageSize: 2, since: new Date(Date.UTC(2017, 0, 3)) }
+    }).then((count) => {
+      const rows = output.text.trim().split('\r\n');
+      expect(count).toBe(3);
+      expect(rows[0]).toBe('id,time,senderId,sender,type,text');
+      expect(rows.slice(1).map((row) => row.split(',').pop()))
+        .toEqual(['three', 'four', '[File report.pdf]']);
+    });
+  }));
+
+  it('writes an HTML page to a file', async(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'line-'));
+    const filepath = path.join(dir, 'ops.html');
+    return line.exportChat(group, filepath, { format: 'html' })
+      .then((count) => {
+        const html = fs.readFileSync(filepath, 'utf8');
+        expect(count).toBe(5);
+        expect(html).toContain('<title>Ops</title>');
+        expect(html.indexOf('one') < html.indexOf('four')).toBe(true);
+        expect(html).toContain('</table></body></html>');
+      })
+      .finally(() => {
+        fs.unlinkSync(filepath);
+        fs.rmdirSync(dir);
+      });
+  }));
+
+  it('rejects when the file cannot be written', async(() => (
+    line.exportChat(group, path.join(os.tmpdir(), 'missing', 'ops.jsonl'))
+      .then(() => {
+        throw new Error('the export should be rejected');
+      }, (err) => {
+        expect(err.code).toBe('ENOENT');
+      })
+  )));
+
+  it('rejects an unknown format', async(() => (
+    line.exportChat(group, recordingStream([]), { format: 'pdf' })
+      .then(() => {
+        throw new Error('the export should be rejected');
+      }, (err) => {
+        expect(err instanceof line.LineError).toBe(true);
+      })
+  )));
+});
@@ -0,0 +1,60 @@
+const { async, startServer, createClient } = require('./support/fakeLine');
+const { Group, TalkServiceClient } = require('../lib/talkService');
+
+const lineTypes = require('curve-thrift/line_types');
+const TalkService = require('curve-thrift/TalkService');
+
+describe('LineGroup administration', () => {
+  let server;
+  let client;
+  let group;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    const friend = server.addContact({ displayName: 'Friend' });
+    group = server.addGroup({ name: 'Ops', members: [friend.mid] });
+    client = createClient(server);
+    return client.login();
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('renames the group and re-indexes it by its new name', async(() => (
+    client.getGroupByName('Ops').rename('Ops (archived)').then((renamed) => {
+      expect(server.groups.get(group.id).name).toBe('Ops (archived)');
+      expect(renamed._group instanceof Group).toBe(true);
+      expect(client.getGroupByName('Ops')).toBeUndefined();
+      expect(client.getGroupByName('Ops (archived)')).toBe(renamed);
+    })
+  )));
+
+  it('enables and disables joining by the invitation ticket', async(() => {
+    const ops = client.getGroupByName('Ops');
+    expect(ops.preventJoinByTicket).toBe(true);
+    return ops.enableTicket().then(() => {
+      expect(ops.preventJoinByTicket).toBe(false);
+      expect(server.groups.get(group.id).preventJoinByTicket).toBe(false);
+      return client.fetchGroup(group.id);
+    }).then((fetched) => {
+      expect(fetched.preventJoinByTicket).toBe(false);
+      return ops.disableTicket();
+    }).then(() => {
+      expect(server.groups.get(group.id).preventJoinByTicket).toBe(true);
+      expect(ops.toJSON().preventJoinByTicket).toBe(true);
+    });
+  }));
+
+  it('leaves the definitions of curve-thrift as they are', () => {
+    expect(lineTypes.Group).not.toBe(Group);
+    expect(TalkService.Client.prototype.reissueGroupTicket).toBeUndefined();
+    expect(TalkService.Client.prototype.getGroup)
+      .not.toBe(TalkServiceClient.prototype.getGroup);
+  });
+
+  it('reissues the invitation ticket as a link', async(() => (
+    client.getGroupByName('Ops').reissueTicket().then((link) => {
+      const ticket = server.groupTickets.get(group.id);
+      expect(link).toBe(`https://line.me/R/ti/g/${ticket}`);
+    })
+  )));
+});
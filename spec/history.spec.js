@@ -0,0 +1,37 @@
+const Int64 = require('node-int64');
+const { async, startServer, createClient } = require('./support/fakeLine');
+const { toInt64 } = require('../lib/history');
+
+describe('MessageHistory', () => {
+  let server;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('converts message ids to Int64 without losing digits', () => {
+    const id = toInt64('9223372036854775807');
+    expect(id instanceof Int64).toBe(true);
+    expect(id.toOctetString()).toBe('7fffffffffffffff');
+    expect(toInt64('9007199254740993').toOctetString())
+      .toBe('0020000000000001');
+  });
+
+  it('pages from ids above Number.MAX_SAFE_INTEGER', async(() => {
+    const friend = server.addContact({ displayName: 'Friend' });
+    ['9007199254740993', '9007199254740994', '9007199254740995']
+      .forEach((id, index) => {
+        server.receiveMessage({ id, from_: friend.mid, text: `${index}` });
+      });
+    const client = createClient(server);
+    return client.login()
+      .then(() => client.getContactById(friend.mid)
+        .history({ pageSize: 1 }).toArray())
+      .then((messages) => {
+        expect(messages.map((message) => message.text))
+          .toEqual(['2', '1', '0']);
+      });
+  }));
+});
@@ -0,0 +1,92 @@
+const {
+  line, async, startServer, createClient
+} = require('./support/fakeLine');
+const { createLogger } = require('../lib/logger');
+
+/**
+ * Create a logger recording its entries
+ * @return {Object} [logger, `entries` holds [level, message, fields]]
+ */
+function recordingLogger() {
+  const entries = [];
+  const logger = { entries };
+  ['debug', 'info', 'warn', 'error'].forEach((level) => {
+    logger[level] = (message, fields) => entries.push([level, message, fields]);
+  });
+  return logger;
+}
+
+describe('logger', () => {
+  it('redacts sensitive keys at any depth', () => {
+    const error = new Error('failed');
+    const fields = {
+      authToken: 'token',
+      result: { certificate: 'cert', type: 1 },
+      headers: [{ 'X-Line-Access': 'token' }],
+      pinCode: null,
+      error
+    };
+    expect(line.redact(fields)).toEqual({
+      authToken: '[REDACTED]',
+      result: { certificate: '[REDACTED]', type: 1 },
+      headers: [{ 'X-Line-Access': '[REDACTED]' }],
+      pinCode: null,
+      error
+    });
+    expect(fields.authToken).toBe('token');
+  });
+
+  it('redacts fields before they reach a user logger', () => {
+    const logger = recordingLogger();
+    createLogger(logger).warn('login', { password: 'secret', id: 'bot' });
+    expect(logger.entries).toEqual([
+      ['warn', 'login', { password: '[REDACTED]', id: 'bot' }]
+    ]);
+  });
+
+  it('keeps levels a user logger does not implement silent', () => {
+    const entries = [];
+    const logger = createLogger({ error: (message) => entries.push(message) });
+    logger.debug('debug');
+    logger.error('error');
+    expect(entries).toEqual(['error']);
+  });
+
+  it('drops console entries below the level', () => {
+    const logger = line.consoleLogger('warn');
+    spyOn(console, 'info');
+    spyOn(console, 'warn');
+    logger.info('hidden');
+    logger.warn('shown', { id: 'bot' });
+    expect(console.info).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith('[line] warn shown', { id: 'bot' });
+  });
+
+  describe('of a client', () => {
+    let server;
+
+    beforeEach(async(() => startServer().then((started) => {
+      server = started;
+    })));
+
+    afterEach(async(() => server.close()));
+
+    it('prompts the pin code and never logs secrets', async(() => {
+      const logger = recordingLogger();
+      const prompts = [];
+      const client = createClient(server, {
+        logger,
+        onPrompt: (message, prompt) => prompts.push(prompt)
+      });
+      return client.login().then(() => {
+        const logged = JSON.stringify(logger.entries);
+        const success = logger.entries
+          .filter((entry) => entry[1] === 'login succeeded')[0];
+        expect(success[2].authToken).toBe('[REDACTED]');
+        expect(logged).not.toContain(client.authToken);
+        expect(logged).not.toContain(server.password);
+        expect(prompts.map((prompt) => prompt.type)).toContain('pincode');
+      });
+    }));
+  });
+});
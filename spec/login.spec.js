@@ -0,0 +1,114 @@
+const {
+  line, async, startServer, createClient, nextEvent
+} = require('./support/fakeLine');
+
+/**
+ * Record requests of `_requestJson` made by a client and whether they
+ * have been aborted
+ */
+function trackRequests(client) {
+  const requests = [];
+  const requestJson = client._requestJson.bind(client);
+  Object.assign(client, {
+    _requestJson: (path, headers) => {
+      const request = requestJson(path, headers);
+      const tracked = { path, headers, aborted: false };
+      requests.push(tracked);
+      return {
+        promise: request.promise,
+        abort: () => {
+          tracked.aborted = tracked.aborted || request.promise.isPending();
+          request.abort();
+        }
+      };
+    }
+  });
+  return requests;
+}
+
+describe('LoginFlow', () => {
+  let server;
+
+  afterEach(async(() => server.close()));
+
+  describe('with a pin code confirmed later', () => {
+    beforeEach(async(() => startServer({ autoConfirm: false })
+      .then((started) => {
+        server = started;
+      })));
+
+    it('logs in after the pin code is confirmed', async(() => {
+      const client = createClient(server);
+      const states = [];
+      client.on('state', (state) => states.push(state));
+      client.once('pincode', () => server.confirmLogin());
+      return client.login().then(() => {
+        expect(states).toEqual(['credential', 'pincode', 'verifying', 'success']);
+        expect(client.config.Headers['X-Line-Access']).toBe(client.authToken);
+      });
+    }));
+
+    it('sends the verifier only with the certificate request', async(() => {
+      const client = createClient(server);
+      const requests = trackRequests(client);
+      client.once('pincode', () => server.confirmLogin());
+      return client.login().then(() => {
+        const certificate = requests
+          .find((request) => request.path === '/Q');
+        expect(certificate.headers['X-Line-Access']).toMatch(/^v/);
+      });
+    }));
+
+    it('times out and aborts the certificate request', async(() => {
+      const client = createClient(server, { config: { loginTimeout: 200 } });
+      const requests = trackRequests(client);
+      return client.login().then(() => {
+        throw new Error('login should time out');
+      }, (err) => {
+        expect(err instanceof line.LoginTimeoutError).toBe(true);
+        expect(client.loginFlow.state).toBe('failure');
+        expect(requests.find((request) => request.path === '/Q').aborted)
+          .toBe(true);
+        expect(client.config.Headers['X-Line-Access']).toBeUndefined();
+      });
+    }));
+
+    it('is cancelled while waiting for the pin code', async(() => {
+      const client = createClient(server);
+      const requests = trackRequests(client);
+      client.once('pincode', () => setTimeout(() => client.cancelLogin(), 50));
+      return client.login().then(() => {
+        throw new Error('login should be cancelled');
+      }, (err) => {
+        expect(err.message).toBe('login cancelled');
+        expect(client.loginFlow.state).toBe('cancelled');
+        expect(client.cancelLogin()).toBe(false);
+        expect(requests.find((request) => request.path === '/Q').aborted)
+          .toBe(true);
+      });
+    }));
+  });
+
+  describe('with a QR code', () => {
+    beforeEach(async(() => startServer({ requireQrcode: true })
+      .then((started) => {
+        server = started;
+      })));
+
+    it('emits the QR code url and logs in after it is scanned', async(() => {
+      const client = createClient(server);
+      const qrcode = nextEvent(client, 'qrcode');
+      const issued = nextEvent(server, 'qrcode');
+      const states = [];
+      client.on('state', (state) => states.push(state));
+      return client.login().then(() => Promise.all([qrcode, issued]))
+      .then(([[url, authQrcode], [verifier, request]]) => {
+        expect(url).toBe(`line://au/q/${authQrcode.verifier}`);
+        expect(verifier).toBe(authQrcode.verifier);
+        expect(request.keepLoggedIn).toBe(true);
+        expect(states).toEqual(['credential', 'qrcode', 'verifying', 'success']);
+        expect(client.authToken).toBeTruthy();
+      });
+    }));
+  });
+});
@@ -0,0 +1,176 @@
+const { EventEmitter } = require('events');
+const Promise = require('bluebird');
+const { line, async } = require('./support/fakeLine');
+const middleware = require('../lib/middleware');
+
+const { compose, retry, concurrency, rateLimit, TokenBucket } = middleware;
+
+const RETRY = {
+  retries: 2, minDelay: 10, maxDelay: 25, factor: 2, jitter: false
+};
+
+/**
+ * Create an emitter of `retry` events standing for LineAPI
+ * @return {EventEmitter} [api with a silent logger]
+ */
+function createApi() {
+  const api = new EventEmitter();
+  api.logger = line.silentLogger;
+  return api;
+}
+
+/**
+ * Create a call failing `failures` times with `err` before resolving
+ * @param  {Number} failures [number of rejected calls]
+ * @param  {Error} err       [error of the rejected calls]
+ * @return {Function}        [call of (method, args), `calls` counts calls]
+ */
+function failingCall(failures, err) {
+  const call = () => {
+    call.calls += 1;
+    return call.calls > failures ?
+      Promise.resolve('ok') :
+      Promise.reject(err);
+  };
+  call.calls = 0;
+  return call;
+}
+
+describe('middleware', () => {
+  it('composes middlewares with the first one outermost', async(() => {
+    const order = [];
+    const trace = (name) => (next) => (method, args) => {
+      order.push(name);
+      return next(method, args);
+    };
+    const call = compose([trace('outer'), trace('inner')], (method, args) => {
+      order.push(`${method}(${args.join()})`);
+      return Promise.resolve();
+    });
+    return call('getProfile', [1, 2]).then(() => {
+      expect(order).toEqual(['outer', 'inner', 'getProfile(1,2)']);
+    });
+  }));
+
+  it('tells idempotent methods apart', () => {
+    expect(middleware.isIdempotent('getProfile')).toBe(true);
+    expect(middleware.isIdempotent('fetchOperations')).toBe(true);
+    expect(middleware.isIdempotent('sendMessage')).toBe(true);
+    expect(middleware.isIdempotent('inviteIntoGroup')).toBe(false);
+  });
+
+  it('backs off exponentially up to maxDelay', () => {
+    const delays = [1, 2, 3].map((attempt) => (
+      middleware.backoffDelay(attempt, RETRY)
+    ));
+    expect(delays).toEqual([10, 20, 25]);
+    const jittered = middleware.backoffDelay(3, { ...RETRY, jitter: true });
+    expect(jittered >= 0 && jittered <= 25).toBe(true);
+  });
+
+  describe('retry', () => {
+    it('retries TransportError of idempotent methods', async(() => {
+      const api = createApi();
+      const retries = [];
+      api.on('retry', (method, count, delay) => (
+        retries.push([method, count, delay])
+      ));
+      const call = failingCall(2, new line.TransportError('reset'));
+      return retry(RETRY, api)(call)('getProfile', []).then((result) => {
+        expect(result).toBe('ok');
+        expect(call.calls).toBe(3);
+        expect(retries).toEqual([['getProfile', 1, 10], ['getProfile', 2, 20]]);
+      });
+    }));
+
+    it('gives up after `retries` retries', async(() => {
+      const call = failingCall(3, new line.RateLimitError('slow down'));
+      return retry(RETRY, createApi())(call)('getProfile', []).then(() => {
+        throw new Error('the call should be rejected');
+      }, (err) => {
+        expect(err instanceof line.RateLimitError).toBe(true);
+        expect(call.calls).toBe(3);
+      });
+    }));
+
+    it('does not retry other errors or methods', async(() => {
+      const api = createApi();
+      const talkError = failingCall(1, new line.TalkError('denied'));
+      const invite = failingCall(1, new line.TransportError('reset'));
+      return Promise.all([
+        retry(RETRY, api)(talkError)('getProfile', []).reflect(),
+        retry(RETRY, api)(invite)('inviteIntoGroup', []).reflect()
+      ]).then(([first, second]) => {
+        expect(first.isRejected() && second.isRejected()).toBe(true);
+        expect(talkError.calls).toBe(1);
+        expect(invite.calls).toBe(1);
+      });
+    }));
+
+    it('retries only the given methods', async(() => {
+      const options = { ...RETRY, methods: ['inviteIntoGroup'] };
+      const call = failingCall(1, new line.TransportError('reset'));
+      return retry(options, createApi())(call)('inviteIntoGroup', [])
+        .then(() => {
+          expect(call.calls).toBe(2);
+        });
+    }));
+  });
+
+  describe('concurrency', () => {
+    it('queues calls over the limit in order', async(() => {
+      let running = 0;
+      let maxRunning = 0;
+      const started = [];
+      const call = (method) => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        started.push(method);
+        return Promise.delay(10).then(() => {
+          running -= 1;
+        });
+      };
+      const limited = concurrency(2)(call);
+      const methods = ['a', 'b', 'c', 'd', 'e'];
+      return Promise.all(methods.map((method) => limited(method, [])))
+        .then(() => {
+          expect(maxRunning).toBe(2);
+          expect(started).toEqual(methods);
+        });
+    }));
+
+    it('releases the slot of a rejected call', async(() => {
+      const limited = concurrency(1)(failingCall(1, new Error('failed')));
+      return limited('a', []).reflect()
+        .then(() => limited('b', []))
+        .then((result) => {
+          expect(result).toBe('ok');
+        });
+    }));
+  });
+
+  describe('rateLimit', () => {
+    it('waits for a token of the limited method', async(() => {
+      const call = () => Promise.resolve(Date.now());
+      const limited = rateLimit({
+        sendMessage: { capacity: 2, perSecond: 20 },
+        inviteIntoGroup: null
+      })(call);
+      return Promise.all([
+        limited('sendMessage', []),
+        limited('sendMessage', []),
+        limited('sendMessage', []),
+        limited('inviteIntoGroup', [])
+      ]).then(([first, second, third, invite]) => {
+        expect(third - Math.max(first, second) >= 40).toBe(true);
+        expect(invite < third).toBe(true);
+      });
+    }));
+
+    it('takes tokens without waiting through tryTake', () => {
+      const bucket = new TokenBucket(1, 1);
+      expect(bucket.tryTake()).toBe(true);
+      expect(bucket.tryTake()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const Promise = require('bluebird');
+const {
+  line, async, startServer, createClient, nextEvent
+} = require('./support/fakeLine');
+
+describe('Outbox', () => {
+  let server;
+  let friend;
+  let client;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+    client = createClient(server, {
+      config: {
+        rpc: { retry: { retries: 0 } },
+        outbox: { retry: { minDelay: 10, jitter: false } }
+      }
+    });
+    return client.login();
+  })));
+
+  afterEach(async(() => {
+    client.outbox.stop();
+    return server.close();
+  }));
+
+  it('sends queued messages of a chat in order', async(() => {
+    const sent = [];
+    client.outbox.on('sent', (entry, message) => sent.push(message.text));
+    const done = nextEvent(client.outbox, 'sent')
+      .then(() => nextEvent(client.outbox, 'sent'));
+    return client.outbox.enqueue(friend.mid, 'first')
+      .then(() => client.outbox.enqueue(friend.mid, 'second'))
+      .then(() => done.timeout(5000))
+      .then(() => {
+        expect(sent).toEqual(['first', 'second']);
+        return client.outbox.list();
+      })
+      .then((entries) => expect(entries.length).toBe(0));
+  }));
+
+  it('does not send twice when it is retried after a re-login',
+    async(() => {
+      server.dropResponse('sendMessage');
+      server.once('sendMessage', () => server.expireSession(client.authToken));
+      const retried = nextEvent(client.outbox, 'retry');
+      const sent = nextEvent(client.outbox, 'sent');
+      return client.outbox.enqueue(friend.mid, 'disk full')
+        .then(() => Promise.all([retried, sent]).timeout(5000))
+        .then(([[, err], [entry, message]]) => {
+          const messages = server.messageBoxes.get(friend.mid);
+          expect(err.name).toBe('TransportError');
+          expect(messages.length).toBe(1);
+          expect(message.id).toBe(messages[0].id);
+          expect(message.reqSeq).toBe(entry.seq);
+          expect(messages[0].contentMetadata).toBe(null);
+        });
+    }));
+
+  it('retries an entry whose earlier attempt cannot be looked up',
+    async(() => {
+      const getLastOpRevision = client._getLastOpRevision.bind(client);
+      const errors = [];
+      client.revision = server.revision;
+      client._getLastOpRevision = () => (
+        errors.length === 1 ?
+          Promise.reject(new line.TalkError('not now')) :
+          getLastOpRevision()
+      );
+      client.outbox.on('retry', (entry, err) => errors.push(err.name));
+      client.outbox.on('failed', (entry, err) => errors.push(err.name));
+      server.dropResponse('sendMessage');
+      const sent = nextEvent(client.outbox, 'sent');
+      return client.outbox.enqueue(friend.mid, 'disk full')
+        .then(() => sent.timeout(5000))
+        .then(() => {
+          expect(errors).toEqual(['TransportError', 'TalkError']);
+          expect(server.messageBoxes.get(friend.mid).length).toBe(1);
+        });
+    }));
+
+  it('does not hold the process by retry timers', async(() => {
+    server.dropResponse('sendMessage');
+    client.outbox.retry = { minDelay: 60000, jitter: false };
+    const retried = nextEvent(client.outbox, 'retry');
+    return client.outbox.enqueue(friend.mid, 'disk full')
+      .then(() => retried.timeout(5000))
+      .then(() => {
+        expect(client.outbox._timers.get(friend.mid).hasRef()).toBe(false);
+      });
+  }));
+
+  it('waits for login to send entries queued before it', async(() => {
+    const other = createClient(server);
+    const attempts = [];
+    other.outbox.on('retry', (entry, err) => attempts.push(err.name));
+    return other.outbox.enqueue(friend.mid, 'queued offline')
+      .then(() => Promise.delay(50))
+      .then(() => {
+        expect(attempts).toEqual([]);
+        expect(other.outbox._timers.size).toBe(0);
+        const sent = nextEvent(other.outbox, 'sent');
+        return other.login().then(() => sent.timeout(5000));
+      })
+      .then(([entry, message]) => {
+        expect(entry.attempts).toBe(1);
+        expect(message.text).toBe('queued offline');
+        other.outbox.stop();
+      });
+  }));
+});
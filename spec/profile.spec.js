@@ -0,0 +1,71 @@
+const Promise = require('bluebird');
+const {
+  line, async, startServer, createClient, nextEvent, whilePolling
+} = require('./support/fakeLine');
+
+const { OpType, ProfileAttribute } = require('curve-thrift/line_types');
+
+describe('LineProfile', () => {
+  let server;
+  let client;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    client = createClient(server);
+    return client.login();
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('changes the display name and the status message', async(() => {
+    const { profile } = client;
+    return profile.setName('Support Bot').then((updated) => {
+      expect(updated).toBe(profile);
+      expect(profile.name).toBe('Support Bot');
+      expect(server.profile.displayName).toBe('Support Bot');
+      return profile.setStatusMessage('on call: Alice');
+    }).then(() => {
+      expect(profile.statusMessage).toBe('on call: Alice');
+      return profile.setStatusMessage();
+    }).then(() => {
+      expect(server.profile.statusMessage).toBe('');
+      expect(client.getContactOrRoomOrGroupById(profile.id)).toBe(profile);
+    });
+  }));
+
+  it('uploads the picture from a Buffer', async(() => {
+    const uploaded = nextEvent(server, 'upload');
+    return Promise.resolve(client.profile.setPicture(Buffer.from('png!')))
+      .then((updated) => uploaded.then(([upload]) => {
+        expect(upload.pathname).toBe('/talk/p/upload.nhn');
+        expect(String(upload.body)).toContain(`"oid":"${updated.id}"`);
+        expect(String(upload.body)).toContain('png!');
+        expect(updated.iconPath)
+          .toContain(`${server.profile.picturePath}/preview`);
+      }));
+  }));
+
+  it('rejects an attribute the server does not support', async(() => (
+    client.updateProfileAttribute(ProfileAttribute.EMAIL, 'a@example.com')
+      .then(() => {
+        throw new Error('the update should be rejected');
+      }, (err) => {
+        expect(err instanceof line.TalkError).toBe(true);
+      })
+  )));
+
+  it('follows an update from another session', async(() => {
+    const { profile } = client;
+    server.profile.statusMessage = 'maintenance until 18:00';
+    const updated = nextEvent(client, 'updateProfile');
+    server.pushOperation({
+      type: OpType.UPDATE_PROFILE,
+      param1: String(ProfileAttribute.STATUS_MESSAGE),
+      param2: 'maintenance until 18:00'
+    });
+    return whilePolling(client, updated).then(() => {
+      expect(client.profile).toBe(profile);
+      expect(profile.statusMessage).toBe('maintenance until 18:00');
+    });
+  }));
+});
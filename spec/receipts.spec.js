@@ -0,0 +1,208 @@
+const Promise = require('bluebird');
+const {
+  line, async, startServer, createClient, nextEvent, whilePolling
+} = require('./support/fakeLine');
+const { ReceiptTracker, chatIdOf } = require('../lib/receipts');
+
+const { MIDType, OpType } = require('curve-thrift/line_types');
+
+/**
+ * Create a client standing for LineClient, checked chats are recorded
+ * @param  {Error} failure [error rejecting sendChatChecked]
+ * @return {Object}        [client, `checked` holds [chatId, messageId]]
+ */
+function createFakeClient(failure) {
+  const checked = [];
+  return {
+    checked,
+    profile: { id: 'u0' },
+    sendChatChecked: (chatId, messageId) => {
+      checked.push([chatId, messageId]);
+      return failure ? Promise.reject(failure) : Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Create a NOTIFIED_READ_MESSAGE operation
+ * @param  {String} chatId    [id of the chat]
+ * @param  {String} readerId  [id of the member who has read]
+ * @param  {String} messageId [id of the last read message]
+ * @return {Object}           [operation standing for Operation]
+ */
+function readOperation(chatId, readerId, messageId) {
+  return {
+    type: OpType.NOTIFIED_READ_MESSAGE,
+    param1: chatId,
+    param2: readerId,
+    param3: messageId
+  };
+}
+
+describe('ReceiptTracker', () => {
+  let client;
+  let receipts;
+
+  beforeEach(() => {
+    client = createFakeClient();
+    receipts = new ReceiptTracker(client);
+  });
+
+  it('finds the chat of a message from the side of the client', () => {
+    expect(chatIdOf({ senderId: 'u1', receiverId: 'u0' }, 'u0')).toBe('u1');
+    expect(chatIdOf({ senderId: 'u0', receiverId: 'u1' }, 'u0')).toBe('u1');
+    expect(chatIdOf({
+      senderId: 'u1', receiverId: 'c1', toType: MIDType.GROUP
+    }, 'u0')).toBe('c1');
+  });
+
+  it('tracks the readers of a message by their last read id', () => {
+    const read = [];
+    receipts.on('read', (...args) => read.push(args));
+    receipts._onOperation(readOperation('c1', 'u2', '10'));
+    receipts._onOperation(readOperation('c1', 'u1', '9'));
+    receipts._onOperation(readOperation('c1', 'u2', '8'));
+    receipts._onOperation(readOperation('c1', 'u0', '10'));
+    expect(receipts.readers('c1', '9')).toEqual(['u1', 'u2']);
+    expect(receipts.readers('c1', '10')).toEqual(['u2']);
+    expect(receipts.readers('c1', '11')).toEqual([]);
+    expect(receipts.readers('c2', '9')).toEqual([]);
+    expect(receipts.hasRead('c1', '10', 'u2')).toBe(true);
+    expect(receipts.hasRead('c1', '10', 'u1')).toBe(false);
+    expect(read.length).toBe(4);
+  });
+
+  it('compares message ids longer than a safe integer', () => {
+    receipts._onOperation(readOperation('c1', 'u1', '6094736451093461234'));
+    expect(receipts.hasRead('c1', '6094736451093461233', 'u1')).toBe(true);
+    expect(receipts.hasRead('c1', '6094736451093461235', 'u1')).toBe(false);
+    expect(receipts.hasRead('c1', '10000000000000000000', 'u1')).toBe(false);
+  });
+
+  it('forgets the receipts of a chat left', () => {
+    receipts._onOperation(readOperation('c1', 'u1', '10'));
+    receipts.setAutoMark('c1', true);
+    receipts._onOperation({ type: OpType.LEAVE_GROUP, param1: 'c1' });
+    expect(receipts.readers('c1', '10')).toEqual([]);
+    expect(receipts.isAutoMark('c1')).toBe(false);
+  });
+
+  it('marks a chat as read once per newer message', async(() => (
+    Promise.mapSeries([
+      () => receipts.markRead('c1', '10'),
+      () => receipts.markRead('c1', '9'),
+      () => receipts.markRead('c1', '10'),
+      () => receipts.markRead('c1', '11')
+    ], (mark) => mark()).then((marked) => {
+      expect(marked).toEqual([true, false, false, true]);
+      expect(client.checked).toEqual([['c1', '10'], ['c1', '11']]);
+    })
+  )));
+
+  it('skips messages marked as read by another session', async(() => {
+    receipts._onOperation({
+      type: OpType.SEND_CHAT_CHECKED, param1: 'c1', param2: '10'
+    });
+    return receipts.markRead('c1', '10').then((marked) => {
+      expect(marked).toBe(false);
+      expect(client.checked).toEqual([]);
+    });
+  }));
+
+  it('marks a message again after a failure', async(() => {
+    client = createFakeClient(new line.TransportError('socket hang up'));
+    receipts = new ReceiptTracker(client);
+    return receipts.markRead('c1', '10').then(() => {
+      throw new Error('the mark should be rejected');
+    }, (err) => {
+      expect(err instanceof line.TransportError).toBe(true);
+      return receipts.markRead('c1', '10').catch(() => null);
+    }).then(() => {
+      expect(client.checked).toEqual([['c1', '10'], ['c1', '10']]);
+    });
+  }));
+
+  it('marks handled messages of chats with auto-mark only', async(() => {
+    receipts = new ReceiptTracker(client, { autoMark: true });
+    receipts.setAutoMark('u2', false);
+    return Promise.mapSeries([
+      { id: '1', senderId: 'u1', receiverId: 'u0' },
+      { id: '2', senderId: 'u2', receiverId: 'u0' },
+      { senderId: 'u3', receiverId: 'u0' }
+    ], (message) => receipts.handled(message)).then((marked) => {
+      expect(marked).toEqual([true, false, false]);
+      expect(client.checked).toEqual([['u1', '1']]);
+      receipts.setAutoMark('u2', null);
+      expect(receipts.isAutoMark('u2')).toBe(true);
+    });
+  }));
+});
+
+describe('read receipts of LineClient', () => {
+  let server;
+  let friend;
+  let other;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+    other = server.addContact({ displayName: 'Other' });
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('tells who has read a message sent to a group', async(() => {
+    const added = server.addGroup({
+      name: 'Ops', members: [friend.mid, other.mid]
+    });
+    const client = createClient(server);
+    let group;
+    let sent;
+    return client.login().then(() => {
+      group = client.getGroupById(added.id);
+      return group.sendMessage('deploy done');
+    }).then((message) => {
+      sent = message;
+      const read = nextEvent(client, 'read');
+      server.readMessage(friend.mid, sent.id, group.id);
+      return whilePolling(client, read);
+    }).then(() => {
+      expect(group.readersOf(sent)).toEqual([friend.mid]);
+      expect(client.receipts.hasRead(group.id, sent.id, other.mid))
+        .toBe(false);
+    });
+  }));
+
+  it('marks messages handled by Bot as read', async(() => {
+    const client = createClient(server, { autoMarkRead: true });
+    const bot = new line.Bot(client);
+    bot.command('ping', (ctx) => ctx.reply('pong'));
+    return client.login().then(() => {
+      const checked = nextEvent(server, 'sendChatChecked');
+      const received = server.receiveMessage({
+        from_: friend.mid, text: '/ping'
+      });
+      const polling = bot.start();
+      return checked.timeout(5000)
+        .finally(() => bot.stop().then(() => polling))
+        .then(([consumer, messageId]) => {
+          expect(consumer).toBe(friend.mid);
+          expect(messageId).toBe(received.message.id);
+        });
+    });
+  }));
+
+  it('marks a received message as read on demand', async(() => {
+    const client = createClient(server);
+    return client.login().then(() => {
+      const received = nextEvent(client, 'message');
+      server.receiveMessage({ from_: friend.mid, text: 'hello' });
+      return whilePolling(client, received);
+    }).then(([message]) => {
+      const checked = nextEvent(server, 'sendChatChecked');
+      return message.markAsRead().then(() => checked).then((args) => {
+        expect(args).toEqual([friend.mid, message.id]);
+      });
+    });
+  }));
+});
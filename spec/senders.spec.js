@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Promise = require('bluebird');
+const {
+  line, async, startServer, createClient, nextEvent
+} = require('./support/fakeLine');
+
+const { ContentType } = require('curve-thrift/line_types');
+
+describe('content senders', () => {
+  let server;
+  let client;
+  let friend;
+  let chat;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+    client = createClient(server);
+    return client.login().then(() => {
+      chat = client.getContactById(friend.mid);
+    });
+  })));
+
+  afterEach(async(() => server.close()));
+
+  /**
+   * Params of the upload of a sent message
+   * @param  {Message} message [sent message]
+   * @return {Object}          [params of the upload of the message]
+   */
+  function uploadParams(message) {
+    const upload = server.uploads
+      .filter((each) => String(each.body).indexOf(message.id) >= 0)[0];
+    const [, params] = String(upload.body).match(/(\{"name".*?\})/) || [];
+    return JSON.parse(params);
+  }
+
+  it('sends a location with its coordinates', async(() => (
+    chat.sendLocation('Office', 'Taipei', 25.03, 121.56).then((message) => {
+      const stored = server.messageBoxes.get(friend.mid)[0];
+      expect(message.contentType).toBe(ContentType.LOCATION);
+      expect(stored.text).toBe('Office');
+      expect(stored.location.address).toBe('Taipei');
+      expect(stored.location.latitude).toBe(25.03);
+      expect(stored.location.longitude).toBe(121.56);
+    })
+  )));
+
+  it('sends a contact card of a LineContact only', async(() => {
+    const other = server.addContact({ displayName: 'Other' });
+    return client.refreshContacts()
+      .then(() => chat.sendContact(client.getContactById(other.mid)))
+      .then((message) => {
+        expect(message.contentType).toBe(ContentType.CONTACT);
+        expect(message.contentMetadata)
+          .toEqual({ mid: other.mid, displayName: 'Other' });
+        return chat.sendContact(other.mid);
+      })
+      .then(() => {
+        throw new Error('the contact card should be rejected');
+      }, (err) => {
+        expect(err instanceof line.LineError).toBe(true);
+      });
+  }));
+
+  it('sends a file named by its path', async(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'line-'));
+    const filepath = path.join(dir, 'report.pdf');
+    fs.writeFileSync(filepath, '%PDF-1.4');
+    return Promise.resolve(chat.sendFile(filepath)).then((message) => {
+      expect(message.contentType).toBe(ContentType.FILE);
+      expect(message.contentMetadata)
+        .toEqual({ FILE_NAME: 'report.pdf', FILE_SIZE: '8' });
+      expect(uploadParams(message).type).toBe('file');
+      expect(String(server.uploads[0].body)).toContain('%PDF-1.4');
+    }).finally(() => {
+      fs.unlinkSync(filepath);
+      fs.rmdirSync(dir);
+    });
+  }));
+
+  it('sends a video and an audio with their duration', async(() => (
+    chat.sendVideo(Buffer.from('mp4'), 3000).then((video) => {
+      expect(video.contentType).toBe(ContentType.VIDEO);
+      expect(video.contentMetadata)
+        .toEqual({ VIDLEN: '3000', DURATION: '3000' });
+      expect(uploadParams(video).duration).toBe(3000);
+      return chat.sendAudio(Buffer.from('m4a'), 1500);
+    }).then((audio) => {
+      expect(audio.contentType).toBe(ContentType.AUDIO);
+      expect(audio.contentMetadata)
+        .toEqual({ AUDLEN: '1500', DURATION: '1500' });
+      expect(uploadParams(audio).type).toBe('audio');
+    })
+  )));
+
+  it('uploads the content after its message is sent', async(() => {
+    const order = [];
+    server.on('sendMessage', () => order.push('sendMessage'));
+    const uploaded = nextEvent(server, 'upload')
+      .then(() => order.push('upload'));
+    return chat.sendImage(Buffer.from('png!'), 'chart.png')
+      .then(() => uploaded)
+      .then(() => {
+        expect(order).toEqual(['sendMessage', 'upload']);
+      });
+  }));
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  line, async, startServer, createClient
+} = require('./support/fakeLine');
+
+describe('FileSessionStore', () => {
+  let dir;
+  let filepath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsline-'));
+    filepath = path.join(dir, 'session.json');
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach((name) => fs.unlinkSync(path.join(dir, name)));
+    fs.rmdirSync(dir);
+  });
+
+  it('saves the session readable by its owner only', async(() => {
+    const store = new line.FileSessionStore(filepath);
+    return store.save({ authToken: 'token', certificate: 'cert' })
+      .then(() => new line.FileSessionStore(filepath).load())
+      .then((session) => {
+        expect(session.authToken).toBe('token');
+        expect(session.certificate).toBe('cert');
+        expect(fs.statSync(filepath).mode & 0o777).toBe(0o600);
+      });
+  }));
+
+  it('loads null after the session is cleared', async(() => {
+    const store = new line.FileSessionStore(filepath);
+    return store.save({ authToken: 'token' })
+      .then(() => store.clear())
+      .then(() => store.clear())
+      .then(() => store.load())
+      .then((session) => expect(session).toBe(null));
+  }));
+
+  describe('with LineClient', () => {
+    let server;
+
+    beforeEach(async(() => startServer().then((started) => {
+      server = started;
+    })));
+
+    afterEach(async(() => server.close()));
+
+    it('reuses the authToken saved by a previous client', async(() => {
+      const first = createClient(server, {
+        sessionStore: new line.FileSessionStore(filepath)
+      });
+      return first.login().then(() => {
+        const restarted = createClient(server, {
+          id: null,
+          password: null,
+          sessionStore: new line.FileSessionStore(filepath)
+        });
+        return restarted.login().then(() => {
+          expect(restarted.authToken).toBe(first.authToken);
+          expect(restarted.profile.id).toBe(server.profile.mid);
+        });
+      });
+    }));
+
+    it('clears the session when the authToken expires without credentials',
+      async(() => {
+        const store = new line.FileSessionStore(filepath);
+        return store.save({ authToken: 'expired' }).then(() => {
+          const client = createClient(server, {
+            id: null, password: null, sessionStore: store
+          });
+          return client.login().then(() => {
+            throw new Error('login should be rejected');
+          }, (err) => {
+            expect(err instanceof line.AuthExpiredError).toBe(true);
+            return store.load();
+          });
+        }).then((session) => expect(session).toBe(null));
+      }));
+
+    it('logs in again with credentials when the authToken expires',
+      async(() => {
+        const store = new line.FileSessionStore(filepath);
+        const client = createClient(server, { sessionStore: store });
+        return client.login().then(() => {
+          server.expireSession(client.authToken);
+          return client.refreshContacts();
+        }).then(() => store.load()).then((session) => {
+          expect(session.authToken).toBe(client.authToken);
+        });
+      }));
+  });
+});
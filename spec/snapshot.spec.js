@@ -0,0 +1,126 @@
+const Promise = require('bluebird');
+const {
+  line, async, startServer, createClient, nextEvent, whilePolling
+} = require('./support/fakeLine');
+
+describe('LineClient snapshot', () => {
+  let server;
+  let friend;
+  let group;
+  let room;
+  let client;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+    group = server.addGroup({ name: 'Ops', members: [friend.mid] });
+    room = server.addRoom([friend.mid]);
+    client = createClient(server);
+    return client.login().then(() => client.fetchRoom(room.mid));
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('is plain JSON without the client', () => {
+    const snapshot = client.snapshot();
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+    expect(JSON.stringify(snapshot)).not.toContain('_client');
+    expect(snapshot.revision).toBe(server.revision);
+  });
+
+  it('restores the profile and the caches before login', () => {
+    const snapshot = JSON.parse(JSON.stringify(client.snapshot()));
+    const restored = createClient(server).restore(snapshot);
+    expect(restored.profile.id).toBe(server.profile.mid);
+    expect(restored.getContactById(friend.mid).name).toBe('Friend');
+    expect(restored.getGroupByName('Ops').id).toBe(group.id);
+    expect(restored.getGroupByName('Ops').members.map((member) => member.id))
+      .toContain(friend.mid);
+    expect(restored.getRoomById(room.mid).id).toBe(room.mid);
+    expect(restored.snapshot().contacts).toEqual(snapshot.contacts);
+  });
+
+  it('resumes polling from the revision of the snapshot', async(() => {
+    const snapshot = client.snapshot();
+    server.receiveMessage({ from_: friend.mid, text: 'while restarting' });
+    const restored = createClient(server).restore(snapshot);
+    return restored.login().then(() => (
+      whilePolling(restored, nextEvent(restored, 'message'))
+    )).then(([message]) => {
+      expect(message.text).toBe('while restarting');
+      expect(message.sender.name).toBe('Friend');
+    });
+  }));
+
+  it('resumes from the checkpoint store before the snapshot', async(() => {
+    const snapshot = client.snapshot();
+    server.receiveMessage({ from_: friend.mid, text: 'handled' });
+    const checkpointStore = new line.MemoryCheckpointStore();
+    const restored = createClient(server, { checkpointStore });
+    return checkpointStore.save(server.revision)
+      .then(() => restored.login())
+      .then(() => {
+        restored.restore(snapshot);
+        expect(restored.snapshot().revision).toBe(server.revision);
+        server.receiveMessage({ from_: friend.mid, text: 'after checkpoint' });
+        return whilePolling(restored, nextEvent(restored, 'message'));
+      })
+      .then(([message]) => {
+        expect(message.text).toBe('after checkpoint');
+      });
+  }));
+
+  it('replaces the caches through their setters', () => {
+    const [contact] = client.contacts;
+    client.contacts = [];
+    client.groups = [];
+    client.rooms = [];
+    expect(client.getContactById(friend.mid)).toBeUndefined();
+    expect(client.snapshot().groups).toEqual([]);
+    expect(client.rooms).toEqual([]);
+    client.contacts = [contact];
+    expect(client.getContactByName('Friend')).toBe(contact);
+  });
+
+  it('rejects login when the session cannot be loaded', async(() => {
+    const unhandled = [];
+    const onUnhandled = (err) => unhandled.push(err);
+    process.on('unhandledRejection', onUnhandled);
+    const restored = createClient(server, {
+      id: null,
+      password: null,
+      sessionStore: {
+        load: () => Promise.reject(new Error('disk is gone')),
+        save: () => Promise.resolve(),
+        clear: () => Promise.resolve()
+      }
+    });
+    return Promise.delay(20)
+      .then(() => restored.login())
+      .then(() => {
+        throw new Error('the login should be rejected');
+      }, (err) => {
+        expect(err.message).toBe('disk is gone');
+        expect(unhandled).toEqual([]);
+      })
+      .finally(() => process.removeListener('unhandledRejection', onUnhandled));
+  }));
+
+  it('round-trips messages through toJSON and fromJSON', async(() => {
+    const received = nextEvent(client, 'message');
+    server.receiveMessage({ from_: friend.mid, text: 'hello' });
+    return whilePolling(client, received).then(([message]) => {
+      const data = JSON.parse(JSON.stringify(message));
+      const copy = line.LineMessage.fromJSON(client, data);
+      expect(copy.id).toBe(message.id);
+      expect(copy.text).toBe('hello');
+      expect(copy.sender).toBe(client.getContactById(friend.mid));
+      expect(copy.toJSON()).toEqual(data);
+    });
+  }));
+
+  it('rejects snapshots of another version', () => {
+    expect(() => client.restore({ version: 0 }))
+      .toThrow(new line.LineError('snapshot version 0 is not supported'));
+  });
+});
@@ -0,0 +1,86 @@
+const {
+  line, async, startServer, createClient
+} = require('./support/fakeLine');
+
+const { ContentType } = require('curve-thrift/line_types');
+
+describe('stickers', () => {
+  let server;
+  let friend;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+  })));
+
+  afterEach(async(() => server.close()));
+
+  /**
+   * Log in a client and get the chat of the friend
+   * @param  {Object} stickers [config.stickers of the client]
+   * @return {Promise}         [resolved with the LineContact of the friend]
+   */
+  function login(stickers) {
+    const client = createClient(server, { config: { stickers } });
+    return client.login().then(() => client.getContactById(friend.mid));
+  }
+
+  it('sends a sticker of version 100 without the shop', async(() => {
+    const fetched = [];
+    return login({}).then((chat) => {
+      const { stickers } = chat._client;
+      stickers.getPackage = (...args) => fetched.push(args);
+      return chat.sendSticker('99');
+    }).then((message) => {
+      expect(fetched).toEqual([]);
+      expect(message.contentType).toBe(ContentType.STICKER);
+      expect(message.contentMetadata).toEqual({
+        STKID: '99', STKPKGID: '1', STKVER: '100', STKTXT: '[null]'
+      });
+    });
+  }));
+
+  it('rejects a sticker which is not in the package', async(() => (
+    login({ validate: true }).then((chat) => chat.sendSticker('99'))
+      .then(() => {
+        throw new Error('the sticker should be rejected');
+      }, (err) => {
+        expect(err instanceof line.LineError).toBe(true);
+        expect(server.messageBoxes.get(friend.mid)).toBeUndefined();
+      })
+  )));
+
+  it('sends a sticker found in the catalog with its text', async(() => (
+    login({ validate: true }).then((chat) => (
+      chat._client.stickers.getPackage('1').then((stickerPackage) => {
+        expect(stickerPackage.version).toBe(100);
+        return chat.sendSticker(
+          stickerPackage.getSticker('13'), null, null, 'thanks'
+        );
+      })
+    )).then((message) => {
+      expect(message.contentMetadata).toEqual({
+        STKID: '13', STKPKGID: '1', STKVER: '100', STKTXT: 'thanks'
+      });
+    })
+  )));
+
+  it('sends a sticker when the shop cannot be reached', async(() => (
+    login({ validate: true }).then((chat) => {
+      Object.assign(chat._client.config, {
+        LINE_STICKER_URL: 'http://127.0.0.1:1/products/'
+      });
+      return chat.sendSticker('13');
+    }).then((message) => {
+      expect(message.contentMetadata.STKID).toBe('13');
+      expect(server.messageBoxes.get(friend.mid).length).toBe(1);
+    })
+  )));
+
+  it('downloads the image of a sticker of version 100', async(() => (
+    login({}).then((chat) => chat._client.stickers.image('1', '13'))
+      .then((png) => {
+        expect(String(png)).toBe('PNG 1/13');
+      })
+  )));
+});
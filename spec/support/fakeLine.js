@@ -0,0 +1,84 @@
+const Promise = require('bluebird');
+const line = require('../../index');
+const { FakeTalkServer } = require('./fakeServer');
+
+/**
+ * Wrap a spec returning a promise for the `done` callback of jasmine-node,
+ * a rejection fails the spec with its stack
+ * @param  {Function} fn [spec returning a promise]
+ * @return {Function}    [spec of (done)]
+ */
+function async(fn) {
+  return (done) => {
+    Promise.try(fn).then(() => done(), (err) => {
+      expect(err && err.stack || err).toBeUndefined();
+      done();
+    });
+  };
+}
+
+/**
+ * Start a FakeTalkServer for a spec, `stop` closes it
+ * @param  {Object} options [options of FakeTalkServer]
+ * @return {Promise}        [resolved with the listening server]
+ */
+function startServer(options = {}) {
+  const server = new FakeTalkServer({
+    id: 'bot@example.com',
+    password: 'secret',
+    ...options
+  });
+  return server.listen().then(() => server);
+}
+
+/**
+ * Create a LineClient pointing at `server`, prompts are discarded
+ * @param  {FakeTalkServer} server [listening server]
+ * @param  {Object} options        [options of LineClient, `config` is merged
+ *                                  over the config of the server]
+ * @return {LineClient}
+ */
+function createClient(server, options = {}) {
+  const config = { ...server.clientConfig(), ...options.config };
+  return new line.LineClient({
+    id: server.id,
+    password: server.password,
+    onPrompt: () => {},
+    ...options,
+    config
+  });
+}
+
+/**
+ * Wait for the next event of an emitter
+ * @param  {EventEmitter} emitter [emitter of the event]
+ * @param  {String} name          [name of the event]
+ * @return {Promise}              [resolved with the arguments of the event]
+ */
+function nextEvent(emitter, name) {
+  return new Promise((resolve) => {
+    emitter.once(name, (...args) => resolve(args));
+  });
+}
+
+/**
+ * Poll operations until `until` is settled, then stop polling
+ * @param  {LineClient} client [logged in client]
+ * @param  {Promise} until     [promise waited while polling]
+ * @return {Promise}           [resolved with the result of `until`]
+ */
+function whilePolling(client, until) {
+  const polling = client.start();
+  return Promise.resolve(until)
+    .timeout(5000)
+    .finally(() => client.stop().then(() => polling));
+}
+
+module.exports = {
+  line,
+  async,
+  startServer,
+  createClient,
+  nextEvent,
+  whilePolling
+};
@@ -0,0 +1,1149 @@
+/* eslint no-use-before-define: ["error", { "classes": false }] */
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import http from 'http';
+import { parse as parseUrl } from 'url';
+
+import Promise from 'bluebird';
+import thrift from 'thrift';
+import utf8 from 'utf8';
+import RSA from 'node-bignumber';
+import {
+  Contact,
+  ContactSetting,
+  ErrorCode,
+  LoginResult,
+  LoginResultType,
+  Message,
+  MIDType,
+  Operation,
+  OpType,
+  Profile,
+  ProfileAttribute,
+  Room,
+  TalkException,
+  TMessageBox,
+  TMessageBoxWrapUp,
+  TMessageBoxWrapUpResponse
+} from 'curve-thrift/line_types';
+
+import { config as defaultConfig } from '../../lib/config';
+import { toInt64 } from '../../lib/history';
+import { Group, TalkServiceProcessor } from '../../lib/talkService';
+
+const { TApplicationException, TApplicationExceptionType, MessageType, Type } =
+  thrift.Thrift;
+
+const UPLOAD_PATH = /^\/talk\/[mgp]\/upload\.nhn$/;
+const STICKER_PATH = new RegExp(
+  '^/products/\\d+/\\d+/(\\d+)/(\\d+)/\\w+/' +
+  '(productInfo\\.meta|\\w+/(\\d+)\\.png)$'
+);
+
+function createId(prefix) {
+  return `${prefix}${randomBytes(16).toString('hex')}`;
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+function withoutNulls(fields) {
+  const result = {};
+  Object.keys(fields).forEach((key) => {
+    if (fields[key] !== null && fields[key] !== undefined) {
+      result[key] = fields[key];
+    }
+  });
+  return result;
+}
+
+function sendJson(response, status, json) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(json));
+}
+
+/**
+ * In-process fake of LINE TalkService over Thrift HTTP, for testing
+ * LineClient without LINE servers. It simulates one account: login with
+ * pin code verification through `/Q`, contacts, groups, rooms, message boxes
+ * and a scriptable operation queue served by `fetchOperations`.
+ *
+ *   const server = new FakeTalkServer({ id, password });
+ *   server.listen().then(() => {
+ *     const client = new LineClient({ id, password, config: server.clientConfig() });
+ *     return client.login();
+ *   });
+ */
+export class FakeTalkServer extends EventEmitter {
+  /**
+   * Constructor of FakeTalkServer
+   * @param  {String} id               [account id accepted by login]
+   * @param  {String} password         [password accepted by login]
+   * @param  {Object} profile = {}     [fields of the account Profile]
+   * @param  {Boolean} requirePin = true [ask pin code unless a known certificate is given]
+   * @param  {Boolean} requireQrcode = false [ask to scan a QR code instead
+   *                                          of the pin code]
+   * @param  {Boolean} autoConfirm = true [confirm pin code or QR code at once,
+   *                                       otherwise call `confirmLogin`]
+   * @param  {Number} pollTimeout = 100 [milliseconds fetchOperations waits for
+   *                                     new operations before returning empty]
+   */
+  constructor(options = {}) {
+    super();
+    this.id = options.id || 'fake@example.com';
+    this.password = options.password || 'password';
+    this.requirePin = options.requirePin !== false;
+    this.requireQrcode = !!options.requireQrcode;
+    this.autoConfirm = options.autoConfirm !== false;
+    this.pollTimeout =
+      options.pollTimeout === undefined ? 100 : options.pollTimeout;
+    this.profile = new Profile({
+      mid: createId('u'),
+      displayName: 'Fake User',
+      statusMessage: '',
+      picturePath: '/fake',
+      ...options.profile
+    });
+
+    this.contacts = new Map();
+    this.users = new Map();
+    this.blockedIds = new Set();
+    this.groups = new Map();
+    this.groupTickets = new Map();
+    this.rooms = new Map();
+    this.messageBoxes = new Map();
+    this.operations = [];
+    this.uploads = [];
+    this.contents = new Map();
+    this.stickerPackages = new Map();
+    this.revision = 0;
+    this._lastMessageId = Date.now();
+    this.sessions = new Map();
+    this.certificates = new Set();
+    this.sentBySeq = new Map();
+
+    this._sessionKey = randomBytes(8).toString('hex');
+    this._rsa = null;
+    this._verifiers = new Map();
+    this._pollers = new Set();
+    this._droppedResponses = new Map();
+    this._server = http.createServer(
+      (request, response) => this._handleRequest(request, response)
+    );
+    this.addStickerPackage({
+      packageId: 1,
+      version: 100,
+      title: { en: 'Moon & James' },
+      stickers: Array.from({ length: 17 }, (value, index) => ({
+        id: index + 1, width: 160, height: 160
+      }))
+    });
+  }
+
+  /**
+   * Start listening on localhost
+   * @param  {Number} port = 0 [port to listen, 0 to pick a free one]
+   * @return {Promise}         [resolved with the listening port]
+   */
+  listen(port = 0) {
+    if (!this._rsa) {
+      this._rsa = new RSA.Key();
+      this._rsa.generate(1024, '10001');
+    }
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, '127.0.0.1', () => {
+        this.port = this._server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening, pending fetchOperations and `/Q` requests are released
+   * @return {Promise} [resolved after the server is closed]
+   */
+  close() {
+    this._pollers.forEach((release) => release());
+    this._verifiers.forEach((pending) => pending.release());
+    return Promise.fromCallback((callback) => this._server.close(callback));
+  }
+
+  /**
+   * Get config overrides pointing a LineClient at this server
+   * @return {Object} [pass it as `config` option of LineClient]
+   */
+  clientConfig() {
+    const origin = `127.0.0.1:${this.port}`;
+    return {
+      transport: {
+        host: '127.0.0.1',
+        port: this.port,
+        scheme: 'http',
+        keepAlive: false
+      },
+      LINE_OS_URL: origin,
+      LINE_POST_CONTENT_URL: `http://${origin}/talk/m/upload.nhn`,
+      LINE_GET_CONTENT_URL: `http://${origin}/os/m/`,
+      LINE_STICKER_URL: `http://${origin}/products/`,
+      LINE_GROUP_PICTURE_URL: `http://${origin}/talk/g/upload.nhn`,
+      LINE_PROFILE_PICTURE_URL: `http://${origin}/talk/p/upload.nhn`
+    };
+  }
+
+  /**
+   * Add a contact (friend) of the account
+   * @param  {Object} contact [fields of Contact, `mid` is generated if missing]
+   * @return {Contact}        [added contact]
+   */
+  addContact(contact = {}) {
+    const added = new Contact({
+      mid: createId('u'),
+      displayName: 'Fake Contact',
+      statusMessage: '',
+      picturePath: '/fake',
+      ...contact
+    });
+    this.contacts.set(added.mid, added);
+    return added;
+  }
+
+  /**
+   * Add a user who is not a friend yet, to be found by LINE ID,
+   * phone number or email
+   * @param  {Object} contact = {} [fields of Contact]
+   * @param  {String} userid       [LINE ID of the user]
+   * @param  {String} phone        [phone number of the user]
+   * @param  {String} email        [email of the user]
+   * @return {Contact}             [added user]
+   */
+  addUser(contact = {}, { userid, phone, email } = {}) {
+    const added = new Contact({
+      mid: createId('u'),
+      displayName: 'Fake User',
+      statusMessage: '',
+      picturePath: '/fake',
+      ...contact
+    });
+    this.users.set(added.mid, { contact: added, userid, phone, email });
+    return added;
+  }
+
+  /**
+   * Add a group
+   * @param  {String} name            [name of the group]
+   * @param  {Array} members = []     [mids of members, the account is added
+   *                                   unless `joined` is false]
+   * @param  {Array} invitee = []     [mids of invited contacts]
+   * @param  {Boolean} joined = true  [false to invite the account instead]
+   * @return {Group}                  [added group]
+   */
+  addGroup({ name, members = [], invitee = [], joined = true } = {}) {
+    const me = this.profile.mid;
+    const group = new Group({
+      id: createId('c'),
+      createdTime: Date.now(),
+      name,
+      members: this._toContacts(joined ? [me, ...members] : members),
+      invitee: this._toContacts(joined ? invitee : [me, ...invitee]),
+      creator: this._toContact(joined ? me : members[0]),
+      preventJoinByTicket: true
+    });
+    this.groups.set(group.id, group);
+    return group;
+  }
+
+  /**
+   * Add a room with the account and contacts
+   * @param  {Array} contactIds = [] [mids of the other contacts]
+   * @return {Room}                  [added room]
+   */
+  addRoom(contactIds = []) {
+    const room = new Room({
+      mid: createId('r'),
+      createdTime: Date.now(),
+      contacts: this._toContacts([this.profile.mid, ...contactIds])
+    });
+    this.rooms.set(room.mid, room);
+    return room;
+  }
+
+  /**
+   * Queue an operation for fetchOperations, revision is assigned in order
+   * @param  {Object} operation [fields of Operation, ex. type and param1]
+   * @return {Operation}        [queued operation]
+   */
+  pushOperation(operation) {
+    this.revision += 1;
+    const queued = new Operation({
+      createdTime: Date.now(),
+      ...operation,
+      revision: this.revision
+    });
+    this.operations.push(queued);
+    this._pollers.forEach((release) => release());
+    return queued;
+  }
+
+  /**
+   * Simulate a message received by the account
+   * @param  {Object} message [fields of Message, `from_` is required,
+   *                           `to` defaults to the account]
+   * @return {Operation}      [queued RECEIVE_MESSAGE operation]
+   */
+  receiveMessage(message) {
+    const received = this._storeMessage({
+      to: this.profile.mid,
+      ...message
+    });
+    return this.pushOperation({
+      type: OpType.RECEIVE_MESSAGE,
+      message: received
+    });
+  }
+
+  /**
+   * Simulate a member reading messages of a chat up to a message
+   * @param  {String} readerMid [id of the member who has read]
+   * @param  {String} messageId [id of the last read message]
+   * @param  {String} chatId    [Default to the reader, id of the group or
+   *                             room the message is sent to]
+   * @return {Operation}        [queued NOTIFIED_READ_MESSAGE operation]
+   */
+  readMessage(readerMid, messageId, chatId = readerMid) {
+    return this.pushOperation({
+      type: OpType.NOTIFIED_READ_MESSAGE,
+      param1: chatId,
+      param2: readerMid,
+      param3: messageId
+    });
+  }
+
+  /**
+   * Serve a sticker package on LINE_STICKER_URL, package 1 version 100
+   * with stickers 1 to 17 is served by default
+   * @param  {Object} meta [productInfo.meta with `packageId`, `version`
+   *                        and `stickers` of { id, width, height, keywords }]
+   * @return {Object}      [served meta]
+   */
+  addStickerPackage(meta) {
+    this.stickerPackages.set(`${meta.packageId}-${meta.version}`, meta);
+    return meta;
+  }
+
+  /**
+   * Serve content of a message on `/os/m/:messageId`
+   * @param  {String} messageId     [id of the message]
+   * @param  {Buffer} body          [content of the message]
+   * @param  {String} contentType = 'application/octet-stream'
+   *                                [`Content-Type` of the content]
+   * @param  {Buffer} preview = null [thumbnail on `/os/m/:messageId/preview`]
+   */
+  addContent(
+    messageId, body,
+    contentType = 'application/octet-stream',
+    preview = null
+  ) {
+    this.contents.set(messageId, { body, contentType, preview });
+  }
+
+  /**
+   * Confirm a pending pin code or QR code login, as if done on mobile phone
+   * @param  {String} verifier [Default to every pending verifier]
+   */
+  confirmLogin(verifier) {
+    this._verifiers.forEach((pending, key) => {
+      if (!verifier || key === verifier) {
+        pending.confirm();
+      }
+    });
+  }
+
+  /**
+   * Expire an authToken, calls with it throw TalkException code 8
+   * @param  {String} authToken [Default to every session]
+   */
+  expireSession(authToken) {
+    this._setSessionState(authToken, 'expired');
+  }
+
+  /**
+   * Simulate login on another machine, calls throw TalkException code 9
+   * @param  {String} authToken [Default to every session]
+   */
+  kickSession(authToken) {
+    this._setSessionState(authToken, 'kicked');
+  }
+
+  /**
+   * Process the next calls of a method but drop the connection instead of
+   * responding, so the client sees a transport error after the call has
+   * been applied
+   * @param  {String} method [name of the TalkService method]
+   * @param  {Number} count  [Default to 1, number of responses to drop]
+   */
+  dropResponse(method, count = 1) {
+    this._droppedResponses.set(method, count);
+  }
+
+  _shouldDropResponse(method) {
+    const count = this._droppedResponses.get(method) || 0;
+    if (count > 0) {
+      this._droppedResponses.set(method, count - 1);
+    }
+    return count > 0;
+  }
+
+  _setSessionState(authToken, state) {
+    this.sessions.forEach((value, key) => {
+      if (!authToken || key === authToken) {
+        this.sessions.set(key, state);
+      }
+    });
+  }
+
+  _toContact(mid) {
+    if (mid === this.profile.mid) {
+      return new Contact({
+        mid,
+        displayName: this.profile.displayName,
+        statusMessage: this.profile.statusMessage,
+        picturePath: this.profile.picturePath
+      });
+    }
+    if (this.contacts.has(mid)) {
+      return this.contacts.get(mid);
+    }
+    return this.users.has(mid) ?
+      this.users.get(mid).contact :
+      new Contact({ mid, displayName: mid });
+  }
+
+  /**
+   * Find users by a field of `addUser`, friends are found by mid too
+   * @param  {String} field  ['mid', 'userid', 'phone' or 'email']
+   * @param  {Array} values  [values of the field]
+   * @return {Object}        [Contact by the matched value]
+   */
+  _findUsers(field, values) {
+    const found = {};
+    this.users.forEach((user, mid) => {
+      const value = field === 'mid' ? mid : user[field];
+      if (values.indexOf(value) >= 0) {
+        found[value] = user.contact;
+      }
+    });
+    if (field === 'mid') {
+      values.filter((mid) => this.contacts.has(mid))
+        .forEach((mid) => {
+          found[mid] = this.contacts.get(mid);
+        });
+    }
+    return found;
+  }
+
+  _toContacts(mids) {
+    return mids.map((mid) => this._toContact(mid));
+  }
+
+  _midTypeOf(mid) {
+    if (this.groups.has(mid)) {
+      return MIDType.GROUP;
+    }
+    return this.rooms.has(mid) ? MIDType.ROOM : MIDType.USER;
+  }
+
+  /**
+   * Store a message in the message box of its chat
+   * @param  {Object} message [fields of Message]
+   * @return {Message}        [stored message with id and createdTime]
+   */
+  _storeMessage(message) {
+    this._lastMessageId += 1;
+    const stored = new Message({
+      id: String(this._lastMessageId),
+      createdTime: Date.now(),
+      toType: this._midTypeOf(message.to),
+      text: '',
+      ...withoutNulls(message)
+    });
+    const boxId = stored.toType === MIDType.USER &&
+      stored.to === this.profile.mid ? stored.from_ : stored.to;
+    if (!this.messageBoxes.has(boxId)) {
+      this.messageBoxes.set(boxId, []);
+    }
+    this.messageBoxes.get(boxId).push(stored);
+    return stored;
+  }
+
+  _createSession() {
+    const authToken = createId('t');
+    const certificate = createId('x');
+    this.sessions.set(authToken, 'active');
+    this.certificates.add(certificate);
+    return new LoginResult({
+      type: LoginResultType.SUCCESS,
+      authToken,
+      certificate
+    });
+  }
+
+  /**
+   * Create a pending login to be confirmed on "mobile phone"
+   * @return {String} [verifier of the pending login]
+   */
+  _createVerifier() {
+    const verifier = createId('v');
+    const pinCode = String(1000 + Math.floor(Math.random() * 9000));
+    const waiting = [];
+    const pending = {
+      pinCode,
+      confirmed: false,
+      wait: () => new Promise((resolve) => waiting.push(resolve)),
+      release: () => waiting.splice(0).forEach((resolve) => resolve()),
+      confirm: () => {
+        pending.confirmed = true;
+        pending.release();
+      }
+    };
+    this._verifiers.set(verifier, pending);
+    if (this.autoConfirm) {
+      pending.confirmed = true;
+    }
+    return verifier;
+  }
+
+  _decryptCredential(keyname, credentials) {
+    const decrypted = this._rsa.decrypt(credentials);
+    const chars = decrypted ? utf8.decode(decrypted.toString('utf8')) : '';
+    const fields = [];
+    let offset = 0;
+    while (offset < chars.length) {
+      const length = chars.charCodeAt(offset);
+      fields.push(chars.substr(offset + 1, length));
+      offset += length + 1;
+    }
+    const [sessionKey, id, password] = fields;
+    return keyname === 'fake' && sessionKey === this._sessionKey &&
+      id === this.id && password === this.password;
+  }
+
+  _handleRequest(request, response) {
+    const pathname = parseUrl(request.url).pathname;
+    if (request.method === 'POST' && (
+      pathname === defaultConfig.LINE_HTTP_URL ||
+      pathname === defaultConfig.LINE_POLL_URL
+    )) {
+      return this._processThrift(request, response);
+    }
+    if (request.method === 'POST' && UPLOAD_PATH.test(pathname)) {
+      return this._processUpload(request, response, pathname);
+    }
+    if (pathname === defaultConfig.LINE_SESSION_LINE_URL ||
+      pathname === defaultConfig.LINE_SESSION_NAVER_URL) {
+      return sendJson(response, 200, {
+        session_key: this._sessionKey,
+        rsa_key: `fake,${this._rsa.n.toString(16)},10001`
+      });
+    }
+    if (pathname === defaultConfig.LINE_CERTIFICATE_URL) {
+      return this._processCertificate(request, response);
+    }
+    if (request.method === 'GET' && /^\/os\/m\//.test(pathname)) {
+      return this._processContent(request, response, pathname);
+    }
+    if (request.method === 'GET' && /^\/products\//.test(pathname)) {
+      return this._processSticker(response, pathname);
+    }
+    sendJson(response, 404, { error: `${pathname} is not found` });
+  }
+
+  _processCertificate(request, response) {
+    const verifier = request.headers['x-line-access'];
+    const pending = this._verifiers.get(verifier);
+    if (!pending) {
+      return sendJson(response, 403, { error: 'unknown verifier' });
+    }
+    const confirmed = pending.confirmed ? Promise.resolve() : pending.wait();
+    return confirmed.then(() => (
+      pending.confirmed ?
+        sendJson(response, 200, { result: { verifier } }) :
+        sendJson(response, 410, { error: 'server closed' })
+    ));
+  }
+
+  _processContent(request, response, pathname) {
+    const [, messageId, preview] =
+      pathname.match(/^\/os\/m\/([^/]+)(\/preview)?$/) || [];
+    const content = this.contents.get(messageId);
+    if (this.sessions.get(request.headers['x-line-access']) !== 'active') {
+      return sendJson(response, 403, { error: 'not authorized' });
+    }
+    if (!content || preview && !content.preview) {
+      return sendJson(response, 404, { error: `${pathname} is not found` });
+    }
+    const body = preview ? content.preview : content.body;
+    response.writeHead(200, {
+      'Content-Type': preview ? 'image/jpeg' : content.contentType,
+      'Content-Length': body.length
+    });
+    response.end(body);
+  }
+
+  _processSticker(response, pathname) {
+    const [, version, packageId, file, stickerId] =
+      pathname.match(STICKER_PATH) || [];
+    const meta = this.stickerPackages.get(`${packageId}-${version}`);
+    const sticker = meta && (meta.stickers || [])
+      .find((each) => String(each.id) === stickerId);
+    if (meta && file === 'productInfo.meta') {
+      return sendJson(response, 200, meta);
+    }
+    if (!sticker) {
+      return sendJson(response, 404, { error: `${pathname} is not found` });
+    }
+    const body = Buffer.from(`PNG ${packageId}/${stickerId}`);
+    response.writeHead(200, {
+      'Content-Type': 'image/png',
+      'Content-Length': body.length
+    });
+    response.end(body);
+  }
+
+  _processUpload(request, response, pathname) {
+    return readBody(request).then((body) => {
+      const upload = { pathname, headers: request.headers, body };
+      const [, oid] = String(body).match(/"oid":"([^"]+)"/) || [];
+      const pictureStatus = `p${Date.now()}`;
+      if (pathname === '/talk/g/upload.nhn' && this.groups.has(oid)) {
+        this.groups.get(oid).pictureStatus = pictureStatus;
+      }
+      if (pathname === '/talk/p/upload.nhn' && oid === this.profile.mid) {
+        this.profile.pictureStatus = pictureStatus;
+        this.profile.picturePath = `/${pictureStatus}`;
+      }
+      this.uploads.push(upload);
+      this.emit('upload', upload);
+      response.writeHead(201);
+      response.end();
+    });
+  }
+
+  /**
+   * Process a Thrift call with a handler bound to the authToken of request
+   */
+  _processThrift(request, response) {
+    const handler =
+      new FakeTalkHandler(this, request.headers['x-line-access']);
+    const processor = new TalkServiceProcessor(handler);
+    return readBody(request).then((body) => {
+      thrift.TBufferedTransport.receiver((transportWithData) => {
+        const input = new thrift.TCompactProtocol(transportWithData);
+        const begin = input.readMessageBegin();
+        const output = new thrift.TCompactProtocol(
+          new thrift.TBufferedTransport(undefined, (buf) => {
+            if (this._shouldDropResponse(begin.fname)) {
+              request.socket.destroy();
+              return;
+            }
+            response.writeHead(200);
+            response.end(buf);
+          })
+        );
+        this.emit('call', begin.fname);
+        if (typeof handler[begin.fname] === 'function') {
+          processor[`process_${begin.fname}`](begin.rseqid, input, output);
+          return;
+        }
+        input.skip(Type.STRUCT);
+        input.readMessageEnd();
+        output.writeMessageBegin(
+          begin.fname, MessageType.EXCEPTION, begin.rseqid
+        );
+        new TApplicationException(
+          TApplicationExceptionType.UNKNOWN_METHOD,
+          `${begin.fname} is not implemented by FakeTalkServer`
+        ).write(output);
+        output.writeMessageEnd();
+        output.flush();
+      })(body);
+    });
+  }
+}
+
+/**
+ * Handler of TalkService for one request, methods must keep the number of
+ * Thrift arguments as their length, so they have no default parameters.
+ * They are bound since the processor calls them without `this`
+ */
+class FakeTalkHandler {
+  constructor(server, authToken) {
+    this.server = server;
+    this.authToken = authToken;
+    Object.getOwnPropertyNames(FakeTalkHandler.prototype).forEach((name) => {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    });
+  }
+
+  _assertSession() {
+    const state = this.server.sessions.get(this.authToken);
+    if (state === 'kicked') {
+      throw new TalkException({
+        code: ErrorCode.INVALID_MID,
+        reason: 'logged in on another machine'
+      });
+    }
+    if (state !== 'active') {
+      throw new TalkException({
+        code: ErrorCode.NOT_AUTHORIZED_DEVICE,
+        reason: 'authentication expired'
+      });
+    }
+  }
+
+  _assertGroup(groupId) {
+    const group = this.server.groups.get(groupId);
+    if (!group) {
+      throw new TalkException({
+        code: ErrorCode.NOT_FOUND,
+        reason: `group ${groupId} is not found`
+      });
+    }
+    return group;
+  }
+
+  _pushOperation(type, reqSeq, params = {}) {
+    return this.server.pushOperation({ type, reqSeq, ...params });
+  }
+
+  loginWithIdentityCredentialForCertificate(
+    identityProvider, identifier, password,
+    keepLoggedIn, accessLocation, systemName, certificate
+  ) {
+    const server = this.server;
+    if (!server._decryptCredential(identifier, password)) {
+      throw new TalkException({
+        code: ErrorCode.INVALID_IDENTITY_CREDENTIAL,
+        reason: 'invalid id or password'
+      });
+    }
+    if (!server.requirePin || server.certificates.has(certificate)) {
+      return server._createSession();
+    }
+    if (server.requireQrcode) {
+      return new LoginResult({ type: LoginResultType.REQUIRE_QRCODE });
+    }
+    const verifier = server._createVerifier();
+    const pinCode = server._verifiers.get(verifier).pinCode;
+    server.emit('pincode', pinCode, verifier);
+    return new LoginResult({
+      type: LoginResultType.REQUIRE_DEVICE_CONFIRM,
+      verifier,
+      pinCode
+    });
+  }
+
+  loginWithVerifierForCertificate(verifier) {
+    const pending = this.server._verifiers.get(verifier);
+    if (!pending || !pending.confirmed) {
+      throw new TalkException({
+        code: ErrorCode.AUTHENTICATION_FAILED,
+        reason: 'verifier is not confirmed'
+      });
+    }
+    this.server._verifiers.delete(verifier);
+    return this.server._createSession();
+  }
+
+  getAuthQrcode(keepLoggedIn, systemName) {
+    const verifier = this.server._createVerifier();
+    this.server.emit('qrcode', verifier, { keepLoggedIn, systemName });
+    return { qrcode: '', verifier };
+  }
+
+  getProfile() {
+    this._assertSession();
+    return this.server.profile;
+  }
+
+  updateProfileAttribute(reqSeq, attribute, value) {
+    this._assertSession();
+    const profile = this.server.profile;
+    if (attribute === ProfileAttribute.DISPLAY_NAME) {
+      profile.displayName = value;
+    } else if (attribute === ProfileAttribute.STATUS_MESSAGE) {
+      profile.statusMessage = value;
+    } else {
+      throw new TalkException({
+        code: ErrorCode.ILLEGAL_ARGUMENT,
+        reason: `profile attribute ${attribute} is not supported`
+      });
+    }
+    this._pushOperation(OpType.UPDATE_PROFILE, reqSeq, {
+      param1: String(attribute),
+      param2: value
+    });
+  }
+
+  getLastOpRevision() {
+    this._assertSession();
+    return this.server.revision;
+  }
+
+  /**
+   * Return operations after localRev, waiting up to `pollTimeout`
+   * for new ones like the long polling of LINE
+   */
+  fetchOperations(localRev, count) {
+    this._assertSession();
+    const server = this.server;
+    const pending = () => server.operations
+      .filter((operation) => operation.revision > Number(localRev))
+      .slice(0, count);
+    if (pending().length > 0 || server.pollTimeout <= 0) {
+      return pending();
+    }
+    return new Promise((resolve) => {
+      let timer = null;
+      const release = () => {
+        clearTimeout(timer);
+        server._pollers.delete(release);
+        resolve(pending());
+      };
+      timer = setTimeout(release, server.pollTimeout);
+      server._pollers.add(release);
+    });
+  }
+
+  getAllContactIds() {
+    this._assertSession();
+    return Array.from(this.server.contacts.keys())
+      .filter((mid) => !this.server.blockedIds.has(mid));
+  }
+
+  getFavoriteMids() {
+    this._assertSession();
+    return Array.from(this.server.contacts.values())
+      .filter((contact) => Number(contact.favoriteTime) > 0)
+      .map((contact) => contact.mid);
+  }
+
+  findContactByUserid(userid) {
+    this._assertSession();
+    const found = this.server._findUsers('userid', [userid])[userid];
+    if (!found) {
+      throw new TalkException({
+        code: ErrorCode.NOT_FOUND,
+        reason: `user ${userid} is not found`
+      });
+    }
+    return found;
+  }
+
+  findContactsByPhone(phones) {
+    this._assertSession();
+    return this.server._findUsers('phone', phones);
+  }
+
+  findContactsByEmail(emails) {
+    this._assertSession();
+    return this.server._findUsers('email', emails);
+  }
+
+  findAndAddContactsByMid(reqSeq, mid) {
+    return this._findAndAdd(reqSeq, 'mid', [mid]);
+  }
+
+  findAndAddContactsByUserid(reqSeq, userid) {
+    return this._findAndAdd(reqSeq, 'userid', [userid]);
+  }
+
+  findAndAddContactsByPhone(reqSeq, phones) {
+    return this._findAndAdd(reqSeq, 'phone', phones);
+  }
+
+  findAndAddContactsByEmail(reqSeq, emails) {
+    return this._findAndAdd(reqSeq, 'email', emails);
+  }
+
+  _findAndAdd(reqSeq, field, values) {
+    this._assertSession();
+    const found = this.server._findUsers(field, values);
+    Object.keys(found).forEach((key) => {
+      const contact = found[key];
+      this.server.contacts.set(contact.mid, contact);
+      this.server.users.delete(contact.mid);
+      this._pushOperation(OpType.ADD_CONTACT, reqSeq, { param1: contact.mid });
+    });
+    return found;
+  }
+
+  blockContact(reqSeq, id) {
+    this._assertSession();
+    this.server.blockedIds.add(id);
+    this._pushOperation(OpType.BLOCK_CONTACT, reqSeq, { param1: id });
+  }
+
+  unblockContact(reqSeq, id) {
+    this._assertSession();
+    this.server.blockedIds.delete(id);
+    this._pushOperation(OpType.UNBLOCK_CONTACT, reqSeq, { param1: id });
+  }
+
+  updateContactSetting(reqSeq, mid, flag, value) {
+    this._assertSession();
+    const contact = this.server.contacts.get(mid);
+    if (!contact) {
+      throw new TalkException({
+        code: ErrorCode.NOT_FOUND,
+        reason: `contact ${mid} is not found`
+      });
+    }
+    if (flag === ContactSetting.CONTACT_SETTING_DISPLAY_NAME_OVERRIDE) {
+      contact.displayNameOverridden = value || null;
+    } else if (flag === ContactSetting.CONTACT_SETTING_FAVORITE) {
+      contact.favoriteTime = value === 'True' ? Date.now() : 0;
+    }
+    this._pushOperation(OpType.UPDATE_CONTACT, reqSeq, {
+      param1: mid,
+      param2: String(flag)
+    });
+  }
+
+  getBlockedContactIds() {
+    this._assertSession();
+    return Array.from(this.server.blockedIds);
+  }
+
+  getContacts(ids) {
+    this._assertSession();
+    return ids.map((id) => this.server._toContact(id));
+  }
+
+  getContact(id) {
+    this._assertSession();
+    return this.server._toContact(id);
+  }
+
+  createRoom(reqSeq, contactIds) {
+    this._assertSession();
+    const room = this.server.addRoom(contactIds);
+    this._pushOperation(OpType.CREATE_ROOM, reqSeq, { param1: room.mid });
+    return room;
+  }
+
+  getRoom(roomId) {
+    this._assertSession();
+    return this.server.rooms.get(roomId);
+  }
+
+  inviteIntoRoom(reqSeq, roomId, contactIds) {
+    this._assertSession();
+    const room = this.server.rooms.get(roomId);
+    room.contacts = room.contacts.concat(this.server._toContacts(contactIds));
+    this._pushOperation(OpType.INVITE_INTO_ROOM, reqSeq, {
+      param1: roomId,
+      param2: contactIds.join('\x1e')
+    });
+  }
+
+  leaveRoom(reqSeq, roomId) {
+    this._assertSession();
+    this.server.rooms.delete(roomId);
+    this._pushOperation(OpType.LEAVE_ROOM, reqSeq, { param1: roomId });
+  }
+
+  createGroup(seq, name, contactIds) {
+    this._assertSession();
+    const group = this.server.addGroup({ name, invitee: contactIds });
+    this._pushOperation(OpType.CREATE_GROUP, seq, { param1: group.id });
+    return group;
+  }
+
+  getGroups(groupIds) {
+    this._assertSession();
+    return groupIds.map((groupId) => this._assertGroup(groupId));
+  }
+
+  getGroup(groupId) {
+    this._assertSession();
+    return this._assertGroup(groupId);
+  }
+
+  getGroupIdsJoined() {
+    return this._getGroupIds((group) => group.members);
+  }
+
+  getGroupIdsInvited() {
+    return this._getGroupIds((group) => group.invitee);
+  }
+
+  _getGroupIds(getContacts) {
+    this._assertSession();
+    const me = this.server.profile.mid;
+    return Array.from(this.server.groups.values())
+      .filter((group) => getContacts(group).some((c) => c.mid === me))
+      .map((group) => group.id);
+  }
+
+  acceptGroupInvitation(reqSeq, groupId) {
+    this._assertSession();
+    const group = this._assertGroup(groupId);
+    const me = this.server.profile.mid;
+    group.invitee = group.invitee.filter((contact) => contact.mid !== me);
+    group.members = group.members.concat(this.server._toContact(me));
+    this._pushOperation(OpType.ACCEPT_GROUP_INVITATION, reqSeq, {
+      param1: groupId
+    });
+  }
+
+  cancelGroupInvitation(reqSeq, groupId, contactIds) {
+    this._assertSession();
+    const group = this._assertGroup(groupId);
+    group.invitee = group.invitee
+      .filter((contact) => contactIds.indexOf(contact.mid) < 0);
+    this._pushOperation(OpType.CANCEL_INVITATION_GROUP, reqSeq, {
+      param1: groupId,
+      param2: contactIds.join('\x1e')
+    });
+  }
+
+  inviteIntoGroup(reqSeq, groupId, contactIds) {
+    this._assertSession();
+    const group = this._assertGroup(groupId);
+    group.invitee = group.invitee.concat(this.server._toContacts(contactIds));
+    this._pushOperation(OpType.INVITE_INTO_GROUP, reqSeq, {
+      param1: groupId,
+      param2: contactIds.join('\x1e')
+    });
+  }
+
+  kickoutFromGroup(reqSeq, groupId, contactIds) {
+    this._assertSession();
+    const group = this._assertGroup(groupId);
+    group.members = group.members
+      .filter((contact) => contactIds.indexOf(contact.mid) < 0);
+    this._pushOperation(OpType.KICKOUT_FROM_GROUP, reqSeq, {
+      param1: groupId,
+      param2: contactIds.join('\x1e')
+    });
+  }
+
+  rejectGroupInvitation(reqSeq, groupId) {
+    this._assertSession();
+    const group = this._assertGroup(groupId);
+    const me = this.server.profile.mid;
+    group.invitee = group.invitee.filter((contact) => contact.mid !== me);
+    this._pushOperation(OpType.REJECT_GROUP_INVITATION, reqSeq, {
+      param1: groupId
+    });
+  }
+
+  updateGroup(reqSeq, group) {
+    this._assertSession();
+    const updated = this._assertGroup(group.id);
+    updated.name = group.name;
+    if (group.preventJoinByTicket !== null) {
+      updated.preventJoinByTicket = group.preventJoinByTicket;
+    }
+    this._pushOperation(OpType.UPDATE_GROUP, reqSeq, { param1: group.id });
+  }
+
+  reissueGroupTicket(groupMid) {
+    this._assertSession();
+    this._assertGroup(groupMid);
+    const ticket = randomBytes(5).toString('hex');
+    this.server.groupTickets.set(groupMid, ticket);
+    return ticket;
+  }
+
+  leaveGroup(reqSeq, groupId) {
+    this._assertSession();
+    const group = this._assertGroup(groupId);
+    const me = this.server.profile.mid;
+    group.members = group.members.filter((contact) => contact.mid !== me);
+    this._pushOperation(OpType.LEAVE_GROUP, reqSeq, { param1: groupId });
+  }
+
+  sendMessage(seq, message) {
+    this._assertSession();
+    const key = `${this.authToken}:${seq}`;
+    if (seq && this.server.sentBySeq.has(key)) {
+      return this.server.sentBySeq.get(key);
+    }
+    const sent = this.server._storeMessage({
+      ...withoutNulls(message),
+      id: null,
+      from_: this.server.profile.mid
+    });
+    if (seq) {
+      this.server.sentBySeq.set(key, sent);
+    }
+    this._pushOperation(OpType.SEND_MESSAGE, seq, { message: sent });
+    this.server.emit('sendMessage', sent);
+    return sent;
+  }
+
+  sendChatChecked(seq, consumer, lastMessageId) {
+    this._assertSession();
+    this._pushOperation(OpType.SEND_CHAT_CHECKED, seq, {
+      param1: consumer,
+      param2: lastMessageId
+    });
+    this.server.emit('sendChatChecked', consumer, lastMessageId);
+  }
+
+  getRecentMessages(messageBoxId, messagesCount) {
+    this._assertSession();
+    const messages = this.server.messageBoxes.get(messageBoxId) || [];
+    return messages.slice(-messagesCount).reverse();
+  }
+
+  getPreviousMessages(messageBoxId, endSeq, messagesCount) {
+    this._assertSession();
+    const end = toInt64(endSeq).buffer;
+    const messages = (this.server.messageBoxes.get(messageBoxId) || [])
+      .filter((message) => (
+        Buffer.compare(toInt64(message.id).buffer, end) < 0
+      ));
+    return messages.slice(-messagesCount).reverse();
+  }
+
+  getMessageBoxCompactWrapUp(mid) {
+    this._assertSession();
+    return this._wrapUp(mid);
+  }
+
+  getMessageBoxCompactWrapUpList(start, messageBoxCount) {
+    this._assertSession();
+    const ids = Array.from(this.server.messageBoxes.keys());
+    return new TMessageBoxWrapUpResponse({
+      messageBoxWrapUpList: ids
+        .slice(start - 1, start - 1 + messageBoxCount)
+        .map((id) => this._wrapUp(id)),
+      totalSize: ids.length
+    });
+  }
+
+  _wrapUp(mid) {
+    const messages = this.server.messageBoxes.get(mid) || [];
+    return new TMessageBoxWrapUp({
+      messageBox: new TMessageBox({
+        id: mid,
+        midType: this.server._midTypeOf(mid),
+        lastSeq: messages.length,
+        unreadCount: 0,
+        lastMessages: messages.slice(-1)
+      })
+    });
+  }
+}
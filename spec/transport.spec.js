@@ -0,0 +1,24 @@
+const { line } = require('./support/fakeLine');
+
+describe('config.transport', () => {
+  const createClient = (transport) => new line.LineClient({
+    authToken: 'token', config: { transport }
+  });
+
+  it('keeps connections alive without a proxy', () => {
+    const transport = createClient({}).transport;
+    expect(transport.keepAlive).toBe(true);
+    expect(transport.agent(true).keepAlive).toBe(true);
+  });
+
+  it('does not keep connections alive through a proxy', () => {
+    const transport = createClient({ proxy: 'http://127.0.0.1:3128' }).transport;
+    expect(transport.keepAlive).toBe(false);
+  });
+
+  it('rejects keepAlive with a proxy', () => {
+    expect(() => createClient({
+      proxy: 'socks://127.0.0.1:1080', keepAlive: true
+    })).toThrow();
+  });
+});
@@ -0,0 +1,93 @@
+const { PassThrough } = require('stream');
+const { async, startServer, createClient } = require('./support/fakeLine');
+
+function streamOf(text) {
+  const stream = new PassThrough();
+  stream.end(text);
+  return stream;
+}
+
+describe('uploads', () => {
+  let server;
+  let client;
+  let friend;
+
+  beforeEach(async(() => startServer().then((started) => {
+    server = started;
+    friend = server.addContact({ displayName: 'Friend' });
+    client = createClient(server);
+    return client.login();
+  })));
+
+  afterEach(async(() => server.close()));
+
+  it('returns an Upload settled with its bluebird promise', async(() => {
+    const upload = client.getContactById(friend.mid)
+      .sendFile(Buffer.from('report'), 'report.txt');
+    const progress = [];
+    upload.on('progress', (loaded, total) => progress.push([loaded, total]));
+    let finished = false;
+    expect(upload.timeout).toBeUndefined();
+    return upload.promise
+      .timeout(5000)
+      .tap((message) => expect(message.contentMetadata.FILE_SIZE).toBe('6'))
+      .finally(() => {
+        finished = true;
+      })
+      .then(() => {
+        expect(finished).toBe(true);
+        expect(upload.promise.isFulfilled()).toBe(true);
+        expect(progress[progress.length - 1]).toEqual([6, 6]);
+        expect(server.uploads.length).toBe(1);
+      });
+  }));
+
+  it('streams a stream whose size is given', async(() => (
+    client.getContactById(friend.mid).sendFile(streamOf('log!'), 'app.log', {
+      size: 4
+    }).then((message) => {
+      expect(message.contentMetadata.FILE_SIZE).toBe('4');
+      expect(String(server.uploads[0].body)).toContain('log!');
+    })
+  )));
+
+  it('reads a stream of unknown size before sending it', async(() => (
+    client.getContactById(friend.mid).sendFile(streamOf('log!'), 'app.log')
+      .then((message) => {
+        expect(message.contentMetadata.FILE_SIZE).toBe('4');
+        expect(String(server.uploads[0].body)).toContain('log!');
+      })
+  )));
+
+  it('requests an URL again to upload it after the message is sent',
+    async(() => {
+      const order = [];
+      const getContentStream = client.getContentStream.bind(client);
+      client.getContentStream = (...args) => {
+        order.push('request');
+        return getContentStream(...args);
+      };
+      server.on('sendMessage', () => order.push('sendMessage'));
+      server.addContent('1', Buffer.from('png!'), 'image/png');
+      const url = `${client.config.LINE_GET_CONTENT_URL}1`;
+      return client.getContactById(friend.mid).sendImage(url).then(() => {
+        expect(order).toEqual(['request', 'sendMessage', 'request']);
+        expect(String(server.uploads[0].body)).toContain('png!');
+        expect(String(server.uploads[0].body)).toContain('image/png');
+      });
+    }));
+
+  it('does not send the message of a cancelled upload', async(() => {
+    const sent = [];
+    server.on('sendMessage', (message) => sent.push(message));
+    const upload = client.getContactById(friend.mid)
+      .sendImage(Buffer.from('png!'));
+    upload.cancel();
+    return upload.then(() => {
+      throw new Error('the upload should be rejected');
+    }, (err) => {
+      expect(err.message).toBe('upload cancelled');
+      expect(sent.length).toBe(0);
+    });
+  }));
+});